@@ -0,0 +1,121 @@
+/**
+ * Backtest — replay stored prices, solar and consumption through the LP
+ * optimizer and report what the battery would have earned.
+ *
+ * Per day: realized cost of the forecast-driven plan vs no battery and vs a
+ * perfect-foresight plan, all simulated against the actual solar and load.
+ *
+ * Usage:
+ *   node backtest.js                                  # last 30 complete days
+ *   node backtest.js --from 2025-03-01 --to 2025-03-31
+ *   node backtest.js --days 14 --start-soc 50
+ *   node backtest.js --set grid.sell_price_factor=0.9 --set inverter.discharge_soc=15
+ *   node backtest.js --json                           # machine-readable output
+ *
+ * --set overrides a config value for this run only (dot path = number/true/false/string),
+ * so the effect of a config change can be compared against the unchanged baseline.
+ */
+
+import config from './config.js';
+import { runBacktest } from './src/backtest.js';
+import { localTs } from './src/timeutils.js';
+
+const args = process.argv.slice(2);
+
+function argValue(name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+
+function parseValue(raw) {
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  const n = Number(raw);
+  return raw !== '' && !isNaN(n) ? n : raw;
+}
+
+// Apply --set path=value overrides to the in-memory config
+for (let i = 0; i < args.length; i++) {
+  if (args[i] !== '--set') continue;
+  const [path, raw] = (args[i + 1] ?? '').split('=');
+  if (!path || raw === undefined) {
+    console.error(`Invalid --set "${args[i + 1]}" — expected path=value`);
+    process.exit(1);
+  }
+  const keys = path.split('.');
+  let obj = config;
+  for (const k of keys.slice(0, -1)) obj = obj[k] ??= {};
+  obj[keys.at(-1)] = parseValue(raw);
+  if (!args.includes('--json')) console.log(`Override: ${path} = ${raw}`);
+}
+
+const today    = localTs(new Date(), config.location.timezone).slice(0, 10);
+const shift    = (dateStr, n) => {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+const days     = parseInt(argValue('--days') ?? '30', 10);
+const toDate   = argValue('--to') ?? shift(today, -1);
+const fromDate = argValue('--from') ?? shift(toDate, -(days - 1));
+const startSoc = argValue('--start-soc') != null ? parseFloat(argValue('--start-soc')) : undefined;
+
+const currency = config.price.currency;
+const fmt = v => v.toFixed(2).padStart(9);
+
+async function main() {
+  const { days: results, skipped, totals } = await runBacktest(fromDate, toDate, { startSoc });
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ from: fromDate, to: toDate, currency, totals, days: results, skipped }, null, 2));
+    return;
+  }
+
+  console.log(`\nBacktest ${fromDate} → ${toDate} (${currency})\n`);
+  const header = [
+    'Date'.padEnd(10),
+    'Solar f/a kWh'.padStart(13),
+    'Load kWh'.padStart(8),
+    'No batt'.padStart(9),
+    'Realized'.padStart(9),
+    'Perfect'.padStart(9),
+    'Saved'.padStart(9),
+    'Max save'.padStart(9),
+    'End SOC'.padStart(7),
+  ].join(' | ');
+  console.log(header);
+  console.log('-'.repeat(header.length));
+
+  for (const d of results) {
+    console.log([
+      d.date.padEnd(10),
+      `${d.solar_forecast_kwh.toFixed(1)}/${d.solar_actual_kwh.toFixed(1)}`.padStart(13),
+      d.load_kwh.toFixed(1).padStart(8),
+      fmt(d.no_battery.cost),
+      fmt(d.realized.cost),
+      fmt(d.perfect.cost),
+      fmt(d.savings),
+      fmt(d.perfect_savings),
+      `${d.realized.end_soc}%`.padStart(7),
+    ].join(' | '));
+  }
+
+  console.log('-'.repeat(header.length));
+  console.log(`\nDays simulated:     ${totals.days}`);
+  console.log(`No battery:         ${totals.no_battery_cost.toFixed(2)} ${currency}`);
+  console.log(`Realized (plan):    ${totals.realized_cost.toFixed(2)} ${currency}  → saved ${totals.savings.toFixed(2)}`);
+  console.log(`Perfect foresight:  ${totals.perfect_cost.toFixed(2)} ${currency}  → saved ${totals.perfect_savings.toFixed(2)}`);
+  if (totals.capture_pct != null) {
+    console.log(`Captured:           ${totals.capture_pct}% of perfect-foresight savings`);
+  }
+
+  if (skipped.length > 0) {
+    console.log(`\nSkipped ${skipped.length} day(s):`);
+    for (const s of skipped) console.log(`  ${s.date}  ${s.reason}`);
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -4,12 +4,28 @@ export default {
         lon: 11.76995,
         timezone: 'Europe/Stockholm'
     },
-    panel: {
-        peak_kw: 6.5,
-        tilt: 38,        // degrees from horizontal
-        azimuth: 190,    // 180 = south
-        efficiency: 0.19 // starting estimate — learning will correct this
+    weather: {
+        // Weather sources tried in order — the first one to return data wins.
+        // Each entry must match a filename in src/weather/ (without .js extension).
+        // 'openmeteo' = GHI, DNI, DHI, cloud cover and temperature (worldwide, no key)
+        // 'smhi'      = SMHI point forecast (Nordic countries): cloud cover and temperature,
+        //               GHI estimated from clear-sky irradiance and cloud cover
+        sources: ['openmeteo', 'smhi'],
     },
+    // One entry per PV array (string) with its own orientation. Each array gets its
+    // own plane-of-array transposition; the forecasts are summed before learning.
+    // Example east/west roof:
+    //   { name: 'east', peak_kw: 3.2, tilt: 27, azimuth: 90 },
+    //   { name: 'west', peak_kw: 3.2, tilt: 27, azimuth: 270 },
+    panel: [
+        {
+            name: 'main',
+            peak_kw: 6.5,
+            tilt: 38,        // degrees from horizontal
+            azimuth: 190,    // 180 = south
+            efficiency: 0.19 // starting estimate — learning will correct this
+        },
+    ],
     learning: {
         min_irradiance_weight: 400,    // W/m² — below this, observation gets low confidence
         empirical_blend_threshold: 30, // number of observations before fully trusting matrix
@@ -39,6 +55,11 @@ export default {
         // fetch before re-optimizing. Captures mid-day NWP updates on days where the
         // morning forecast was badly wrong (e.g., cloud clearing not in the model).
         intraday_refetch_threshold: 1.8,
+        // P10/P50/P90 forecast bands: quantiles of actual/forecast per month and cloud band.
+        // Hours below quantile_min_irradiance (W/m²) are too noisy to count; a month/cloud
+        // cell needs quantile_min_samples hours, else the cloud band over all months is used.
+        quantile_min_irradiance: 50,
+        quantile_min_samples: 20,
     },
     forecast: {
         horizon_hours: 24,
@@ -67,6 +88,17 @@ export default {
         // (safety first — don't wait for a replan when the battery is critically low).
         soc_deviation_threshold: 8,
         soc_replan_min_soc: 30,
+        // Wear cost per kWh discharged (house + grid export). The optimizer only cycles
+        // the battery when the price spread beats efficiency loss plus this cost.
+        // Set cost_per_kwh directly, or leave it null to derive it from the pack:
+        //   pack_price / (cycle_life × capacity_kwh × rated_dod)
+        // pack_price 0 and cost_per_kwh null = cycling is free.
+        degradation: {
+            cost_per_kwh: null,
+            pack_price: 0,          // replacement cost of the battery pack (price.currency)
+            cycle_life: 6000,       // rated full cycles to end of life
+            rated_dod: 0.9,         // depth of discharge the cycle rating assumes
+        },
     },
     grid: {
         // Set sell_enabled: true to allow the optimizer to plan battery→grid export slots.
@@ -84,9 +116,75 @@ export default {
         transfer_import_kwh: 0.50,  // nätavgift import (SEK/kWh)
         transfer_export_kwh: 0.00,  // nätavgift export (SEK/kWh) — often 0
         energy_tax_kwh: 0.0,       // energiskatt (SEK/kWh) — only on import
+        tariff: {
+            // Time-of-use grid fees, VAT and export compensation (src/tariff.js). When enabled,
+            // these replace transfer_import_kwh / transfer_export_kwh / energy_tax_kwh above:
+            //   buy  = (spot + import fee + energy_tax_kwh) × (1 + vat)
+            //   sell = spot × sell_price_factor − export fee + export_compensation_kwh
+            // Fee rules: the first rule matching months, days ('weekdays' | 'weekends' | 'all')
+            // and from–to wins; a slot no rule matches has fee 0. Public holidays (timeutils.js)
+            // count as weekends.
+            enabled: false,
+            vat: 0.25,                      // moms on the whole import price
+            energy_tax_kwh: 0.439,          // energiskatt (SEK/kWh, excl. VAT)
+            import_fees: [
+                { name: 'high-load', fee_kwh: 0.76, months: [11, 12, 1, 2, 3], days: 'weekdays', from: '06:00', to: '22:00' },
+                { name: 'low-load',  fee_kwh: 0.30 },
+            ],
+            export_fees: [],
+            // Paid on top of the spot price per kWh exported, e.g. skattereduktion 0.60 SEK/kWh
+            // (capped by law at the kWh imported per year — not modelled here) plus any
+            // nätnytta compensation from the grid operator.
+            export_compensation_kwh: 0.60,
+            holidays: [],                   // extra "YYYY-MM-DD" dates billed as weekends (public holidays are built in)
+        },
+        capacity_tariff: {
+            // Effekttariff: a monthly fee per kW of peak import, where a peak is the mean import
+            // over window_minutes within billable hours, and the bill uses the mean of the
+            // top_n highest peaks of the month. When enabled, the optimizer prices the planned
+            // peak against the month-to-date peaks from energy_snapshots — it only pays to avoid
+            // new windows above what is already billed.
+            enabled: false,
+            fee_per_kw: 0,                  // SEK per kW per month
+            window_minutes: 60,             // averaging window (15, 30 or 60)
+            hours: { from: '07:00', to: '19:00' },  // billable time of day (local)
+            weekdays_only: true,            // weekends and public holidays are not billed
+            months: [1, 2, 3, 11, 12],      // billable months (empty = all year)
+            top_n: 3,                       // peaks averaged per month
+            one_peak_per_day: true,         // at most one peak per calendar day counts
+        },
+    },
+    optimizer: {
+        // The window runs from now to the end of the last day-ahead price slot (about 35 h
+        // after the 13:00 publication), at least 24 h and at most max_horizon_hours.
+        max_horizon_hours: 48,
+        // Slots inside the 24 h minimum that have no day-ahead price yet get the mean price
+        // for that time of day (weekday/weekend) over this many past days. 0 = leave them out.
+        price_fill_days: 14,
+        // 'deterministic' plans against the point forecast (scaled by the intra-day cloud-band
+        // scalars) as if it were certain. 'stochastic' builds solar × load scenarios from
+        // historical forecast errors and solves one two-stage LP: grid charging and selling are
+        // decided once for all scenarios, battery use for the house adapts per scenario.
+        mode: 'deterministic',
+        // Number of solar and load scenarios (1 = that side stays at the point forecast).
+        // The LP solves solar_scenarios × load_scenarios copies of the battery, so keep it small.
+        solar_scenarios: 3,
+        load_scenarios: 3,
+        // Risk level: 0 = minimise expected cost, 1 = minimise the average cost of the worst
+        // (1 − cvar_alpha) share of scenarios (CVaR). Values between blend the two.
+        risk_aversion: 0.3,
+        cvar_alpha: 0.8,
+        // Days of consumption history used for the load error distribution
+        load_history_days: 28,
     },
     consumption: {
-        source: 'yesterday',
+        // 'profile'   = learned load per day type (weekday / weekend+holiday) and hour, with a
+        //               temperature slope on top (src/consumption-profile.js); hours without
+        //               enough history fall back to 'yesterday'
+        // 'yesterday' = most recent day of the same type, temperature-corrected
+        // anything else = flat_watts
+        source: 'profile',
+        profile_days: 56,              // days of readings the profile is learned from
         heating_sensitivity: 0.03,
         climate: 'heating',
         flat_watts: 800,
@@ -107,10 +205,51 @@ export default {
         // NOTE: raise peak_shaving.schedule limit during EV charging hours so the hardware
         // allows enough grid import for EV + house, e.g. { from: '00:00', to: '06:45', limit_kw: 12 }
         enabled: true,
-        charge_watts: 5300,           // nameplate EV charger draw (W)
+        charge_watts: 5300,           // nameplate EV charger draw (W); default max power of a session
+        // Charging sessions (POST /api/ev/sessions: departure, energy_kwh) are planned by the
+        // optimizer in the cheapest slots before departure, within the peak_shaving import cap.
+        // An external charger follows GET /api/ev/plan. Grid energy = energy_kwh / charge_efficiency.
+        charge_efficiency: 0.9,
+    },
+    heat_pump: {
+        // Set enabled: true to let the optimizer shift heat-pump load using the house as
+        // thermal storage. A first-order RC model of the house is fitted hourly from
+        // consumption readings and outdoor temperature (src/thermal-model.js); the optimizer
+        // then pre-heats in cheap or solar slots and eases off in expensive ones, keeping
+        // the indoor temperature within comfort_min_c–comfort_max_c. An external controller
+        // reads the planned setpoint offset per slot from GET /api/heat-pump.
+        enabled: false,
+        cop: 3.0,                     // average coefficient of performance (heat W per electrical W)
+        max_power_w: 3000,            // electrical draw at full output
+        setpoint_c: 21,               // normal indoor setpoint — offsets are relative to this
+        comfort_min_c: 20,            // lowest indoor temperature the plan may let the house drift to
+        comfort_max_c: 23,            // highest temperature pre-heating may reach
+    },
+    hot_water: {
+        // Set enabled: true to plan an electric hot-water tank as a second storage next to the
+        // battery (src/hot-water.js). The optimizer switches the element on in cheap slots and
+        // diverts solar surplus into the tank — above all when the battery is full and export
+        // is capped by grid.max_export_w — while keeping the water above min_temp_c.
+        // The plan is a mean element power per slot, run as minutes on at the start of the slot;
+        // the on/off command goes to the configured output on every change.
+        enabled: false,
+        volume_l: 200,
+        min_temp_c: 50,               // never planned below this (comfort, legionella)
+        max_temp_c: 80,               // tank thermostat limit
+        element_w: 3000,              // immersion element power — the element itself is on or off
+        standing_loss_w: 60,          // heat lost through the insulation, roughly constant
+        daily_use_kwh: 4,             // heat drawn by hot water use per day, spread evenly
+        output: {
+            // 'webhook' = HTTP POST of { on, slot, until, temp_c } to url (a relay, Shelly, HA webhook)
+            // 'mqtt'    = retained JSON on <mqtt.topic_prefix>/<topic> (needs mqtt.enabled)
+            type: 'webhook',
+            url: 'http://192.168.1.60/hot-water',
+            topic: 'hot_water/command',
+        },
     },
     inverter: {
-        // Driver: 'growatt' = cloud API (MIN/MIX), 'growatt-modbus' = local Modbus TCP (MOD TL3-XH)
+        // Driver: 'growatt' = cloud API (MIN/MIX), 'growatt-modbus' = local Modbus TCP (MOD TL3-XH),
+        //         'simulator' = in-process simulated inverter for offline end-to-end testing
         brand: 'growatt-modbus',
 
         // --- Growatt MOD TL3-XH Modbus TCP settings ---
@@ -133,6 +272,9 @@ export default {
         // server: 'https://openapi.growatt.com/',
         // token: '',
         // device_sn: '',
+
+        // --- Simulator settings (used when brand = 'simulator') ---
+        // sim_start_soc: 50,                     // initial SOC % (default: last stored snapshot SOC)
     },
     peak_shaving: {
         // Grid import power cap written to inverter holding register 3307 (PeakShavingPower import).
@@ -152,8 +294,31 @@ export default {
         auth_user: 'admin',
         auth_pass: '',      // set a password to enable
     },
+    mqtt: {
+        // Publish live state, current slot action, forecast, prices and health to an
+        // MQTT broker (retained JSON topics under topic_prefix, refreshed every minute).
+        enabled: false,
+        url: 'mqtt://localhost:1883',   // mqtt:// or mqtts://
+        username: '',
+        password: '',
+        topic_prefix: 'solarforecast',
+        retain: true,
+        // client_id: 'solarforecast',  // default: random per process
+        // How often to read the inverter for the inverter/* topics; the last reading is
+        // re-published in between. Default 60 s, 300 s for brand 'growatt' (cloud API, rate-limited).
+        // inverter_interval_s: 60,
+
+        // Accept commands on <prefix>/command/override and <prefix>/command/peak_shaving.
+        // Anyone who can publish to the broker can then control the battery — use broker ACLs.
+        commands: false,
+        override_minutes: 60,          // duration of a plain "charge"/"discharge"/"idle" command
+
+        // Home Assistant MQTT discovery: entities appear automatically under one device.
+        ha_discovery: false,
+        ha_discovery_prefix: 'homeassistant',
+    },
     system: {
-        // How long (ms) to wait after a config.js change before restarting.
+        // How long (ms) to wait after a config.js change before reloading it.
         // Guards against editors that write the file multiple times in quick succession.
         config_reload_debounce_ms: 120000,
     },
@@ -0,0 +1,396 @@
+/**
+ * modbus-emulator.js
+ *
+ * Local Modbus TCP slave that emulates the Growatt MOD TL3-XH datalogger, so
+ * src/inverters/growatt-modbus.js and the probe/read/write register tools can
+ * be exercised without the real hardware.
+ *
+ * Emulated registers (same map as growatt-modbus.js):
+ *   - Input 0:            inverter status (5 = pv_bat_online, 6 = bat_online)
+ *   - Input 1–10:         PV power total + per-string V/I/P (0.1 V/A/W)
+ *   - Input 37–38:        grid frequency (0.01 Hz), grid voltage (0.1 V)
+ *   - Input 3021–3022:    grid import power (0.1 W)
+ *   - Input 3045–3084:    energy block — load power, daily/total counters (0.1 kWh)
+ *   - Input 3169–3171:    BMS voltage (0.1 V), current (signed 0.1 A, negative = charging), SOC
+ *   - Holding 3038:       TOU period 1 (24576 = Grid First enabled, 0 = disabled)
+ *   - Holding 3307:       peak shaving import limit (0.1 kW/unit)
+ *   - Holding 3310:       LoadFirstStopSocSet (discharge floor in load-first mode)
+ *   - Holding 3048/3067:  charge stop SOC / discharge stop SOC
+ *
+ * Everything else reads as zero — including the storage registers the real
+ * datalogger leaves empty (3009–3014, 3029–3038 input), so probe-registers.js
+ * sees the same picture as on site.
+ *
+ * The battery follows the inverter's load-first behaviour: PV serves the load,
+ * surplus charges the battery up to the charge stop SOC, deficits discharge
+ * down to the floor (max of 3310 and 3067). Below the floor it charges from
+ * the grid, bounded by the peak shaving limit. With TOU Grid First enabled it
+ * exports battery to grid (bounded by grid.max_export_w).
+ *
+ * Fault injection mimics the real datalogger's bad days:
+ *   --timeout-rate <p>   fraction of requests that never get a reply
+ *   --drop-rate <p>      fraction of requests where the TCP connection is closed
+ *   --zero-rate <p>      fraction of reads that return all zeros
+ *   --zero <regs>        registers that always read zero, e.g. 3171,3045-3084
+ *
+ * Usage:
+ *   node modbus-emulator.js                         # listen on 0.0.0.0:5020
+ *   node modbus-emulator.js --port 502 --soc 80
+ *   node modbus-emulator.js --speed 60              # one simulated minute per second
+ *   node modbus-emulator.js --timeout-rate 0.1 --drop-rate 0.05 --zero 3171
+ *
+ * Then point the tools at it:
+ *   node read-register.js 3171 input 127.0.0.1 5020
+ *   node write-register.js 3310 50     (with inverter.host/port set to the emulator)
+ *
+ * Can also be started in-process: import { startEmulator } from './modbus-emulator.js'.
+ */
+
+import ModbusRTU from 'modbus-serial';
+import { pathToFileURL } from 'url';
+import config from './config.js';
+import { totalPeakKw } from './src/panels.js';
+
+// --- Register addresses ---
+
+const REG = {
+  STATUS:              0,
+  PV_POWER_H:          1,
+  GRID_FREQ:           37,
+  GRID_VOLTAGE:        38,
+  GRID_IMPORT_H:       3021,
+  ENERGY_BLOCK_START:  3045,
+  BMS_VOLTAGE:         3169,
+  BMS_CURRENT:         3170,
+  BMS_SOC:             3171,
+
+  // Holding (writable)
+  TOU_PERIOD_1:        3038,
+  CHARGE_STOP_SOC:     3048,
+  DISCHARGE_STOP_SOC:  3067,
+  PEAK_SHAVING_POWER:  3307,
+  LOAD_FIRST_STOP_SOC: 3310,
+};
+
+const SOC_REGISTERS = [REG.CHARGE_STOP_SOC, REG.DISCHARGE_STOP_SOC, REG.LOAD_FIRST_STOP_SOC];
+
+const TOU_GRID_FIRST_ENABLED = 24576;
+const BATTERY_VOLTAGE_V      = 400;     // nominal high-voltage stack
+const TICK_MS                = 1000;    // real-time interval between model updates
+
+// Modbus exception codes
+const ILLEGAL_DATA_VALUE = 0x03;
+
+// --- Helpers ---
+
+function hi(v) { return Math.floor(v / 65536) & 0xFFFF; }
+function lo(v) { return v & 0xFFFF; }
+function u16(v) { return Math.max(0, Math.min(0xFFFF, Math.round(v))); }
+function s16(v) { return Math.round(v) & 0xFFFF; }     // two's complement
+
+/** Parse "3171,3045-3084" into a Set of register numbers. */
+function parseRegisterList(spec) {
+  const set = new Set();
+  if (!spec) return set;
+  for (const part of String(spec).split(',')) {
+    const [a, b] = part.split('-').map(s => parseInt(s, 10));
+    if (isNaN(a)) continue;
+    for (let r = a; r <= (isNaN(b) ? a : b); r++) set.add(r);
+  }
+  return set;
+}
+
+function localParts(date, tz) {
+  const s = date.toLocaleString('sv-SE', { timeZone: tz });
+  return { day: s.slice(0, 10), hour: parseInt(s.slice(11, 13), 10) + parseInt(s.slice(14, 16), 10) / 60 };
+}
+
+// --- Emulator ---
+
+/**
+ * Start the emulator.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.host='0.0.0.0']
+ * @param {number} [opts.port=5020]
+ * @param {number} [opts.unitId]       — config.inverter.unit_id by default
+ * @param {number} [opts.soc=50]       — starting SOC (%)
+ * @param {number} [opts.speed=1]      — simulated seconds per real second
+ * @param {number} [opts.pvScale=0.6]  — fraction of clear-sky PV (cloudiness)
+ * @param {number} [opts.loadW]        — base house load, config.consumption.flat_watts by default
+ * @param {number} [opts.timeoutRate=0]
+ * @param {number} [opts.dropRate=0]
+ * @param {number} [opts.zeroRate=0]
+ * @param {string} [opts.zero]         — registers that always read zero ("3171,3045-3084")
+ * @param {boolean} [opts.quiet=false] — suppress per-write logging
+ * @returns {Promise<{ server, state: object, faults: object, close: () => Promise<void> }>}
+ */
+export async function startEmulator(opts = {}) {
+  const host    = opts.host ?? '0.0.0.0';
+  const port    = opts.port ?? 5020;
+  const unitId  = opts.unitId ?? config.inverter?.unit_id ?? 1;
+  const speed   = opts.speed ?? 1;
+  const tz      = config.location.timezone;
+  const bat     = config.battery;
+  const peakW   = (config.panel ? totalPeakKw() : 6) * 1000;
+  const maxExportW = config.grid?.max_export_w ?? 4000;
+
+  // Fault settings are mutable so in-process tests can change them mid-run.
+  const faults = {
+    timeoutRate: opts.timeoutRate ?? 0,
+    dropRate:    opts.dropRate    ?? 0,
+    zeroRate:    opts.zeroRate    ?? 0,
+    zero:        parseRegisterList(opts.zero),
+  };
+
+  const holding = new Map([
+    [REG.TOU_PERIOD_1,        0],
+    [REG.CHARGE_STOP_SOC,     bat.max_soc ?? 100],
+    [REG.DISCHARGE_STOP_SOC,  bat.min_soc ?? 10],
+    [REG.PEAK_SHAVING_POWER,  Math.round((config.peak_shaving?.default_kw ?? 10) * 10)],
+    [REG.LOAD_FIRST_STOP_SOC, config.inverter?.discharge_soc ?? 20],
+  ]);
+
+  const startReal = Date.now();
+  const state = {
+    clock:     new Date(startReal),
+    day:       localParts(new Date(startReal), tz).day,
+    soc:       opts.soc ?? 50,
+    pvW:       0,
+    loadW:     0,
+    batteryW:  0,       // positive = discharging
+    importW:   0,
+    exportW:   0,
+    today:     { pv: 0, load: 0, import: 0, export: 0, ac: 0 },
+    total:     { pv: 12_000, load: 18_000, import: 9_000, export: 3_000, ac: 11_000 },
+  };
+
+  const baseLoadW = opts.loadW ?? config.consumption?.flat_watts ?? 800;
+  const pvScale   = opts.pvScale ?? 0.6;
+
+  function step() {
+    const prev = state.clock;
+    const now  = new Date(startReal + (Date.now() - startReal) * speed);
+    const dtH  = (now - prev) / 3_600_000;
+    state.clock = now;
+
+    const { day, hour } = localParts(now, tz);
+    if (day !== state.day) {
+      state.day = day;
+      state.today = { pv: 0, load: 0, import: 0, export: 0, ac: 0 };
+    }
+
+    // PV: clear-sky half-sine 06–20 local, scaled for clouds, with a little jitter
+    const sun = hour > 6 && hour < 20 ? Math.sin(Math.PI * (hour - 6) / 14) : 0;
+    state.pvW   = Math.max(0, peakW * pvScale * sun * (0.9 + Math.random() * 0.2));
+    state.loadW = baseLoadW * (0.85 + Math.random() * 0.3);
+
+    const floor  = Math.max(holding.get(REG.LOAD_FIRST_STOP_SOC), holding.get(REG.DISCHARGE_STOP_SOC));
+    const ceil   = holding.get(REG.CHARGE_STOP_SOC);
+    const capW   = holding.get(REG.PEAK_SHAVING_POWER) * 100;
+    const surplus = state.pvW - state.loadW;
+
+    let batteryW;
+    if (holding.get(REG.TOU_PERIOD_1) === TOU_GRID_FIRST_ENABLED && state.soc > floor) {
+      // Grid First: push battery (and any PV surplus) to the grid
+      batteryW = Math.min(bat.max_discharge_w, Math.max(0, maxExportW - Math.max(0, surplus)));
+    } else if (state.soc < floor) {
+      // Below load-first floor: charge from PV surplus + grid, within the import cap
+      const headroomW = Math.max(0, capW - Math.max(0, -surplus));
+      batteryW = -Math.min(bat.max_charge_w, Math.max(0, surplus) + headroomW);
+    } else if (surplus >= 0) {
+      batteryW = state.soc < ceil ? -Math.min(bat.max_charge_w, surplus) : 0;
+    } else {
+      batteryW = state.soc > floor ? Math.min(bat.max_discharge_w, -surplus) : 0;
+    }
+
+    const gridW = state.loadW - state.pvW - batteryW;   // positive = import
+    state.batteryW = batteryW;
+    state.importW  = Math.max(0, gridW);
+    state.exportW  = Math.max(0, Math.min(maxExportW, -gridW));
+
+    const effCharge = batteryW < 0 ? (bat.efficiency ?? 1) : 1;
+    state.soc = Math.max(0, Math.min(100,
+      state.soc - (batteryW * effCharge * dtH / 1000) / bat.capacity_kwh * 100));
+
+    const add = (k, w) => { state.today[k] += w * dtH / 1000; state.total[k] += w * dtH / 1000; };
+    add('pv', state.pvW);
+    add('load', state.loadW);
+    add('import', state.importW);
+    add('export', state.exportW);
+    add('ac', Math.max(0, state.pvW + Math.max(0, batteryW)));
+  }
+
+  /** Current value of an input register (raw 16-bit). */
+  function inputRegister(r) {
+    const pv   = Math.round(state.pvW * 10);
+    const half = Math.round(state.pvW * 5);
+    const kwh  = v => Math.round(v * 10);
+    const currentA = state.batteryW / BATTERY_VOLTAGE_V;
+
+    switch (r) {
+      case REG.STATUS:        return state.pvW > 0 ? 5 : 6;
+      case 1:  return hi(pv);
+      case 2:  return lo(pv);
+      case 3:  case 7:  return state.pvW > 0 ? 6000 : 0;            // Vpv 600.0 V
+      case 4:  case 8:  return u16(half / 6000 * 10);                // Ipv 0.1 A
+      case 5:  case 9:  return hi(half);
+      case 6:  case 10: return lo(half);
+      case 35: return hi(Math.round((state.pvW + Math.max(0, state.batteryW)) * 10));
+      case 36: return lo(Math.round((state.pvW + Math.max(0, state.batteryW)) * 10));
+      case REG.GRID_FREQ:     return 5000;
+      case REG.GRID_VOLTAGE:  return 2300;
+      case 3021: return hi(Math.round(state.importW * 10));
+      case 3022: return lo(Math.round(state.importW * 10));
+      case 3045: return hi(Math.round(state.loadW * 10));
+      case 3046: return lo(Math.round(state.loadW * 10));
+      case 3049: return hi(kwh(state.today.ac));
+      case 3050: return lo(kwh(state.today.ac));
+      case 3051: return hi(kwh(state.total.ac));
+      case 3052: return lo(kwh(state.total.ac));
+      case 3053: return hi(kwh(state.total.pv));
+      case 3054: return lo(kwh(state.total.pv));
+      case 3067: return hi(kwh(state.today.import));
+      case 3068: return lo(kwh(state.today.import));
+      case 3069: return hi(kwh(state.total.import));
+      case 3070: return lo(kwh(state.total.import));
+      case 3071: return hi(kwh(state.today.export));
+      case 3072: return lo(kwh(state.today.export));
+      case 3073: return hi(kwh(state.total.export));
+      case 3074: return lo(kwh(state.total.export));
+      case 3075: return hi(kwh(state.today.load));
+      case 3076: return lo(kwh(state.today.load));
+      case 3077: return hi(kwh(state.total.load));
+      case 3078: return lo(kwh(state.total.load));
+      case 3083: return hi(kwh(state.today.pv));
+      case 3084: return lo(kwh(state.today.pv));
+      case REG.BMS_VOLTAGE:   return BATTERY_VOLTAGE_V * 10;
+      case REG.BMS_CURRENT:   return s16(currentA * 10);
+      case REG.BMS_SOC:       return u16(state.soc);
+      default:                return 0;
+    }
+  }
+
+  // Apply fault injection before answering. Returns true when the request
+  // must go unanswered (timeout or dropped connection) — the client's own
+  // timeout then fires, exactly as with the real datalogger.
+  function injectFault(what) {
+    if (Math.random() < faults.dropRate) {
+      console.log(`[emulator] fault: dropping connection (${what})`);
+      server.socks?.forEach((_, sock) => sock.destroy());
+      return true;
+    }
+    if (Math.random() < faults.timeoutRate) {
+      console.log(`[emulator] fault: no reply (${what})`);
+      return true;
+    }
+    return false;
+  }
+
+  // Vector functions use the callback form so a fault can simply never call back.
+  function readBlock(addr, length, valueOf, what, cb) {
+    if (injectFault(what)) return;
+    step();
+    if (Math.random() < faults.zeroRate) {
+      console.log(`[emulator] fault: zeros (${what})`);
+      return cb(null, new Array(length).fill(0));
+    }
+    const out = [];
+    for (let r = addr; r < addr + length; r++) out.push(faults.zero.has(r) ? 0 : valueOf(r));
+    cb(null, out);
+  }
+
+  function writeBlock(addr, values, cb) {
+    if (injectFault(`write ${addr}`)) return;
+    step();
+    const bad = values.findIndex((v, i) => SOC_REGISTERS.includes(addr + i) && v > 100);
+    if (bad >= 0) {
+      console.log(`[emulator] rejected write: holding ${addr + bad} = ${values[bad]} (SOC > 100)`);
+      return cb({ modbusErrorCode: ILLEGAL_DATA_VALUE, msg: `SOC register ${addr + bad} out of range` });
+    }
+    values.forEach((v, i) => {
+      holding.set(addr + i, v);
+      if (!opts.quiet) console.log(`[emulator] holding ${addr + i} ← ${v}`);
+    });
+    cb(null);
+  }
+
+  const holdingValue = r => holding.get(r) ?? 0;
+  const vector = {
+    getInputRegister: (addr, unitID, cb) =>
+      readBlock(addr, 1, inputRegister, `input ${addr}`, (err, v) => cb(err, v?.[0])),
+    getMultipleInputRegisters: (addr, length, unitID, cb) =>
+      readBlock(addr, length, inputRegister, `input ${addr}+${length}`, cb),
+    getHoldingRegister: (addr, unitID, cb) =>
+      readBlock(addr, 1, holdingValue, `holding ${addr}`, (err, v) => cb(err, v?.[0])),
+    getMultipleHoldingRegisters: (addr, length, unitID, cb) =>
+      readBlock(addr, length, holdingValue, `holding ${addr}+${length}`, cb),
+    setRegister: (addr, value, unitID, cb) => writeBlock(addr, [value], cb),
+    setRegisterArray: (addr, values, unitID, cb) => writeBlock(addr, values, cb),
+  };
+
+  const server = new ModbusRTU.ServerTCP(vector, { host, port, unitID: unitId, debug: false });
+  server.on('socketError', err => console.log(`[emulator] socket error: ${err.message}`));
+
+  await new Promise((resolve, reject) => {
+    server.once('initialized', resolve);
+    server.once('serverError', reject);
+  });
+
+  // Keep the model moving between polls so counters advance like a real inverter
+  const timer = setInterval(step, TICK_MS);
+  timer.unref();
+
+  console.log(`[emulator] MOD TL3-XH emulator listening on ${host}:${port} (unit ${unitId}, SOC ${state.soc}%, speed ×${speed})`);
+
+  return {
+    server,
+    state,
+    faults,
+    holding,
+    close: () => new Promise(resolve => {
+      clearInterval(timer);
+      server.socks?.forEach((_, sock) => sock.destroy());
+      server.close(() => resolve());
+    }),
+  };
+}
+
+// --- CLI ---
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] : undefined;
+}
+
+function argNumber(name) {
+  const v = argValue(name);
+  return v != null ? parseFloat(v) : undefined;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const emu = await startEmulator({
+    host:        argValue('--host'),
+    port:        argNumber('--port'),
+    soc:         argNumber('--soc'),
+    speed:       argNumber('--speed'),
+    pvScale:     argNumber('--pv-scale'),
+    loadW:       argNumber('--load-w'),
+    timeoutRate: argNumber('--timeout-rate'),
+    dropRate:    argNumber('--drop-rate'),
+    zeroRate:    argNumber('--zero-rate'),
+    zero:        argValue('--zero'),
+    quiet:       process.argv.includes('--quiet'),
+  });
+
+  // Status line once a minute
+  setInterval(() => {
+    const s = emu.state;
+    console.log(`[emulator] ${s.clock.toLocaleString('sv-SE', { timeZone: config.location.timezone })} SOC=${s.soc.toFixed(1)}% PV=${Math.round(s.pvW)}W load=${Math.round(s.loadW)}W battery=${Math.round(s.batteryW)}W import=${Math.round(s.importW)}W export=${Math.round(s.exportW)}W`);
+  }, 60_000);
+
+  process.on('SIGINT', async () => {
+    await emu.close();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,85 @@
+/**
+ * mqtt-broker.js
+ *
+ * Local MQTT broker (Aedes, in-process) for trying out the MQTT publisher
+ * without a home automation hub. Prints every message published under the
+ * configured topic prefix.
+ *
+ * Usage:
+ *   node mqtt-broker.js                  # listen on 0.0.0.0:1883
+ *   node mqtt-broker.js --port 1884
+ *   node mqtt-broker.js --quiet          # broker only, no message log
+ *
+ * Then set mqtt.enabled = true and mqtt.url = 'mqtt://localhost:1883' in
+ * config.js and start the scheduler, or publish once:
+ *   node -e "import('./src/mqtt.js').then(async m => { await m.publishAll(); await m.closeMqtt(); })"
+ *
+ * Can also be started in-process: import { startBroker } from './mqtt-broker.js'.
+ * Requires the aedes dev dependency (npm install).
+ */
+
+import net from 'net';
+import { pathToFileURL } from 'url';
+import { Aedes } from 'aedes';
+import config from './config.js';
+
+/**
+ * @param {{ host?: string, port?: number, quiet?: boolean }} [opts]
+ * @returns {Promise<{ broker: object, server: net.Server, messages: Array<{ topic: string, payload: string, retain: boolean }>, close: () => Promise<void> }>}
+ */
+export async function startBroker(opts = {}) {
+  const host = opts.host ?? '0.0.0.0';
+  const port = opts.port ?? 1883;
+  const prefix = config.mqtt?.topic_prefix ?? 'solarforecast';
+
+  const broker = await Aedes.createBroker();
+  const server = net.createServer(broker.handle);
+  const messages = [];
+
+  broker.on('publish', (packet, client) => {
+    if (!client || packet.topic.startsWith('$SYS')) return;
+    const payload = packet.payload.toString();
+    messages.push({ topic: packet.topic, payload, retain: packet.retain });
+    if (!opts.quiet && packet.topic.startsWith(prefix)) {
+      const shown = payload.length > 200 ? `${payload.slice(0, 200)}… (${payload.length} bytes)` : payload;
+      console.log(`[broker] ${packet.topic}${packet.retain ? ' (retained)' : ''} ${shown}`);
+    }
+  });
+  if (!opts.quiet) {
+    broker.on('client', c => console.log(`[broker] client connected: ${c.id}`));
+    broker.on('clientDisconnect', c => console.log(`[broker] client disconnected: ${c.id}`));
+  }
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  if (!opts.quiet) console.log(`[broker] MQTT broker listening on ${host}:${port}`);
+
+  return {
+    broker,
+    server,
+    messages,
+    close: () => new Promise(resolve => broker.close(() => server.close(() => resolve()))),
+  };
+}
+
+// --- CLI ---
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 ? process.argv[i + 1] : undefined;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const b = await startBroker({
+    host:  argValue('--host'),
+    port:  argValue('--port') != null ? parseInt(argValue('--port'), 10) : undefined,
+    quiet: process.argv.includes('--quiet'),
+  });
+
+  process.on('SIGINT', async () => {
+    await b.close();
+    process.exit(0);
+  });
+}
@@ -3,6 +3,7 @@ import config from './config.js';
 import { fetchPrices } from './src/price-fetcher.js';
 import { estimateConsumption } from './src/consumption.js';
 import { runOptimizer } from './src/optimizer-lp.js';
+import { planningWindow } from './src/horizon.js';
 import { getDriver, getDriverConfig } from './src/inverter-dispatcher.js';
 
 const args = process.argv.slice(2);
@@ -24,8 +25,9 @@ async function main() {
   const priceResult = await fetchPrices();
   console.log(`Prices: today=${priceResult.today} slots, tomorrow=${priceResult.tomorrow} slots`);
 
-  console.log('Estimating consumption...');
-  const consumption = await estimateConsumption();
+  const { currentSlot, fromTs, toTs, hours } = planningWindow();
+  console.log(`Estimating consumption for ${hours} h...`);
+  const consumption = await estimateConsumption(currentSlot, hours);
 
   // Read live SOC from inverter if available
   const options = {};
@@ -40,15 +42,8 @@ async function main() {
     }
   }
 
-  console.log('Running optimizer...');
+  console.log(`Running optimizer ${fromTs} → ${toTs}...`);
   const now = new Date();
-  const currentSlot = new Date(now);
-  currentSlot.setMinutes(Math.floor(now.getMinutes() / 15) * 15, 0, 0);
-  const endSlot = new Date(currentSlot.getTime() + 24 * 60 * 60 * 1000);
-
-  const fromTs = localTs(currentSlot);
-  const toTs = localTs(endSlot);
-
   const { schedule, summary } = await runOptimizer(fromTs, toTs, consumption, options);
 
   const output = {
@@ -7,20 +7,29 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { validateConfig } from './src/config-validator.js';
-import { fetchWeather } from './src/fetcher.js';
+import { reloadConfig, formatDiff, ensureConfigVersion } from './src/config-loader.js';
+import { fetchWeather, getWeather } from './src/fetcher.js';
 import { parseWeatherData } from './src/parser.js';
 import { localTs } from './src/timeutils.js';
+import { planningWindow } from './src/horizon.js';
 import { runModel } from './src/model.js';
 import { runLearner } from './src/learner.js';
 import { learnConsumptionModel } from './src/consumption-learner.js';
+import { learnConsumptionProfile } from './src/consumption-profile.js';
+import { learnThermalModel } from './src/thermal-model.js';
 import { runSmoother } from './src/smoother.js';
 import { fetchPrices } from './src/price-fetcher.js';
 import { estimateConsumption } from './src/consumption.js';
 import { runOptimizer as runOptimizerLP } from './src/optimizer-lp.js';
+import { updateSavingsLedger } from './src/savings.js';
+import { publishAll as publishMqtt, closeMqtt } from './src/mqtt.js';
 import { getScheduleForRange, upsertConsumption, updateActual, upsertEnergySnapshot, getSnapshotAtOrBefore, recordPipelineRun, getIntradaySolarRatio, getIntradaySolarRatioByBand } from './src/db.js';
 import { getDriver, getDriverConfig } from './src/inverter-dispatcher.js';
 import { getOverride } from './src/override.js';
 import { setLpShadow, setSellShadow } from './src/battery-api.js';
+import { setEvReplan } from './src/ev-api.js';
+import { setFlexReplan } from './src/flex-loads-api.js';
+import { publishHotWaterCommand } from './src/hot-water.js';
 import config from './config.js';
 import app from './src/api.js';
 import log from './src/logger.js';
@@ -34,6 +43,9 @@ try {
   process.exit(1);
 }
 
+// Baseline for the settings editor history (no-op if config.js is unchanged)
+ensureConfigVersion();
+
 const PORT = process.env.PORT || 3000;
 
 // Last SOC successfully read from the inverter.
@@ -41,19 +53,6 @@ const PORT = process.env.PORT || 3000;
 // optimizer back to the pessimistic min_soc default.
 let lastKnownSoc = null;
 
-// Returns the current 15-minute slot window as local timestamp strings.
-function currentWindow() {
-  const now = new Date();
-  const currentSlot = new Date(now);
-  currentSlot.setMinutes(Math.floor(now.getMinutes() / 15) * 15, 0, 0);
-  const endSlot = new Date(currentSlot.getTime() + 24 * 60 * 60 * 1000);
-  return {
-    currentSlot,
-    fromTs: localTs(currentSlot, config.location.timezone),
-    toTs:   localTs(endSlot, config.location.timezone),
-  };
-}
-
 // --- Pipeline functions ---
 
 async function fetchPipeline() {
@@ -74,6 +73,8 @@ function learnPipeline() {
   try {
     runLearner();
     learnConsumptionModel();
+    learnConsumptionProfile();
+    if (config.heat_pump?.enabled) learnThermalModel();
     // Re-run the model for all future hours so that correction-matrix and
     // recency-bias updates from the learner immediately flow into remaining-day forecasts.
     runModel();
@@ -96,13 +97,32 @@ function smoothPipeline() {
 
 // --- Battery optimizer pipeline ---
 
-async function batteryPipeline() {
+// Single-flight: cron, a config reload and the EV / flex-load APIs can all ask for a run.
+// A request while one is running queues one follow-up run (later requests share it), so
+// a change made mid-run is still planned and runs never overlap.
+let batteryRun = null;
+let batteryRerun = null;
+
+function batteryPipeline() {
+  if (batteryRun) {
+    batteryRerun ??= batteryRun.then(() => {
+      batteryRerun = null;
+      return batteryPipeline();
+    });
+    return batteryRerun;
+  }
+  batteryRun = runBatteryPipeline().finally(() => { batteryRun = null; });
+  return batteryRun;
+}
+
+async function runBatteryPipeline() {
   try {
     log.info('battery', 'Starting battery optimizer pipeline');
     await fetchPrices();
 
-    const { currentSlot, fromTs, toTs } = currentWindow();
-    const consumption = await estimateConsumption(currentSlot);
+    const { currentSlot, fromTs, toTs, hours } = planningWindow();
+    log.info('battery', `Optimizer window ${fromTs} → ${toTs} (${hours} h)`);
+    const consumption = await estimateConsumption(currentSlot, hours);
 
     // Read live SOC from inverter if available
     const options = {};
@@ -188,6 +208,11 @@ async function batteryPipeline() {
   }
 }
 
+// A new or cancelled EV session or flex load re-plans at once (POST/DELETE /api/ev, /api/flex-loads)
+// through the single-flight guard above
+setEvReplan(batteryPipeline);
+setFlexReplan(batteryPipeline);
+
 // --- Energy snapshot pipeline (every 15 min) ---
 // Reads daily cumulative energy totals from inverter and stores a timestamped snapshot.
 // These snapshots are later used by consumptionPipeline to derive hourly deltas.
@@ -225,18 +250,12 @@ async function consumptionPipeline() {
 
   const cfg = getDriverConfig();
 
-  // Fetch current outdoor temperature from Open-Meteo
+  // Outdoor temperature for the current hour from the weather forecast
   let outdoorTemp = null;
   try {
-    const { lat, lon } = config.location;
-    const url = `https://api.open-meteo.com/v1/forecast`
-      + `?latitude=${lat}&longitude=${lon}`
-      + `&current=temperature_2m`;
-    const res = await fetch(url);
-    if (res.ok) {
-      const data = await res.json();
-      outdoorTemp = data.current?.temperature_2m ?? null;
-    }
+    const { hours } = await getWeather();
+    const hourTs = localTs(new Date(), config.location.timezone).slice(0, 13) + ':00';
+    outdoorTemp = hours.find(h => h.hour_ts === hourTs)?.temperature ?? null;
   } catch (err) {
     log.warn('consumption', `Could not fetch outdoor temp: ${err.message}`);
   }
@@ -315,6 +334,63 @@ async function consumptionPipeline() {
   }
 }
 
+// --- Savings ledger pipeline (hourly) ---
+// Prices the last snapshot deltas into savings_ledger. Yesterday is included so
+// the final slots before midnight are filled once the 00:00 snapshot exists.
+
+function savingsPipeline() {
+  try {
+    const now = new Date();
+    const today     = localTs(now, config.location.timezone).slice(0, 10);
+    const yesterday = localTs(new Date(now.getTime() - 24 * 60 * 60 * 1000), config.location.timezone).slice(0, 10);
+    const count = updateSavingsLedger([yesterday, today]);
+    log.info('savings', `Ledger updated: ${count} slots (${yesterday}, ${today})`);
+    recordPipelineRun('savings');
+  } catch (err) {
+    log.error('savings', 'Savings ledger error', err);
+    recordPipelineRun('savings', 'error');
+  }
+}
+
+// --- MQTT publish pipeline (every minute, when mqtt.enabled) ---
+// Live inverter state plus the current slot, forecast, prices and health as retained topics.
+
+async function mqttPipeline() {
+  if (!config.mqtt?.enabled) {
+    await closeMqtt();
+    return;
+  }
+  try {
+    await publishMqtt();   // not logged on success — runs every minute
+    recordPipelineRun('mqtt');
+  } catch (err) {
+    log.error('mqtt', 'MQTT publish error', err);
+    recordPipelineRun('mqtt', 'error');
+  }
+}
+
+// --- Hot-water pipeline (every minute, when hot_water.enabled) ---
+// Sends the element command from the plan to hot_water.output when it changes.
+
+let lastHotWaterOn = null;   // log only when the element state changes
+
+async function hotWaterPipeline() {
+  if (!config.hot_water?.enabled) return;
+  try {
+    const command = await publishHotWaterCommand();
+    if (command && command.on !== lastHotWaterOn) {
+      log.info('hot-water', `Element ${command.on ? 'on' : 'off'}` +
+        (command.until ? ` until ${command.until}` : '') +
+        (command.temp_c != null ? `, tank ${command.temp_c}°C planned` : ''));
+      lastHotWaterOn = command.on;
+    }
+    recordPipelineRun('hot_water');
+  } catch (err) {
+    log.error('hot-water', 'Hot-water output error', err);
+    recordPipelineRun('hot_water', 'error');
+  }
+}
+
 // Returns the peak shaving limit (kW) for the given "YYYY-MM-DDTHH:MM" timestamp,
 // or null if peak shaving is disabled / not configured.
 function getPeakShavingLimit(psConfig, slotTs) {
@@ -347,7 +423,7 @@ async function executePipeline() {
     // Use the slot boundary timestamp (not wall-clock) so the dashboard lookup
     // by slot matches exactly. COALESCE upsert merges with energy totals if
     // snapshotPipeline already wrote this slot.
-    const { fromTs: slotTs } = currentWindow();
+    const { fromTs: slotTs } = planningWindow();
     upsertEnergySnapshot(slotTs, null, null, null, null, state.soc);
 
     // If a manual override is active, apply it instead of the schedule.
@@ -362,8 +438,8 @@ async function executePipeline() {
       return;
     }
 
-    // Get schedule for now → +24h
-    const { fromTs, toTs } = currentWindow();
+    // Get schedule for now → end of horizon
+    const { fromTs, toTs } = planningWindow();
     const slots = getScheduleForRange(fromTs, toTs);
     if (!slots.length) {
       log.warn('execute', 'No schedule slots found — skipping execution');
@@ -460,6 +536,18 @@ cron.schedule('5 * * * *', () => {
   consumptionPipeline();
 });
 
+// Every 1 hour at :10: realized savings ledger
+cron.schedule('10 * * * *', () => {
+  savingsPipeline();
+});
+
+// Every minute: MQTT publish (no-op unless mqtt.enabled) and the hot-water element
+// (no-op unless hot_water.enabled)
+cron.schedule('* * * * *', async () => {
+  await mqttPipeline();
+  await hotWaterPipeline();
+});
+
 // Every 15 min: snapshot → execute.
 // batteryPipeline is NOT run here on every cycle — it runs hourly at :30.
 // The stable hourly SOC curve is what lets the deviation guard detect unexpected drain.
@@ -475,16 +563,36 @@ cron.schedule('*/15 * * * *', async () => {
 });
 
 // --- Config file watcher ---
-// Exit cleanly on config change so PM2 auto-restarts with the new settings.
+// Reload config.js in place on change — keeps the LP shadow, lastKnownSoc and
+// lastPeakShavingKw that a restart would lose. An edit that fails validation is
+// logged with its diff and the previous config stays active.
 // Debounce guards against editors that write the file twice in quick succession.
+// The directory is watched (not the file) so editors that save by rename still trigger.
 const configPath = path.resolve(path.dirname(fileURLToPath(import.meta.url)), 'config.js');
 let configReloadTimer = null;
-const configWatcher = fs.watch(configPath, () => {
-  if (configReloadTimer) return;
+
+async function configReloadPipeline() {
+  const result = await reloadConfig();
+  if (!result.ok) {
+    log.error('config', `config.js change rejected — keeping previous config: ${result.error}`);
+    for (const line of formatDiff(result.changes)) log.warn('config', line);
+    return;
+  }
+  if (result.changes.length === 0) {
+    log.info('config', 'config.js saved — no changes');
+    return;
+  }
+  log.info('config', `config.js reloaded (${result.changes.length} change${result.changes.length === 1 ? '' : 's'})`);
+  for (const line of formatDiff(result.changes)) log.info('config', line);
+  await batteryPipeline();
+}
+
+const configWatcher = fs.watch(path.dirname(configPath), (event, filename) => {
+  if (filename !== path.basename(configPath) || configReloadTimer) return;
   const debounceMs = config.system?.config_reload_debounce_ms ?? 30000;
   configReloadTimer = setTimeout(() => {
-    log.info('scheduler', 'config.js changed — restarting to apply new settings');
-    process.exit(0);
+    configReloadTimer = null;
+    configReloadPipeline().catch(err => log.error('config', 'Config reload error', err));
   }, debounceMs);
 });
 process.on('exit', () => configWatcher.close());
@@ -493,13 +601,15 @@ process.on('exit', () => configWatcher.close());
 
 app.listen(PORT, () => {
   log.info('scheduler', `Solar Forecast API running on port ${PORT}`);
-  log.info('scheduler', `Cron jobs: fetch (6h), learn (1h), smooth (24h), battery (${dayAheadHour}:15 + hourly), consumption (:05), execute (15min)`);
+  log.info('scheduler', `Cron jobs: fetch (6h), learn (1h), smooth (24h), battery (${dayAheadHour}:15 + hourly), consumption (:05), savings (:10), execute (15min), mqtt (1min)`);
 });
 
 // Run initial pipelines on startup
 fetchPipeline();
 snapshotPipeline();
 consumptionPipeline();
+savingsPipeline();
+mqttPipeline();
 (async () => {
   await batteryPipeline();
   if (!config.inverter.data_collection_only) {
@@ -3,8 +3,17 @@ import basicAuth from 'express-basic-auth';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import config from '../config.js';
-import { getReadingsForForecast, getSolarReadingsForRange, getPricesForRange, getAllPipelineRuns, getSolarMAE, getDaytimeConsumptionModel } from './db.js';
+import { getReadingsForForecast, getArrayForecastsForRange, getSolarReadingsForRange, getPricesForRange, getSolarMAE, getSolarMAEByPoaMethod, getConsumptionModels, getThermalModel, getConsumptionProfile, getSavingsRollup } from './db.js';
 import batteryRouter from './battery-api.js';
+import configRouter from './config-api.js';
+import evRouter from './ev-api.js';
+import flexLoadsRouter from './flex-loads-api.js';
+import { getPipelineHealth } from './health.js';
+import { slotPrices } from './tariff.js';
+import { MIN_CELL_SAMPLES } from './consumption-profile.js';
+import { describeModel } from './consumption-learner.js';
+import { describeThermalModel, currentHeatPumpPlan } from './thermal-model.js';
+import { currentHotWaterCommand, hotWaterPlan } from './hot-water.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -35,11 +44,28 @@ app.get('/forecast', (req, res) => {
 
   const rows = getReadingsForForecast(fromTs, toTs);
 
+  // Optional per-array breakdown: GET /forecast?arrays=1
+  const withArrays = req.query.arrays === '1' || req.query.arrays === 'true';
+  const arraysByHour = new Map();
+  if (withArrays) {
+    for (const a of getArrayForecastsForRange(fromTs, toTs)) {
+      if (!arraysByHour.has(a.hour_ts)) arraysByHour.set(a.hour_ts, []);
+      arraysByHour.get(a.hour_ts).push({
+        name: a.array_name,
+        avg_watts: a.prod_forecast != null ? Math.round(a.prod_forecast * 1000) : null,
+      });
+    }
+  }
+
   const forecast = rows.map(r => ({
     hour: r.hour_ts,
     avg_watts: r.prod_forecast != null ? Math.round(r.prod_forecast * 1000) : null,
     irr_wm2: r.irr_forecast != null ? Math.round(r.irr_forecast) : null,
     confidence: r.confidence != null ? Math.round(r.confidence * 100) / 100 : null,
+    p10_watts: r.prod_p10 != null ? Math.round(r.prod_p10 * 1000) : null,
+    p50_watts: r.prod_p50 != null ? Math.round(r.prod_p50 * 1000) : null,
+    p90_watts: r.prod_p90 != null ? Math.round(r.prod_p90 * 1000) : null,
+    ...(withArrays && { arrays: arraysByHour.get(r.hour_ts) ?? [] }),
   }));
 
   res.json({
@@ -56,7 +82,10 @@ app.get('/api/prices', (req, res) => {
   const from = new Date(now);
   from.setMinutes(0, 0, 0);
   const to = new Date(from.getTime() + 48 * 60 * 60 * 1000);
-  const rows = getPricesForRange(localTs(from), localTs(to));
+  const rows = getPricesForRange(localTs(from), localTs(to)).map(p => {
+    const { buy, sell } = slotPrices(p.slot_ts, p.spot_price);
+    return { ...p, buy_price: Math.round(buy * 10000) / 10000, sell_price: Math.round(sell * 10000) / 10000 };
+  });
   res.json({ timezone: config.location.timezone, prices: rows });
 });
 
@@ -75,43 +104,16 @@ app.get('/api/solar', (req, res) => {
       irr_wm2: r.irr_forecast,
       prod_forecast_w: r.prod_forecast != null ? Math.round(r.prod_forecast * 1000) : null,
       prod_actual_w:   r.prod_actual   != null ? Math.round(r.prod_actual   * 1000) : null,
+      prod_p10_w:      r.prod_p10      != null ? Math.round(r.prod_p10      * 1000) : null,
+      prod_p50_w:      r.prod_p50      != null ? Math.round(r.prod_p50      * 1000) : null,
+      prod_p90_w:      r.prod_p90      != null ? Math.round(r.prod_p90      * 1000) : null,
     })),
   });
 });
 
-// Expected maximum interval (minutes) between successful runs per pipeline
-const PIPELINE_INTERVALS = {
-  fetch:       6 * 60,
-  learn:       60,
-  smooth:      24 * 60,
-  battery:     60,
-  consumption: 60,
-  snapshot:    15,
-  execute:     15,
-};
-
 app.get('/health', (req, res) => {
-  const runs = getAllPipelineRuns();
-  const now = Date.now();
-  const pipelines = {};
-  let allOk = true;
-
-  for (const [name, maxMinutes] of Object.entries(PIPELINE_INTERVALS)) {
-    const row = runs.find(r => r.pipeline === name);
-    if (!row) {
-      pipelines[name] = { status: 'never_run', overdue: true };
-      allOk = false;
-      continue;
-    }
-    const ageMs = now - new Date(row.last_run_ts + 'Z').getTime();
-    const ageMin = Math.round(ageMs / 60000);
-    const overdue = ageMin > maxMinutes * 1.5; // 50% grace period
-    const ok = row.last_status === 'ok' && !overdue;
-    if (!ok) allOk = false;
-    pipelines[name] = { last_run: row.last_run_ts, status: row.last_status, age_min: ageMin, overdue };
-  }
-
-  res.status(allOk ? 200 : 503).json({ ok: allOk, pipelines });
+  const health = getPipelineHealth();
+  res.status(health.ok ? 200 : 503).json(health);
 });
 
 // Forecast accuracy metrics
@@ -130,25 +132,144 @@ app.get('/api/metrics', (req, res) => {
       note: 'Mean absolute error between prod_forecast and prod_actual (kWh), irr > 50 W/m² only',
     },
     sample_counts: { last_7_days: mae7.n, last_30_days: mae30.n },
+    // feed = beam/diffuse from the weather feed's DNI/DHI, erbs = estimated from GHI
+    by_poa_method_30_days: getSolarMAEByPoaMethod(days30).map(r => ({
+      poa_method: r.poa_method,
+      mae_kwh:    Math.round(r.mae * 1000) / 1000,
+      bias_kwh:   Math.round(r.bias * 1000) / 1000,
+      samples:    r.n,
+    })),
   });
 });
 
-// Consumption temperature model — single daytime OLS regression
+// Consumption temperature models — piecewise heating-degree fits, day and night, with 95% CIs
 app.get('/api/consumption-model', (req, res) => {
-  const m = getDaytimeConsumptionModel();
+  const models = getConsumptionModels();
+  res.json({
+    note: 'consumption_w = base_load_w + slope_w_per_c × max(0, base_temp_c − outdoor_temp), fitted separately for day (08–18) and night (19–07) on readings without EV charging. *_ci = 95% confidence interval.',
+    models: {
+      day:   models.day   ? describeModel(models.day)   : null,
+      night: models.night ? describeModel(models.night) : null,
+    },
+  });
+});
+
+// Heat pump — fitted RC model of the house and the planned setpoint offsets.
+// For an external controller: poll every few minutes and use setpoint_c (or offset_c).
+app.get('/api/heat-pump', (req, res) => {
+  const model = getThermalModel();
+  res.json({
+    generated_at: new Date().toISOString(),
+    enabled: config.heat_pump?.enabled ?? false,
+    note: 'offset_c = planned indoor temperature minus heat_pump.setpoint_c at the end of each slot; positive = pre-heat, negative = ease off.',
+    model: model ? describeThermalModel(model) : null,
+    ...currentHeatPumpPlan(),
+  });
+});
+
+// Hot-water tank — the element command being sent and the planned power and temperature ahead
+app.get('/api/hot-water', (req, res) => {
+  const enabled = config.hot_water?.enabled ?? false;
+  res.json({
+    generated_at: new Date().toISOString(),
+    enabled,
+    note: 'element_w = planned mean element power in the slot, run as minutes on from the slot start; temp_c = planned tank temperature at the end of the slot.',
+    command: enabled ? currentHotWaterCommand() : null,
+    plan: hotWaterPlan(),
+  });
+});
+
+// Learned consumption profile — mean load per day type × hour, temperature slope, residual error
+app.get('/api/consumption-profile', (req, res) => {
+  const rows = getConsumptionProfile();
+  const round = (v, d = 0) => (v == null ? null : Math.round(v * 10 ** d) / 10 ** d);
+  const profile = { weekday: [], weekend: [] };
+  for (const r of rows) {
+    profile[r.day_type]?.push({
+      hour:          r.hour,
+      mean_w:        round(r.mean_w),
+      mean_temp:     round(r.mean_temp, 1),
+      samples:       r.sample_count,
+      used:          r.sample_count >= MIN_CELL_SAMPLES,
+      rmse_w:        round(r.rmse_w),
+      mae_w:         round(r.mae_w),
+    });
+  }
+  const slopeOf = type => round(rows.find(r => r.day_type === type)?.slope_w_per_c, 1);
   res.json({
-    note: 'Single linear model fit across all daytime hours (08–18): consumption_w = slope * outdoor_temp + intercept. Nighttime excluded (EV charging).',
-    model: m ? {
-      slope_w_per_c: Math.round(m.slope),
-      intercept_w:   Math.round(m.intercept),
-      r_squared:     Math.round(m.r_squared * 100) / 100,
-      sample_count:  m.sample_count,
-      last_updated:  m.last_updated,
-    } : null,
+    note: 'consumption_w = mean_w + slope × (outdoor_temp − mean_temp) per day type (weekend includes holidays) and hour; rmse_w/mae_w = residual error of the fit.',
+    source: config.consumption.source,
+    profile_days: config.consumption.profile_days ?? 56,
+    min_samples: MIN_CELL_SAMPLES,
+    slope_w_per_c: { weekday: slopeOf('weekday'), weekend: slopeOf('weekend') },
+    last_updated: rows[0]?.last_updated ?? null,
+    profile,
+  });
+});
+
+// Realized savings ledger — daily/monthly/yearly rollups of savings_ledger.
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive; default last 30 days)
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** UTC midnight of a "YYYY-MM-DD" string, or null when it is not a real calendar date. */
+function parseDay(s) {
+  if (typeof s !== 'string' || !DATE_RE.test(s)) return null;
+  const d = new Date(`${s}T00:00:00Z`);
+  // Date rolls 2024-02-30 over to March; the round trip catches that
+  return isNaN(d) || d.toISOString().slice(0, 10) !== s ? null : d;
+}
+
+app.get('/api/savings', (req, res) => {
+  const to    = req.query.to ?? localTs(new Date()).slice(0, 10);
+  const toDay = parseDay(to);
+  if (!toDay || (req.query.from !== undefined && !parseDay(req.query.from))) {
+    return res.status(400).json({ error: 'from and to must be valid YYYY-MM-DD dates' });
+  }
+  const from = req.query.from ?? new Date(toDay.getTime() - 29 * 86400000).toISOString().slice(0, 10);
+  if (from > to) {
+    return res.status(400).json({ error: 'from must not be after to' });
+  }
+
+  const toExclusive = new Date(toDay.getTime() + 86400000).toISOString().slice(0, 10);
+  const fromTs = `${from}T00:00`;
+  const toTs   = `${toExclusive}T00:00`;
+
+  const round = r => ({
+    period:          r.period,
+    slots:           r.slots,
+    grid_import_kwh: Math.round(r.grid_import_kwh * 100) / 100,
+    grid_export_kwh: Math.round(r.grid_export_kwh * 100) / 100,
+    pv_kwh:          Math.round(r.pv_kwh * 100) / 100,
+    load_kwh:        Math.round(r.load_kwh * 100) / 100,
+    actual_cost:     Math.round(r.actual_cost * 100) / 100,
+    baseline_cost:   Math.round(r.baseline_cost * 100) / 100,
+    savings:         Math.round(r.savings * 100) / 100,
+  });
+
+  const yearly = getSavingsRollup('yearly', fromTs, toTs).map(round);
+  const sum = key => Math.round(yearly.reduce((s, r) => s + r[key], 0) * 100) / 100;
+
+  res.json({
+    currency: config.price.currency,
+    from,
+    to,
+    note: 'actual_cost from grid import/export counters × slot price; baseline_cost = same PV and load without a battery',
+    totals: {
+      slots:         yearly.reduce((s, r) => s + r.slots, 0),
+      actual_cost:   sum('actual_cost'),
+      baseline_cost: sum('baseline_cost'),
+      savings:       sum('savings'),
+    },
+    daily:   getSavingsRollup('daily', fromTs, toTs).map(round),
+    monthly: getSavingsRollup('monthly', fromTs, toTs).map(round),
+    yearly,
   });
 });
 
 app.use('/battery', batteryRouter);
+app.use('/api/config', configRouter);
+app.use('/api/ev', evRouter);
+app.use('/api/flex-loads', flexLoadsRouter);
 
 // Serve dashboard (with optional basic auth)
 if (config.dashboard?.auth_pass) {
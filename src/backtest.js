@@ -0,0 +1,294 @@
+/**
+ * Backtest — replay stored history through the LP optimizer.
+ *
+ * For each local day in the range:
+ *   1. Plan the day with runOptimizer using what was known beforehand: the
+ *      stored solar forecast (solar_readings.prod_forecast) and yesterday's
+ *      consumption for the same hour (flat_watts when missing).
+ *   2. Plan the day again with perfect foresight: actual solar (prod_actual)
+ *      and actual consumption.
+ *   3. Simulate both plans against the actuals, slot by slot, the way the
+ *      inverter executes them (SOC floor on holding 3310, Grid First on sell),
+ *      and price the resulting grid import/export.
+ *   4. Price the same actuals without a battery.
+ *
+ * SOC is carried from one day to the next separately for each plan, so a
+ * forecast miss that leaves the battery empty costs money the following day too.
+ * Nothing is written to the DB — all solves run with dryRun.
+ */
+
+import config from '../config.js';
+import { getPricesForRange, getSolarReadingsForRange, getConsumptionForRange } from './db.js';
+import { runOptimizer } from './optimizer-lp.js';
+import { slotPrices } from './tariff.js';
+
+const SLOT_H = 0.25;
+
+/** "YYYY-MM-DD" + n days (calendar arithmetic, no timezone involved). */
+function addDays(dateStr, n) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+function round2(v) {
+  return Math.round(v * 100) / 100;
+}
+
+/**
+ * SOC floor (%) the inverter would hold for a planned slot — mirrors
+ * applySchedule in src/inverters/growatt-modbus.js.
+ */
+function floorForSlot(slot) {
+  const inv = config.inverter ?? {};
+  const dischargeSoc = inv.discharge_soc ?? 20;
+  if (slot.action === 'charge_grid') return inv.charge_soc ?? 90;
+  if (slot.action === 'discharge' || slot.action === 'sell') return dischargeSoc;
+  return slot.soc_start != null ? Math.max(slot.soc_start, dischargeSoc) : dischargeSoc;
+}
+
+/**
+ * Simulate one 15-min slot of load-first inverter behaviour.
+ *
+ * PV serves the load first; surplus charges the battery up to max_soc. A
+ * deficit is covered from the battery down to the floor. Below the floor the
+ * battery charges from the grid within the peak-shaving import cap. Grid First
+ * pushes the battery to the grid down to the floor, within max_export_w.
+ *
+ * @returns {{ socWh: number, importW: number, exportW: number, clippedW: number }}
+ */
+function simulateSlot({ socWh, floorPct, gridFirst, solarW, loadW, importCapW }) {
+  const bat        = config.battery;
+  const capacityWh = bat.capacity_kwh * 1000;
+  const maxWh      = (bat.max_soc / 100) * capacityWh;
+  const floorWh    = (Math.max(floorPct, bat.min_soc) / 100) * capacityWh;
+  const exportCapW = config.grid.max_export_w ?? Infinity;
+  const eta        = bat.efficiency;
+  const surplus    = solarW - loadW;
+
+  const roomW = Math.max(0, (maxWh - socWh) / (eta * SLOT_H));
+  let chargeW = Math.min(bat.max_charge_w, Math.max(0, surplus), roomW);
+  let dischargeW = 0;
+
+  if (socWh < floorWh) {
+    const toFloorW = Math.max(0, (floorWh - socWh) / (eta * SLOT_H) - chargeW);
+    const gridRoomW = Math.max(0, importCapW - Math.max(0, -surplus));
+    chargeW += Math.min(bat.max_charge_w - chargeW, toFloorW, gridRoomW);
+  } else {
+    const availW = Math.max(0, (socWh - floorWh) / SLOT_H);
+    if (gridFirst) {
+      const exportRoomW = Math.max(0, exportCapW - Math.max(0, surplus));
+      dischargeW = Math.min(bat.max_discharge_w, availW, Math.max(0, -surplus) + exportRoomW);
+      chargeW = 0;
+    } else if (surplus < 0) {
+      dischargeW = Math.min(bat.max_discharge_w, -surplus, availW);
+    }
+  }
+
+  const gridW   = loadW - solarW + chargeW - dischargeW;   // positive = import
+  const rawExpW = Math.max(0, -gridW);
+  const exportW = Math.min(exportCapW, rawExpW);
+  return {
+    socWh:    socWh + (chargeW * eta - dischargeW) * SLOT_H,
+    importW:  Math.max(0, gridW),
+    exportW,
+    clippedW: rawExpW - exportW,
+  };
+}
+
+/** Peak-shaving import cap (W) for a slot — same lookup as the optimizer. */
+function importCapW(slotTs) {
+  const ps = config.peak_shaving;
+  if (!ps?.default_kw) return Infinity;
+  const hhmm = slotTs.slice(11, 16);
+  for (const entry of (ps.schedule || [])) {
+    if (hhmm >= entry.from && hhmm <= entry.to) return entry.limit_kw * 1000;
+  }
+  return ps.default_kw * 1000;
+}
+
+/**
+ * Execute a planned schedule against the actuals and price the result.
+ * Without a schedule the battery is left out entirely (no-battery baseline).
+ */
+function simulateDay(prices, actualSolar, actualLoad, schedule, startSocWh) {
+  const planBySlot = new Map((schedule ?? []).map(s => [s.slot_ts, s]));
+  const capacityWh = config.battery.capacity_kwh * 1000;
+  let socWh = startSocWh;
+  let cost = 0, importKwh = 0, exportKwh = 0, clippedKwh = 0;
+
+  for (const p of prices) {
+    const hourTs = p.slot_ts.slice(0, 13) + ':00';
+    const solarW = actualSolar.get(hourTs) ?? 0;
+    const loadW  = actualLoad.get(hourTs);
+    const { buy, sell: exportPrice } = slotPrices(p.slot_ts, p.spot_price);
+
+    let importW, exportW, clippedW = 0;
+    if (schedule) {
+      const plan = planBySlot.get(p.slot_ts) ?? { action: 'idle', soc_start: (socWh / capacityWh) * 100 };
+      const r = simulateSlot({
+        socWh,
+        floorPct:   floorForSlot(plan),
+        gridFirst:  plan.action === 'sell' && config.grid.sell_enabled,
+        solarW, loadW,
+        importCapW: importCapW(p.slot_ts),
+      });
+      ({ socWh, importW, exportW, clippedW } = r);
+    } else {
+      const exportCapW = config.grid.max_export_w ?? Infinity;
+      importW  = Math.max(0, loadW - solarW);
+      exportW  = Math.min(exportCapW, Math.max(0, solarW - loadW));
+      clippedW = Math.max(0, solarW - loadW) - exportW;
+    }
+
+    importKwh  += importW  * SLOT_H / 1000;
+    exportKwh  += exportW  * SLOT_H / 1000;
+    clippedKwh += clippedW * SLOT_H / 1000;
+    cost += importW * SLOT_H / 1000 * buy - exportW * SLOT_H / 1000 * exportPrice;
+  }
+
+  return {
+    cost:        round2(cost),
+    import_kwh:  round2(importKwh),
+    export_kwh:  round2(exportKwh),
+    clipped_kwh: round2(clippedKwh),
+    end_soc:     schedule ? Math.round((socWh / capacityWh) * 1000) / 10 : null,
+    endSocWh:    socWh,
+  };
+}
+
+/**
+ * Consumption the live system would have planned with: yesterday's reading
+ * for the same hour, flat_watts when missing or above max_house_w (EV hours).
+ */
+function forecastConsumption(dateStr) {
+  const yesterday = getConsumptionForRange(`${addDays(dateStr, -1)}T00:00`, `${dateStr}T00:00`);
+  const byHour = new Map(yesterday.map(r => [r.hour_ts.slice(11, 13), r.consumption_w]));
+  const maxHouseW = config.consumption?.max_house_w ?? Infinity;
+  const out = [];
+  for (let h = 0; h < 24; h++) {
+    const hh = String(h).padStart(2, '0');
+    const w = byHour.get(hh);
+    out.push({
+      hour_ts: `${dateStr}T${hh}:00`,
+      consumption_w: w != null && w <= maxHouseW ? w : config.consumption.flat_watts,
+    });
+  }
+  return out;
+}
+
+/**
+ * Run the backtest over [fromDate, toDate] inclusive (local dates "YYYY-MM-DD").
+ *
+ * @param {string} fromDate
+ * @param {string} toDate
+ * @param {Object} [options]
+ * @param {number} [options.startSoc]  SOC % at the start of the first day (default discharge_soc)
+ * @returns {Promise<{ days: Array, skipped: Array<{date, reason}>, totals: Object }>}
+ */
+export async function runBacktest(fromDate, toDate, options = {}) {
+  const bat        = config.battery;
+  const capacityWh = bat.capacity_kwh * 1000;
+  const startSoc   = options.startSoc ?? config.inverter?.discharge_soc ?? bat.min_soc;
+
+  let forecastSocWh = (startSoc / 100) * capacityWh;
+  let perfectSocWh  = forecastSocWh;
+
+  const days = [];
+  const skipped = [];
+
+  for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+    const fromTs = `${date}T00:00`;
+    const toTs   = `${addDays(date, 1)}T00:00`;
+
+    const prices = getPricesForRange(fromTs, toTs);
+    if (prices.length === 0) { skipped.push({ date, reason: 'no prices' }); continue; }
+
+    const solarRows = getSolarReadingsForRange(fromTs, toTs);
+    if (!solarRows.some(r => r.prod_actual != null)) {
+      skipped.push({ date, reason: 'no actual solar' });
+      continue;
+    }
+    const consumptionRows = getConsumptionForRange(fromTs, toTs);
+    const actualLoad = new Map(consumptionRows.map(r => [r.hour_ts, r.consumption_w]));
+    const missingLoad = [...new Set(prices.map(p => p.slot_ts.slice(0, 13) + ':00'))]
+      .filter(h => actualLoad.get(h) == null);
+    if (missingLoad.length > 0) {
+      skipped.push({ date, reason: `consumption missing for ${missingLoad.length} h` });
+      continue;
+    }
+    const actualSolar = new Map(solarRows.map(r => [r.hour_ts, (r.prod_actual ?? 0) * 1000]));
+
+    // Forecast plan — stored solar forecast, yesterday-based consumption.
+    // Flexible loads are left out of both plans: their live sessions, jobs and
+    // temperatures belong to today, not to the day being replayed.
+    const forecastPlan = await runOptimizer(fromTs, toTs, forecastConsumption(date), {
+      startSoc: (forecastSocWh / capacityWh) * 100,
+      solarRows: solarRows.map(r => ({ hour_ts: r.hour_ts, irr_forecast: r.irr_forecast, prod_forecast: r.prod_forecast })),
+      evSessions: [],
+      flexJobs: [],
+      heatPump: null,
+      hotWater: null,
+      dryRun: true,
+      quiet: true,
+    });
+
+    // Perfect-foresight plan — actual solar and consumption, nothing uncertain to hedge
+    const perfectPlan = await runOptimizer(fromTs, toTs,
+      consumptionRows.map(r => ({ hour_ts: r.hour_ts, consumption_w: r.consumption_w })), {
+        startSoc: (perfectSocWh / capacityWh) * 100,
+        solarRows: solarRows.map(r => ({ hour_ts: r.hour_ts, irr_forecast: r.irr_forecast, prod_forecast: r.prod_actual ?? 0 })),
+        deterministic: true,
+        evSessions: [],
+        flexJobs: [],
+        heatPump: null,
+        hotWater: null,
+        dryRun: true,
+        quiet: true,
+      });
+
+    if (forecastPlan.schedule.length === 0 || perfectPlan.schedule.length === 0) {
+      skipped.push({ date, reason: 'optimizer produced no schedule' });
+      continue;
+    }
+
+    const noBattery = simulateDay(prices, actualSolar, actualLoad, null, 0);
+    const realized  = simulateDay(prices, actualSolar, actualLoad, forecastPlan.schedule, forecastSocWh);
+    const perfect   = simulateDay(prices, actualSolar, actualLoad, perfectPlan.schedule, perfectSocWh);
+    forecastSocWh = realized.endSocWh;
+    perfectSocWh  = perfect.endSocWh;
+
+    const solarForecastKwh = solarRows.reduce((s, r) => s + (r.prod_forecast ?? 0), 0);
+    const solarActualKwh   = solarRows.reduce((s, r) => s + (r.prod_actual ?? 0), 0);
+    const loadKwh          = consumptionRows.reduce((s, r) => s + r.consumption_w, 0) / 1000;
+
+    const strip = ({ endSocWh, ...rest }) => rest;
+    days.push({
+      date,
+      solar_forecast_kwh: round2(solarForecastKwh),
+      solar_actual_kwh:   round2(solarActualKwh),
+      load_kwh:           round2(loadKwh),
+      no_battery:         strip(noBattery),
+      realized:           strip(realized),
+      perfect:            strip(perfect),
+      savings:            round2(noBattery.cost - realized.cost),
+      perfect_savings:    round2(noBattery.cost - perfect.cost),
+    });
+  }
+
+  const sum = key => round2(days.reduce((s, d) => s + key(d), 0));
+  const totals = {
+    days:             days.length,
+    no_battery_cost:  sum(d => d.no_battery.cost),
+    realized_cost:    sum(d => d.realized.cost),
+    perfect_cost:     sum(d => d.perfect.cost),
+    savings:          sum(d => d.savings),
+    perfect_savings:  sum(d => d.perfect_savings),
+  };
+  // Share of the perfect-foresight savings the forecast-driven plan captured
+  totals.capture_pct = totals.perfect_savings > 0
+    ? Math.round((totals.savings / totals.perfect_savings) * 1000) / 10
+    : null;
+
+  return { days, skipped, totals };
+}
@@ -1,8 +1,13 @@
 import { Router } from 'express';
 import config from '../config.js';
-import { getScheduleForRange, getSnapshotsForRange, getSolarReadingsForRange } from './db.js';
+import { getScheduleForRange, getSnapshotsForRange, getSolarReadingsForRange, getSocSeries, getEvPlanForRange } from './db.js';
 import { getDriver, getDriverConfig } from './inverter-dispatcher.js';
-import { setOverride, clearOverride, getOverride } from './override.js';
+import { addOverride, cancelOverride, clearOverride, getOverride, listOverrides } from './override.js';
+import { holidayOn, parseApiTime } from './timeutils.js';
+import { totalPeakKw } from './panels.js';
+import { planningWindow } from './horizon.js';
+import { cumulativeCycles, wearCostPerKwh } from './degradation.js';
+import { slotPrices } from './tariff.js';
 
 const router = Router();
 
@@ -36,26 +41,38 @@ function localTs(date) {
   return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}`;
 }
 
+/** Swedish holidays (and eves) on the dates touched by [fromTs, toTs). */
+function horizonHolidays(fromTs, toTs) {
+  const holidays = [];
+  for (let d = new Date(`${fromTs.slice(0, 10)}T00:00:00Z`); d.toISOString().slice(0, 16) < toTs; d.setUTCDate(d.getUTCDate() + 1)) {
+    const h = holidayOn(d.toISOString());
+    if (h) holidays.push({ date: h.date, name: h.name });
+  }
+  return holidays;
+}
+
 router.get('/schedule', (req, res) => {
   const now = new Date();
-  const currentSlot = new Date(now);
-  currentSlot.setMinutes(Math.floor(now.getMinutes() / 15) * 15, 0, 0);
-  const endSlot = new Date(currentSlot.getTime() + 24 * 60 * 60 * 1000);
+  // Same window the optimizer plans: now → last day-ahead price slot (at least 24 h)
+  const { fromTs, toTs, hours } = planningWindow(now);
 
-  const fromTs = localTs(currentSlot);
-  const toTs = localTs(endSlot);
+  // Buy/sell price per slot from the grid tariff (fees, tax, VAT, export compensation)
+  const rows = getScheduleForRange(fromTs, toTs).map(r => {
+    const { buy, sell } = slotPrices(r.slot_ts, r.price_kwh);
+    return { ...r, buy_price: buy, sell_price: sell };
+  });
 
-  const rows = getScheduleForRange(fromTs, toTs);
+  // Planned EV charger draw per slot (ev.js), summed over sessions
+  const evWatts = new Map();
+  for (const p of getEvPlanForRange(fromTs, toTs)) evWatts.set(p.slot_ts, (evWatts.get(p.slot_ts) ?? 0) + p.watts);
 
   // Compute savings summary from the rows
   let costWithout = 0;
   let costWith = 0;
   const slotHours = 0.25;
-  const importFee = config.grid.transfer_import_kwh + config.grid.energy_tax_kwh;
-  const exportFee = config.grid.transfer_export_kwh;
 
   for (const row of rows) {
-    const buyPrice = row.price_kwh + importFee;
+    const buyPrice = row.buy_price;
     const consumptionKwh = row.consumption_watts * slotHours / 1000;
     const solarKwh = Math.min(row.solar_watts, row.consumption_watts) * slotHours / 1000;
     const gridNeededKwh = Math.max(0, consumptionKwh - solarKwh);
@@ -74,7 +91,7 @@ router.get('/schedule', (req, res) => {
       }
       case 'sell':
         costWith += gridNeededKwh * buyPrice;
-        costWith -= (row.watts * slotHours / 1000) * (row.price_kwh * config.grid.sell_price_factor - exportFee);
+        costWith -= (row.watts * slotHours / 1000) * row.sell_price;
         break;
       default:
         costWith += gridNeededKwh * buyPrice;
@@ -84,10 +101,11 @@ router.get('/schedule', (req, res) => {
   res.json({
     generated_at: now.toISOString(),
     timezone: config.location.timezone,
+    horizon: { from: fromTs, to: toTs, hours, holidays: horizonHolidays(fromTs, toTs) },
     inverter_config: {
       discharge_soc:  config.inverter?.discharge_soc ?? 20,
       charge_soc:     config.inverter?.charge_soc    ?? 90,
-      panel_peak_kw:  config.panel?.peak_kw          ?? null,
+      panel_peak_kw:  config.panel ? totalPeakKw() : null,
       peak_shaving: {
         enabled:    config.peak_shaving?.enabled    ?? false,
         default_kw: config.peak_shaving?.default_kw ?? 4.5,
@@ -99,8 +117,15 @@ router.get('/schedule', (req, res) => {
       action: r.action,
       watts: r.watts,
       price_kwh: r.price_kwh,
+      buy_price: Math.round(r.buy_price * 10000) / 10000,
+      sell_price: Math.round(r.sell_price * 10000) / 10000,
+      price_estimated: r.price_estimated === 1,
       solar_watts: r.solar_watts,
       consumption_watts: r.consumption_watts,
+      ev_watts: Math.round(evWatts.get(r.slot_ts) ?? 0),
+      heat_offset_c: r.heat_offset_c,
+      hot_water_w: r.hot_water_w,
+      hot_water_temp_c: r.hot_water_temp_c,
       soc_start: r.soc_start,
       soc_end: r.soc_end,
     })),
@@ -134,6 +159,13 @@ router.get('/history', (req, res) => {
   const snapshots = getSnapshotsForRange(fromTs, toTs);
   const solar     = getSolarReadingsForRange(fromTs, toTs);
 
+  // Equivalent full cycles since the first stored SOC reading, from SOC drops
+  const cycleSeries = cumulativeCycles(getSocSeries(toTs));
+  const efcByTs = new Map(cycleSeries.map(c => [c.ts, c.efc]));
+  const totalEfc = cycleSeries.at(-1)?.efc ?? 0;
+  const efcBefore = cycleSeries.filter(c => c.ts < fromTs).at(-1)?.efc ?? 0;
+  const round3 = v => Math.round(v * 1000) / 1000;
+
   // Build hour → actual watts lookup (prod_actual is stored in kW)
   const solarActualByHour = {};
   for (const r of solar) {
@@ -146,7 +178,7 @@ router.get('/history', (req, res) => {
     inverter_config: {
       discharge_soc:  config.inverter?.discharge_soc ?? 20,
       charge_soc:     config.inverter?.charge_soc    ?? 90,
-      panel_peak_kw:  config.panel?.peak_kw          ?? null,
+      panel_peak_kw:  config.panel ? totalPeakKw() : null,
       peak_shaving: {
         enabled:    config.peak_shaving?.enabled    ?? false,
         default_kw: config.peak_shaving?.default_kw ?? 4.5,
@@ -171,61 +203,122 @@ router.get('/history', (req, res) => {
       grid_import_today_kwh:   s.grid_import_today_kwh,
       grid_export_today_kwh:   s.grid_export_today_kwh,
       battery_soc:             s.battery_soc ?? null,
+      cumulative_cycles:       efcByTs.has(s.snapshot_ts) ? round3(efcByTs.get(s.snapshot_ts)) : null,
     })),
+    cycles: {
+      since:                      cycleSeries[0]?.ts ?? null,
+      equivalent_full_cycles:     round3(totalEfc),
+      last_24h:                   round3(totalEfc - efcBefore),
+      wear_cost:                  Math.round(totalEfc * config.battery.capacity_kwh * wearCostPerKwh() * 100) / 100,
+    },
   });
 });
 
 // --- Manual override ---
 // A persistent override keeps the inverter in a fixed mode (charge/discharge/idle)
-// for a requested duration, surviving scheduled execute cycles.
+// for a requested window, surviving scheduled execute cycles and restarts.
+// Overrides may start now or later; several can be queued.
 // executePipeline in scheduler.js checks getOverride() on every run.
 
 const VALID_OVERRIDE_ACTIONS = ['charge', 'discharge', 'idle'];
+const MAX_OVERRIDE_MINUTES = 7 * 24 * 60;
 
 router.get('/override', (req, res) => {
   const active = getOverride();
-  res.json(active ? { active: true, ...active } : { active: false });
+  res.json({
+    ...(active ? { active: true, ...active } : { active: false }),
+    queue: listOverrides(),
+  });
 });
 
-router.post('/override', async (req, res) => {
-  const { action, duration_minutes } = req.body ?? {};
+/**
+ * Validate and create an override. Shared by POST /override and the MQTT
+ * command topic, so both apply the same rules.
+ *
+ * @param {{ action: string, duration_minutes?: number, start?: string, end?: string }} params
+ *   { action, duration_minutes }          — start now
+ *   { action, start, end }                — window
+ *   { action, start, duration_minutes }   — window from start
+ * @returns {Promise<{ status: number, body: object }>} HTTP status and response body
+ */
+export async function requestOverride({ action, duration_minutes, start, end } = {}) {
   if (!VALID_OVERRIDE_ACTIONS.includes(action)) {
-    return res.status(400).json({ error: `action must be one of: ${VALID_OVERRIDE_ACTIONS.join(', ')}` });
+    return { status: 400, body: { error: `action must be one of: ${VALID_OVERRIDE_ACTIONS.join(', ')}` } };
+  }
+
+  const now = new Date();
+  const startDate = start != null ? parseApiTime(start, config.location.timezone) : now;
+  if (!startDate) return { status: 400, body: { error: 'start must be an ISO timestamp or local YYYY-MM-DDTHH:MM' } };
+
+  let endDate;
+  if (end != null) {
+    endDate = parseApiTime(end, config.location.timezone);
+    if (!endDate) return { status: 400, body: { error: 'end must be an ISO timestamp or local YYYY-MM-DDTHH:MM' } };
+  } else {
+    const duration = Number(duration_minutes);
+    if (duration_minutes == null || !Number.isFinite(duration)) {
+      return { status: 400, body: { error: 'duration_minutes or end is required' } };
+    }
+    endDate = new Date(startDate.getTime() + duration * 60 * 1000);
+  }
+
+  const windowMinutes = (endDate - startDate) / 60000;
+  if (windowMinutes < 1 || windowMinutes > MAX_OVERRIDE_MINUTES) {
+    return { status: 400, body: { error: `override window must be between 1 and ${MAX_OVERRIDE_MINUTES} minutes` } };
+  }
+  if (endDate <= now) {
+    return { status: 400, body: { error: 'override window has already ended' } };
   }
-  const duration = Number(duration_minutes);
-  if (!Number.isFinite(duration) || duration < 1 || duration > 1440) {
-    return res.status(400).json({ error: 'duration_minutes must be between 1 and 1440' });
+
+  // Future window: just queue it — executePipeline picks it up when it starts
+  if (startDate > now) {
+    const entry = addOverride(action, startDate, endDate);
+    return { status: 200, body: { scheduled: true, ...entry } };
   }
 
+  // Starts now: apply immediately, like the one-shot control endpoints
   const driver = getDriver();
-  if (!driver) return res.status(503).json({ error: 'No inverter configured' });
+  if (!driver) return { status: 503, body: { error: 'No inverter configured' } };
   if (typeof driver[action] !== 'function') {
-    return res.status(501).json({ error: `Driver does not support '${action}'` });
+    return { status: 501, body: { error: `Driver does not support '${action}'` } };
   }
 
   const cfg = getDriverConfig();
   try {
     const result = await driver[action](cfg);
-    setOverride(action, duration);
-    const state = getOverride();
-    res.json({
-      active: true,
-      action,
-      duration_minutes: duration,
-      expires_at: state.expires_at,
-      soc: result.soc,
-      target_soc: result.target,
-      dry_run: cfg.dry_run ?? false,
-    });
+    const entry = addOverride(action, startDate, endDate);
+    return {
+      status: 200,
+      body: {
+        ...entry,
+        duration_minutes: Math.round(windowMinutes),
+        soc: result.soc,
+        target_soc: result.target,
+        dry_run: cfg.dry_run ?? false,
+      },
+    };
   } catch (err) {
-    res.status(502).json({ error: err.message });
+    return { status: 502, body: { error: err.message } };
   }
+}
+
+router.post('/override', async (req, res) => {
+  const { status, body } = await requestOverride(req.body ?? {});
+  res.status(status).json(body);
 });
 
+// Cancel the override running now (queued overrides stay)
 router.delete('/override', (req, res) => {
-  const was = getOverride();
-  clearOverride();
-  res.json({ cancelled: was !== null, previous_action: was?.action ?? null });
+  const was = clearOverride();
+  res.json({ cancelled: was !== null, previous_action: was?.action ?? null, id: was?.id ?? null });
+});
+
+// Cancel one active or queued override by id
+router.delete('/override/:id', (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'id must be an integer' });
+  if (!cancelOverride(id)) return res.status(404).json({ error: `No pending override with id ${id}` });
+  res.json({ cancelled: true, id });
 });
 
 // --- Inverter manual control ---
@@ -272,29 +365,43 @@ router.post('/control/charge',    (req, res) => runControl(res, 'charge'));
 router.post('/control/discharge', (req, res) => runControl(res, 'discharge'));
 router.post('/control/idle',      (req, res) => runControl(res, 'idle'));
 
-router.post('/control/peak-shaving', async (req, res) => {
+/**
+ * Write a one-shot peak shaving import limit. Shared by POST /control/peak-shaving
+ * and the MQTT command topic.
+ * @param {number} limitKw
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+export async function requestPeakShaving(limitKw) {
   const driver = getDriver();
-  if (!driver) return res.status(503).json({ error: 'No inverter configured' });
+  if (!driver) return { status: 503, body: { error: 'No inverter configured' } };
   if (typeof driver.setPeakShavingTarget !== 'function') {
-    return res.status(501).json({ error: "Driver does not support 'setPeakShavingTarget'" });
+    return { status: 501, body: { error: "Driver does not support 'setPeakShavingTarget'" } };
   }
-  const limit_kw = Number(req.body?.limit_kw);
-  if (!isFinite(limit_kw) || limit_kw <= 0) {
-    return res.status(400).json({ error: 'limit_kw must be a positive number' });
+  const limit_kw = Number(limitKw);
+  if (limitKw == null || !isFinite(limit_kw) || limit_kw <= 0) {
+    return { status: 400, body: { error: 'limit_kw must be a positive number' } };
   }
   const cfg = getDriverConfig();
   try {
     const result = await driver.setPeakShavingTarget(limit_kw, cfg);
-    res.json({
-      action: 'peak-shaving',
-      target_kw: result.target_kw,
-      reg_value: result.reg_value,
-      dry_run: cfg.dry_run ?? false,
-      note: 'Override active until next scheduled execute cycle (~15 min)',
-    });
+    return {
+      status: 200,
+      body: {
+        action: 'peak-shaving',
+        target_kw: result.target_kw,
+        reg_value: result.reg_value,
+        dry_run: cfg.dry_run ?? false,
+        note: 'Override active until next scheduled execute cycle (~15 min)',
+      },
+    };
   } catch (err) {
-    res.status(502).json({ error: err.message });
+    return { status: 502, body: { error: err.message } };
   }
+}
+
+router.post('/control/peak-shaving', async (req, res) => {
+  const { status, body } = await requestPeakShaving(req.body?.limit_kw);
+  res.status(status).json(body);
 });
 
 export default router;
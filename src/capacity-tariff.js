@@ -0,0 +1,113 @@
+import config from '../config.js';
+import { getSnapshotsForRange } from './db.js';
+import { dayType } from './timeutils.js';
+
+/**
+ * Capacity tariff (effekttariff).
+ *
+ * Many grid operators bill a monthly fee per kW of peak import: the mean import
+ * power over an averaging window (usually an hour), taken over billable hours
+ * only, and averaged over the N highest windows of the month — often counting
+ * at most one window per day.
+ *
+ * The optimizer needs two things from here:
+ *   - which slots are billable and which window they belong to
+ *   - the month-to-date peaks measured so far (energy_snapshots), because a new
+ *     window only raises the bill if it beats the N-th highest peak already set —
+ *     lowering a peak below that earns nothing.
+ */
+
+const SLOT_MIN = 15;
+
+/** Active tariff config, or null when disabled. */
+export function capacityTariff() {
+  const ct = config.grid.capacity_tariff;
+  return ct?.enabled ? ct : null;
+}
+
+/** Whether a slot ("YYYY-MM-DDTHH:MM", local) falls in billable hours. */
+export function isBillable(slotTs, ct = capacityTariff()) {
+  if (!ct) return false;
+  const month = parseInt(slotTs.slice(5, 7), 10);
+  if (ct.months?.length && !ct.months.includes(month)) return false;
+  if (ct.weekdays_only && dayType(slotTs) === 'weekend') return false;
+  const hhmm = slotTs.slice(11, 16);
+  const from = ct.hours?.from ?? '00:00';
+  const to   = ct.hours?.to ?? '24:00';
+  return hhmm >= from && hhmm < to;
+}
+
+/** Start of the averaging window a slot belongs to, e.g. "2025-01-15T17:00" for 60 min. */
+export function windowOf(slotTs, ct = capacityTariff()) {
+  const windowMin = ct?.window_minutes ?? 60;
+  const minOfDay = parseInt(slotTs.slice(11, 13), 10) * 60 + parseInt(slotTs.slice(14, 16), 10);
+  const start = Math.floor(minOfDay / windowMin) * windowMin;
+  return `${slotTs.slice(0, 11)}${String(Math.floor(start / 60)).padStart(2, '0')}:${String(start % 60).padStart(2, '0')}`;
+}
+
+function slotOf(ts) {
+  const min = parseInt(ts.slice(14, 16), 10);
+  return `${ts.slice(0, 14)}${String(Math.floor(min / SLOT_MIN) * SLOT_MIN).padStart(2, '0')}`;
+}
+
+/** Delta of a daily counter; a drop means the midnight reset happened in between. */
+function counterDelta(start, end) {
+  return end >= start ? end - start : end;
+}
+
+/**
+ * Billed-peak state for the month of `nowTs`, from energy_snapshots.
+ * Only complete windows (every slot has a snapshot at both ends) count.
+ *
+ * @param {string} nowTs  local "YYYY-MM-DDTHH:MM"
+ * @returns {{ month: string, peaks: Array<{ window: string, kw: number }>, billed_kw: number, threshold_kw: number, top_n: number } | null}
+ *   peaks = the counted windows, highest first (one per day when one_peak_per_day);
+ *   threshold_kw = N-th highest peak so far, 0 while fewer than N have been set
+ */
+export function monthToDatePeaks(nowTs) {
+  const ct = capacityTariff();
+  if (!ct) return null;
+  const month = nowTs.slice(0, 7);
+  const topN = ct.top_n ?? 1;
+  const windowMin = ct.window_minutes ?? 60;
+
+  // First snapshot with energy totals per slot
+  const bySlot = new Map();
+  for (const s of getSnapshotsForRange(`${month}-01T00:00`, nowTs)) {
+    if (s.grid_import_today_kwh == null) continue;
+    const slot = slotOf(s.snapshot_ts);
+    if (!bySlot.has(slot)) bySlot.set(slot, s.grid_import_today_kwh);
+  }
+
+  // Import per slot → per window
+  const slots = [...bySlot.keys()].sort();
+  const windows = new Map();
+  for (let i = 0; i + 1 < slots.length; i++) {
+    const slot = slots[i];
+    const next = new Date(new Date(`${slot}:00Z`).getTime() + SLOT_MIN * 60_000).toISOString().slice(0, 16);
+    if (slots[i + 1] !== next || !isBillable(slot, ct)) continue;
+    const key = windowOf(slot, ct);
+    const w = windows.get(key) ?? { kwh: 0, slots: 0 };
+    w.kwh += counterDelta(bySlot.get(slot), bySlot.get(next));
+    w.slots++;
+    windows.set(key, w);
+  }
+
+  let peaks = [...windows]
+    .filter(([, w]) => w.slots === windowMin / SLOT_MIN)
+    .map(([window, w]) => ({ window, kw: w.kwh / (windowMin / 60) }))
+    .sort((a, b) => b.kw - a.kw);
+  if (ct.one_peak_per_day ?? true) {
+    const seen = new Set();
+    peaks = peaks.filter(p => !seen.has(p.window.slice(0, 10)) && seen.add(p.window.slice(0, 10)));
+  }
+  const top = peaks.slice(0, topN);
+  const round3 = v => Math.round(v * 1000) / 1000;
+  return {
+    month,
+    peaks: top.map(p => ({ window: p.window, kw: round3(p.kw) })),
+    billed_kw: round3(top.reduce((s, p) => s + p.kw, 0) / topN),
+    threshold_kw: top.length >= topN ? round3(top[topN - 1].kw) : 0,
+    top_n: topN,
+  };
+}
@@ -0,0 +1,103 @@
+import { Router } from 'express';
+import config from '../config.js';
+import { saveConfig, diffConfig } from './config-loader.js';
+import { getConfigVersion, getConfigVersions, getLatestConfigVersion } from './db.js';
+import { requireDashboardAuth } from './dashboard-auth.js';
+
+const router = Router();
+
+// Config holds credentials and changes inverter behaviour — always require the
+// dashboard password when one is set, for reads too (the EV and flex-load registries
+// require it only on POST/DELETE).
+router.use(requireDashboardAuth);
+
+// Secrets are masked on the way out; a masked value sent back means "unchanged".
+const SECRET_KEY = /pass|token|secret|api_key/i;
+const MASK = '********';
+
+function maskSecrets(value, key = '') {
+  if (Array.isArray(value)) return value.map(v => maskSecrets(v));
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, maskSecrets(v, k)]));
+  }
+  return SECRET_KEY.test(key) && typeof value === 'string' && value !== '' ? MASK : value;
+}
+
+function unmaskSecrets(value, current) {
+  if (Array.isArray(value)) return value.map((v, i) => unmaskSecrets(v, current?.[i]));
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) =>
+      [k, SECRET_KEY.test(k) && v === MASK ? current?.[k] : unmaskSecrets(v, current?.[k])]));
+  }
+  return value;
+}
+
+function maskChanges(changes) {
+  return changes.map(c => {
+    const key = c.path.split('.').at(-1);
+    return SECRET_KEY.test(key)
+      ? { path: c.path, from: c.from ? MASK : c.from, to: c.to ? MASK : c.to }
+      : { path: c.path, from: maskSecrets(c.from), to: maskSecrets(c.to) };
+  });
+}
+
+function sendSaveResult(res, result) {
+  const changes = maskChanges(result.changes);
+  if (!result.ok) return res.status(400).json({ ok: false, error: result.error, changes });
+  res.json({
+    ok: true,
+    version: result.version ?? getLatestConfigVersion()?.id ?? null,
+    changes,
+  });
+}
+
+router.get('/', (req, res) => {
+  res.json({
+    version: getLatestConfigVersion()?.id ?? null,
+    config: maskSecrets(config),
+  });
+});
+
+// Body: the complete config object (as returned by GET, masked secrets allowed)
+router.put('/', async (req, res) => {
+  const next = req.body;
+  if (next === null || typeof next !== 'object' || Array.isArray(next)) {
+    return res.status(400).json({ ok: false, error: 'body must be the complete config object' });
+  }
+  sendSaveResult(res, await saveConfig(unmaskSecrets(next, config), 'web'));
+});
+
+router.get('/history', (req, res) => {
+  const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  res.json({
+    versions: getConfigVersions(limit).map(v => ({
+      id: v.id,
+      created_at: v.created_at,
+      source: v.source,
+      changes: maskChanges(JSON.parse(v.diff_json)),
+    })),
+  });
+});
+
+router.get('/history/:id', (req, res) => {
+  const row = getConfigVersion(Number(req.params.id));
+  if (!row) return res.status(404).json({ error: `No config version ${req.params.id}` });
+  const snapshot = JSON.parse(row.config_json);
+  res.json({
+    id: row.id,
+    created_at: row.created_at,
+    source: row.source,
+    config: maskSecrets(snapshot),
+    changes_vs_current: maskChanges(diffConfig(config, snapshot)),
+  });
+});
+
+// Restore an earlier version. Recorded as a new version, so a rollback can be undone.
+router.post('/rollback/:id', async (req, res) => {
+  const id = Number(req.params.id);
+  const row = Number.isInteger(id) ? getConfigVersion(id) : null;
+  if (!row) return res.status(404).json({ ok: false, error: `No config version ${req.params.id}` });
+  sendSaveResult(res, await saveConfig(JSON.parse(row.config_json), `rollback:${id}`));
+});
+
+export default router;
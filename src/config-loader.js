@@ -0,0 +1,230 @@
+/**
+ * Live config reload.
+ *
+ * Every module imports the same config object from config.js, so a reload
+ * replaces that object's contents in place rather than the binding. The swap
+ * is synchronous — no pipeline can observe a half-updated config.
+ *
+ * A new config is validated first; if validation fails the live config is
+ * left untouched and the caller gets the error plus the diff it rejected.
+ *
+ * Values read once at startup (cron times, server port, Modbus retry counts)
+ * still need a restart to change.
+ *
+ * Every applied change is recorded in config_versions (full snapshot + diff)
+ * so the settings editor can show history and roll back.
+ *
+ * config.js stays hand-written — its comments are the field documentation. The
+ * settings editor stores what differs from it in data/config-overrides.json:
+ *   { "set": { "battery.min_soc": 15, ... }, "unset": ["some.path", ...] }
+ * (dotted paths, arrays replaced as a whole). The overrides are merged over
+ * config.js when this module loads and on every reload, so an override wins over
+ * a later hand edit of the same key until it is saved back from the editor.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import config from '../config.js';
+import { validateConfig } from './config-validator.js';
+import { insertConfigVersion, getLatestConfigVersion } from './db.js';
+import log from './logger.js';
+
+const CONFIG_URL     = new URL('../config.js', import.meta.url);
+const OVERRIDES_PATH = fileURLToPath(new URL('../data/config-overrides.json', import.meta.url));
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * List leaf-level differences between two config objects.
+ * Arrays are compared as a whole (JSON), objects recursively.
+ * @returns {Array<{ path: string, from: any, to: any }>}
+ */
+export function diffConfig(oldCfg, newCfg, prefix = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(oldCfg ?? {}), ...Object.keys(newCfg ?? {})]);
+  for (const key of keys) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const a = oldCfg?.[key];
+    const b = newCfg?.[key];
+    if (isPlainObject(a) && isPlainObject(b)) {
+      changes.push(...diffConfig(a, b, path));
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({ path, from: a, to: b });
+    }
+  }
+  return changes;
+}
+
+/** config.js as on disk, without overrides. */
+async function readFileConfig() {
+  // The ESM loader caches a module per URL and never frees it, so the query is the
+  // content hash: an unchanged file reuses its module, only a real edit adds one
+  const hash = crypto.createHash('sha1').update(fs.readFileSync(CONFIG_URL)).digest('hex').slice(0, 12);
+  return (await import(`${CONFIG_URL.href}?v=${hash}`)).default;
+}
+
+/** Saved overrides, or empty ones when there is no file. Throws on a malformed file. */
+function readOverrides() {
+  if (!fs.existsSync(OVERRIDES_PATH)) return { set: {}, unset: [] };
+  const ov = JSON.parse(fs.readFileSync(OVERRIDES_PATH, 'utf8'));
+  const set = ov.set ?? {};
+  const unset = ov.unset ?? [];
+  if (!isPlainObject(set) || !Array.isArray(unset) || !unset.every(p => typeof p === 'string')) {
+    throw new Error('expected { "set": { "path": value }, "unset": ["path"] }');
+  }
+  return { set, unset };
+}
+
+/** A copy of base with the overrides applied. */
+function mergeOverrides(base, { set, unset }) {
+  const out = structuredClone(base);
+  const parentOf = (p, create) => {
+    const keys = p.split('.');
+    let obj = out;
+    for (const k of keys.slice(0, -1)) {
+      if (!isPlainObject(obj[k])) {
+        if (!create) return [null];
+        obj[k] = {};
+      }
+      obj = obj[k];
+    }
+    return [obj, keys.at(-1)];
+  };
+  for (const [p, value] of Object.entries(set)) {
+    const [obj, key] = parentOf(p, true);
+    obj[key] = value;
+  }
+  for (const p of unset) {
+    const [obj, key] = parentOf(p, false);
+    if (obj) delete obj[key];
+  }
+  return out;
+}
+
+/** Write what `cfg` changes relative to config.js; no file when nothing differs. */
+function writeOverrides(fileCfg, cfg) {
+  const changes = diffConfig(fileCfg, cfg);
+  if (changes.length === 0) {
+    if (fs.existsSync(OVERRIDES_PATH)) fs.unlinkSync(OVERRIDES_PATH);
+    return;
+  }
+  const body = {
+    note: 'Written by the settings editor (PUT /api/config): values that differ from config.js. ' +
+      'Delete this file to go back to config.js as written.',
+    set:   Object.fromEntries(changes.filter(c => c.to !== undefined).map(c => [c.path, c.to])),
+    unset: changes.filter(c => c.to === undefined).map(c => c.path),
+  };
+  // Write via temp file + rename so a crash never leaves a half-written file
+  const tmp = `${OVERRIDES_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(body, null, 2) + '\n');
+  fs.renameSync(tmp, OVERRIDES_PATH);
+}
+
+// Apply saved overrides to the shared object before any pipeline reads it. A broken or
+// invalid overrides file is logged and skipped — the service starts on config.js alone,
+// as a rejected reload keeps the previous config.
+{
+  let overrides = null;
+  try {
+    overrides = readOverrides();
+  } catch (err) {
+    log.error('config', `data/config-overrides.json could not be read (${err.message}) — starting on config.js alone`);
+  }
+  const count = overrides ? Object.keys(overrides.set).length + overrides.unset.length : 0;
+  if (count > 0) {
+    const result = applyConfig(mergeOverrides(config, overrides));
+    if (result.ok) {
+      log.info('config', `${count} setting${count === 1 ? '' : 's'} from data/config-overrides.json applied over config.js`);
+    } else {
+      log.error('config', `data/config-overrides.json gives an invalid config (${result.error}) — starting on config.js alone`);
+    }
+  }
+}
+
+/** Render a diff as "  path: old → new" lines for the log. */
+export function formatDiff(changes) {
+  const show = v => v === undefined ? '(unset)' : JSON.stringify(v);
+  return changes.map(c => `  ${c.path}: ${show(c.from)} → ${show(c.to)}`);
+}
+
+/**
+ * Validate and swap in a new config object.
+ * @param {object} next
+ * @returns {{ ok: boolean, changes: Array, error?: string }}
+ */
+export function applyConfig(next) {
+  const changes = diffConfig(config, next);
+  try {
+    validateConfig(next);
+  } catch (err) {
+    return { ok: false, changes, error: err.message };
+  }
+  for (const key of Object.keys(config)) delete config[key];
+  Object.assign(config, next);
+  return { ok: true, changes };
+}
+
+/**
+ * Re-read config.js from disk, merge the saved overrides over it and apply it.
+ * A syntax error in either file is reported the same way as a validation error.
+ * @returns {Promise<{ ok: boolean, changes: Array, error?: string, version?: number }>}
+ */
+export async function reloadConfig() {
+  let fileCfg, overrides;
+  try {
+    fileCfg = await readFileConfig();
+  } catch (err) {
+    return { ok: false, changes: [], error: `config.js could not be loaded: ${err.message}` };
+  }
+  try {
+    overrides = readOverrides();
+  } catch (err) {
+    return { ok: false, changes: [], error: `data/config-overrides.json could not be read: ${err.message}` };
+  }
+  const result = applyConfig(mergeOverrides(fileCfg, overrides));
+  if (result.ok && result.changes.length > 0) result.version = recordConfigVersion('file', result.changes);
+  return result;
+}
+
+/** Store the live config as a new version. @returns {number} version id */
+export function recordConfigVersion(source, changes) {
+  return insertConfigVersion(source, JSON.stringify(config), JSON.stringify(changes));
+}
+
+/**
+ * Record the config the process started with, unless it matches the latest
+ * stored version (e.g. config.js was edited while the service was stopped).
+ * @returns {number} id of the version that is now current
+ */
+export function ensureConfigVersion() {
+  const latest = getLatestConfigVersion();
+  if (latest && latest.config_json === JSON.stringify(config)) return latest.id;
+  const changes = latest ? diffConfig(JSON.parse(latest.config_json), config) : [];
+  return recordConfigVersion('startup', changes);
+}
+
+/**
+ * Apply a config from the settings editor (or a rollback), persist how it differs
+ * from config.js in data/config-overrides.json so it survives restarts, and record
+ * the version. config.js itself is not touched, so the file watcher stays quiet.
+ *
+ * @param {object} next
+ * @param {string} source  'web' | 'rollback:<id>'
+ * @returns {Promise<{ ok: boolean, changes: Array, error?: string, version?: number }>}
+ */
+export async function saveConfig(next, source) {
+  let fileCfg;
+  try {
+    fileCfg = await readFileConfig();
+  } catch (err) {
+    return { ok: false, changes: diffConfig(config, next), error: `config.js could not be loaded: ${err.message}` };
+  }
+  const result = applyConfig(next);
+  if (!result.ok || result.changes.length === 0) return result;
+  writeOverrides(fileCfg, config);
+  result.version = recordConfigVersion(source, result.changes);
+  return result;
+}
@@ -5,7 +5,9 @@
  */
 
 const KNOWN_PRICE_SOURCES = ['elprisetjust', 'awattar', 'nordpool', 'energidataservice'];
-const KNOWN_INVERTER_BRANDS = ['growatt', 'growatt-modbus'];
+const KNOWN_WEATHER_SOURCES = ['openmeteo', 'smhi'];
+const KNOWN_INVERTER_BRANDS = ['growatt', 'growatt-modbus', 'simulator'];
+const KNOWN_HOT_WATER_OUTPUTS = ['webhook', 'mqtt'];
 
 function need(condition, message) {
   if (!condition) throw new Error(`[config] ${message}`);
@@ -33,12 +35,33 @@ export function validateConfig(cfg) {
     throw new Error(`[config] location.timezone "${cfg.location.timezone}" is not a valid IANA timezone`);
   }
 
-  // --- panel ---
+  // --- weather (optional — defaults to Open-Meteo only) ---
+  if (cfg.weather?.sources !== undefined) {
+    need(Array.isArray(cfg.weather.sources) && cfg.weather.sources.length > 0,
+      'weather.sources must be a non-empty array of source names');
+    for (const s of cfg.weather.sources) {
+      need(KNOWN_WEATHER_SOURCES.includes(s),
+        `weather.sources entry "${s}" is unknown — valid values: ${KNOWN_WEATHER_SOURCES.join(', ')}`);
+    }
+  }
+
+  // --- panel (list of arrays; a single object is accepted for older configs) ---
   need(cfg.panel, 'panel section is missing');
-  finite(cfg.panel.peak_kw, 'panel.peak_kw');
-  need(cfg.panel.peak_kw > 0, `panel.peak_kw must be positive (got ${cfg.panel.peak_kw})`);
-  inRange(cfg.panel.tilt, 0, 90, 'panel.tilt');
-  inRange(cfg.panel.azimuth, 0, 360, 'panel.azimuth');
+  const panels = Array.isArray(cfg.panel) ? cfg.panel : [cfg.panel];
+  need(panels.length > 0, 'panel must contain at least one array');
+  const panelNames = new Set();
+  panels.forEach((p, i) => {
+    const label = Array.isArray(cfg.panel) ? `panel[${i}]` : 'panel';
+    finite(p.peak_kw, `${label}.peak_kw`);
+    need(p.peak_kw > 0, `${label}.peak_kw must be positive (got ${p.peak_kw})`);
+    inRange(p.tilt, 0, 90, `${label}.tilt`);
+    inRange(p.azimuth, 0, 360, `${label}.azimuth`);
+    if (p.name !== undefined) {
+      need(typeof p.name === 'string' && p.name.length > 0, `${label}.name must be a non-empty string`);
+      need(!panelNames.has(p.name), `${label}.name "${p.name}" is used by more than one array`);
+      panelNames.add(p.name);
+    }
+  });
 
   // --- battery ---
   need(cfg.battery, 'battery section is missing');
@@ -50,8 +73,96 @@ export function validateConfig(cfg) {
   inRange(cfg.battery.max_soc, 0, 100, 'battery.max_soc');
   need(cfg.battery.min_soc < cfg.battery.max_soc,
     `battery.min_soc (${cfg.battery.min_soc}) must be less than battery.max_soc (${cfg.battery.max_soc})`);
+  const deg = cfg.battery.degradation;
+  if (deg) {
+    if (deg.cost_per_kwh != null) {
+      finite(deg.cost_per_kwh, 'battery.degradation.cost_per_kwh');
+      need(deg.cost_per_kwh >= 0, 'battery.degradation.cost_per_kwh must not be negative');
+    }
+    if (deg.pack_price) {
+      finite(deg.pack_price, 'battery.degradation.pack_price');
+      need(deg.pack_price > 0, 'battery.degradation.pack_price must be positive');
+      finite(deg.cycle_life, 'battery.degradation.cycle_life');
+      need(deg.cycle_life > 0, 'battery.degradation.cycle_life must be positive');
+      inRange(deg.rated_dod ?? 1, 0.1, 1, 'battery.degradation.rated_dod');
+    }
+  }
+
+  // --- grid.tariff (optional, validate if enabled) ---
+  const tariff = cfg.grid?.tariff;
+  if (tariff?.enabled) {
+    inRange(tariff.vat ?? 0, 0, 1, 'grid.tariff.vat');
+    finite(tariff.energy_tax_kwh ?? 0, 'grid.tariff.energy_tax_kwh');
+    finite(tariff.export_compensation_kwh ?? 0, 'grid.tariff.export_compensation_kwh');
+    for (const listName of ['import_fees', 'export_fees']) {
+      const rules = tariff[listName] ?? [];
+      need(Array.isArray(rules), `grid.tariff.${listName} must be an array of rules`);
+      rules.forEach((rule, i) => {
+        const at = `grid.tariff.${listName}[${i}]`;
+        finite(rule.fee_kwh, `${at}.fee_kwh`);
+        need(rule.days == null || ['all', 'weekdays', 'weekends'].includes(rule.days),
+          `${at}.days must be 'all', 'weekdays' or 'weekends' (got ${JSON.stringify(rule.days)})`);
+        need(rule.months == null || (Array.isArray(rule.months) && rule.months.every(m => Number.isInteger(m) && m >= 1 && m <= 12)),
+          `${at}.months must be an array of month numbers 1–12 (got ${JSON.stringify(rule.months)})`);
+        for (const key of ['from', 'to']) {
+          need(rule[key] == null || (typeof rule[key] === 'string' && /^\d{2}:\d{2}$/.test(rule[key])),
+            `${at}.${key} must be "HH:MM" (got ${JSON.stringify(rule[key])})`);
+        }
+        need((rule.from ?? '00:00') < (rule.to ?? '24:00'),
+          `${at}: from (${rule.from}) must be before to (${rule.to})`);
+      });
+    }
+    need(tariff.holidays == null || (Array.isArray(tariff.holidays) && tariff.holidays.every(d => /^\d{4}-\d{2}-\d{2}$/.test(d))),
+      `grid.tariff.holidays must be an array of "YYYY-MM-DD" dates (got ${JSON.stringify(tariff.holidays)})`);
+  }
+
+  // --- grid.capacity_tariff (optional, validate if enabled) ---
+  const ct = cfg.grid?.capacity_tariff;
+  if (ct?.enabled) {
+    finite(ct.fee_per_kw, 'grid.capacity_tariff.fee_per_kw');
+    need(ct.fee_per_kw >= 0, 'grid.capacity_tariff.fee_per_kw must not be negative');
+    const windowMin = ct.window_minutes ?? 60;
+    need([15, 30, 60].includes(windowMin),
+      `grid.capacity_tariff.window_minutes must be 15, 30 or 60 (got ${JSON.stringify(windowMin)})`);
+    const topN = ct.top_n ?? 1;
+    need(Number.isInteger(topN) && topN >= 1 && topN <= 10,
+      `grid.capacity_tariff.top_n must be an integer between 1 and 10 (got ${JSON.stringify(topN)})`);
+    if (ct.hours) {
+      need(typeof ct.hours.from === 'string' && /^\d{2}:\d{2}$/.test(ct.hours.from),
+        `grid.capacity_tariff.hours.from must be "HH:MM" (got ${JSON.stringify(ct.hours.from)})`);
+      need(typeof ct.hours.to === 'string' && /^\d{2}:\d{2}$/.test(ct.hours.to),
+        `grid.capacity_tariff.hours.to must be "HH:MM" (got ${JSON.stringify(ct.hours.to)})`);
+      need(ct.hours.from < ct.hours.to,
+        `grid.capacity_tariff.hours: from (${ct.hours.from}) must be before to (${ct.hours.to})`);
+    }
+    need(ct.months == null || (Array.isArray(ct.months) && ct.months.every(m => Number.isInteger(m) && m >= 1 && m <= 12)),
+      `grid.capacity_tariff.months must be an array of month numbers 1–12 (got ${JSON.stringify(ct.months)})`);
+  }
+
+  // --- optimizer (optional section) ---
+  if (cfg.optimizer) {
+    const mode = cfg.optimizer.mode ?? 'deterministic';
+    need(['deterministic', 'stochastic'].includes(mode),
+      `optimizer.mode must be 'deterministic' or 'stochastic' (got ${JSON.stringify(mode)})`);
+    inRange(cfg.optimizer.max_horizon_hours ?? 48, 24, 96, 'optimizer.max_horizon_hours');
+    inRange(cfg.optimizer.price_fill_days ?? 14, 0, 365, 'optimizer.price_fill_days');
+    if (mode === 'stochastic') {
+      const solarK = cfg.optimizer.solar_scenarios ?? 3;
+      const loadK  = cfg.optimizer.load_scenarios ?? 3;
+      need(Number.isInteger(solarK) && solarK >= 1, 'optimizer.solar_scenarios must be a positive integer');
+      need(Number.isInteger(loadK) && loadK >= 1, 'optimizer.load_scenarios must be a positive integer');
+      need(solarK * loadK <= 25,
+        `optimizer.solar_scenarios × load_scenarios must be at most 25 (got ${solarK * loadK})`);
+      inRange(cfg.optimizer.risk_aversion ?? 0.3, 0, 1, 'optimizer.risk_aversion');
+      inRange(cfg.optimizer.cvar_alpha ?? 0.8, 0, 0.99, 'optimizer.cvar_alpha');
+      inRange(cfg.optimizer.load_history_days ?? 28, 2, 365, 'optimizer.load_history_days');
+    }
+  }
 
   // --- consumption (optional fields) ---
+  if (cfg.consumption?.source === 'profile') {
+    inRange(cfg.consumption.profile_days ?? 56, 7, 365, 'consumption.profile_days');
+  }
   if (cfg.consumption?.max_house_w !== undefined && cfg.consumption.max_house_w !== 0) {
     finite(cfg.consumption.max_house_w, 'consumption.max_house_w');
     need(cfg.consumption.max_house_w > 0, 'consumption.max_house_w must be positive');
@@ -71,6 +182,15 @@ export function validateConfig(cfg) {
   need(typeof cfg.price.region === 'string' && cfg.price.region.length > 0,
     'price.region must be a non-empty string');
 
+  // --- ev (optional) ---
+  if (cfg.ev) {
+    if (cfg.ev.charge_watts != null) {
+      finite(cfg.ev.charge_watts, 'ev.charge_watts');
+      need(cfg.ev.charge_watts >= 0, 'ev.charge_watts must not be negative');
+    }
+    if (cfg.ev.charge_efficiency != null) inRange(cfg.ev.charge_efficiency, 0.5, 1, 'ev.charge_efficiency');
+  }
+
   // --- peak_shaving (optional, validate if enabled) ---
   if (cfg.peak_shaving?.enabled) {
     finite(cfg.peak_shaving.default_kw, 'peak_shaving.default_kw');
@@ -93,6 +213,69 @@ export function validateConfig(cfg) {
     need(cfg.ev.charge_watts > 0, 'ev.charge_watts must be positive');
   }
 
+  // --- heat_pump (optional, validate if enabled) ---
+  if (cfg.heat_pump?.enabled) {
+    const hp = cfg.heat_pump;
+    inRange(hp.cop, 1, 8, 'heat_pump.cop');
+    finite(hp.max_power_w, 'heat_pump.max_power_w');
+    need(hp.max_power_w > 0, 'heat_pump.max_power_w must be positive');
+    finite(hp.setpoint_c, 'heat_pump.setpoint_c');
+    finite(hp.comfort_min_c, 'heat_pump.comfort_min_c');
+    finite(hp.comfort_max_c, 'heat_pump.comfort_max_c');
+    need(hp.comfort_min_c <= hp.setpoint_c && hp.setpoint_c <= hp.comfort_max_c,
+      `heat_pump: need comfort_min_c ≤ setpoint_c ≤ comfort_max_c (got ${hp.comfort_min_c}, ${hp.setpoint_c}, ${hp.comfort_max_c})`);
+  }
+
+  // --- hot_water (optional, validate if enabled) ---
+  if (cfg.hot_water?.enabled) {
+    const hw = cfg.hot_water;
+    finite(hw.volume_l, 'hot_water.volume_l');
+    need(hw.volume_l > 0, 'hot_water.volume_l must be positive');
+    inRange(hw.min_temp_c, 0, 100, 'hot_water.min_temp_c');
+    inRange(hw.max_temp_c, 0, 100, 'hot_water.max_temp_c');
+    need(hw.min_temp_c < hw.max_temp_c,
+      `hot_water.min_temp_c (${hw.min_temp_c}) must be below max_temp_c (${hw.max_temp_c})`);
+    finite(hw.element_w, 'hot_water.element_w');
+    need(hw.element_w > 0, 'hot_water.element_w must be positive');
+    if (hw.standing_loss_w != null) inRange(hw.standing_loss_w, 0, hw.element_w, 'hot_water.standing_loss_w');
+    if (hw.daily_use_kwh != null) {
+      finite(hw.daily_use_kwh, 'hot_water.daily_use_kwh');
+      need(hw.daily_use_kwh >= 0, 'hot_water.daily_use_kwh must not be negative');
+    }
+    const out = hw.output;
+    need(out && KNOWN_HOT_WATER_OUTPUTS.includes(out.type),
+      `hot_water.output.type must be one of: ${KNOWN_HOT_WATER_OUTPUTS.join(', ')} (got ${JSON.stringify(out?.type)})`);
+    if (out.type === 'webhook') {
+      need(typeof out.url === 'string' && /^https?:\/\//.test(out.url),
+        `hot_water.output.url must be an http(s) URL (got ${JSON.stringify(out.url)})`);
+    }
+    if (out.type === 'mqtt') {
+      need(cfg.mqtt?.enabled, 'hot_water.output.type "mqtt" needs mqtt.enabled');
+      need(typeof out.topic === 'string' && out.topic.length > 0 && !/[+#]/.test(out.topic),
+        `hot_water.output.topic must be a non-empty string without + or # (got ${JSON.stringify(out.topic)})`);
+    }
+  }
+
+  // --- mqtt (optional, validate if enabled) ---
+  if (cfg.mqtt?.enabled) {
+    need(typeof cfg.mqtt.url === 'string' && /^(mqtts?|wss?|tcp|ssl):\/\//.test(cfg.mqtt.url),
+      `mqtt.url must be a broker URL such as "mqtt://localhost:1883" (got ${JSON.stringify(cfg.mqtt.url)})`);
+    const prefix = cfg.mqtt.topic_prefix ?? 'solarforecast';
+    need(typeof prefix === 'string' && prefix.length > 0 && !/[+#]/.test(prefix),
+      `mqtt.topic_prefix must be a non-empty string without + or # (got ${JSON.stringify(prefix)})`);
+    if (cfg.mqtt.override_minutes !== undefined) {
+      inRange(cfg.mqtt.override_minutes, 1, 7 * 24 * 60, 'mqtt.override_minutes');
+    }
+    if (cfg.mqtt.inverter_interval_s !== undefined) {
+      inRange(cfg.mqtt.inverter_interval_s, 10, 3600, 'mqtt.inverter_interval_s');
+    }
+    if (cfg.mqtt.ha_discovery) {
+      const discoveryPrefix = cfg.mqtt.ha_discovery_prefix ?? 'homeassistant';
+      need(typeof discoveryPrefix === 'string' && discoveryPrefix.length > 0 && !/[+#]/.test(discoveryPrefix),
+        `mqtt.ha_discovery_prefix must be a non-empty string without + or # (got ${JSON.stringify(discoveryPrefix)})`);
+    }
+  }
+
   // --- inverter (optional section, but validate if present) ---
   if (cfg.inverter?.brand) {
     need(KNOWN_INVERTER_BRANDS.includes(cfg.inverter.brand),
@@ -106,5 +289,9 @@ export function validateConfig(cfg) {
       need((cfg.inverter.discharge_soc ?? 20) < (cfg.inverter.charge_soc ?? 90),
         `inverter.discharge_soc (${cfg.inverter.discharge_soc}) must be less than inverter.charge_soc (${cfg.inverter.charge_soc})`);
     }
+
+    if (cfg.inverter.brand === 'simulator' && cfg.inverter.sim_start_soc !== undefined) {
+      inRange(cfg.inverter.sim_start_soc, 0, 100, 'inverter.sim_start_soc');
+    }
   }
 }
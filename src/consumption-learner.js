@@ -1,40 +1,87 @@
 /**
- * Learns a single linear regression model from daytime (outdoor_temp, consumption_w) pairs.
+ * Learns piecewise heating-degree models from (outdoor_temp, consumption_w) pairs,
+ * one for daytime (08–18) and one for nighttime (19–07).
  *
- * Model: consumption_w = slope × outdoor_temp + intercept
+ * Model: consumption_w = intercept + slope × max(0, base_temp − outdoor_temp)
  *
  * Rationale: heat loss from a building is governed by the temperature differential
- * between inside and outside, not by the time of day. A house at 5°C outside needs
- * the same watts to stay warm at 10:00 as at 15:00. One regression line across all
- * daytime hours (08–18) is therefore correct and also pools far more data points
- * than per-hour models would (11× more samples for the same number of days).
+ * between inside and outside, and it only starts below a balance point — above
+ * base_temp the house runs on its base load (intercept) and colder weather adds
+ * `slope` watts per degree. Day and night get separate models because both the
+ * base load (people awake, cooking) and the effective setpoint differ.
  *
- * Nighttime hours (19:00–07:00) are intentionally excluded because that is when
- * electric vehicles are typically charged, creating large consumption spikes that
- * are unrelated to temperature and would corrupt the slope.
- * Nighttime consumption estimation falls back to yesterday's data (see consumption.js).
+ * base_temp is found by grid search (BASE_TEMP_MIN–BASE_TEMP_MAX, 0.5 °C steps):
+ * each candidate is fitted with OLS on its heating degrees and the one with the
+ * smallest residual sum of squares wins.
  *
- * Future enhancement: detect EV charging sessions from anomalous consumption spikes
- * and exclude those individual readings from the regression, once enough data exists
- * to estimate a per-hour baseline and standard deviation.
+ * Confidence intervals (95 %) are stored with each fit:
+ *   slope, intercept — ±1.96 standard errors from the OLS fit at the chosen base_temp
+ *   base_temp        — profile likelihood: the range of candidates whose SSE stays
+ *                      within SSE_min × (1 + 3.84 / (n − 3))
  *
- * The fitted coefficients are stored as a single 'daytime' row in consumption_model
+ * Only clean samples are used: hours whose EV charging was subtracted
+ * (source 'inverter_delta_ev') are dropped outright, since the subtraction leaves
+ * noise from the charger's own ramping, and readings above consumption.max_house_w
+ * are dropped as unrecognised large loads.
+ *
+ * The fitted models are stored as 'day' and 'night' rows in consumption_model
  * and refreshed hourly via learnPipeline in scheduler.js.
  */
 
 import config from '../config.js';
-import { getDaytimeConsumptionHistory, upsertConsumptionModel } from './db.js';
+import { getConsumptionModelHistory, upsertConsumptionModel } from './db.js';
 import log from './logger.js';
 
-const MIN_SAMPLES = 50;  // ~5 days × 11 daytime hours — enough for a stable regression line
+const MIN_SAMPLES   = 50;  // per period — ~5 days of daytime hours, ~4 nights
+const DAY_START     = 8;   // first daytime hour (inclusive)
+const DAY_END       = 18;  // last daytime hour (inclusive)
+const BASE_TEMP_MIN = 10;  // °C — grid search range for the heating balance point
+const BASE_TEMP_MAX = 22;
+const BASE_TEMP_STEP = 0.5;
+const Z95           = 1.96;
+const CHI2_95       = 3.84;  // χ²(1) 95 % quantile, for the base_temp profile-likelihood interval
+
+/** 'day' for hours 08–18, 'night' otherwise. */
+export function modelPeriod(hour) {
+  return hour >= DAY_START && hour <= DAY_END ? 'day' : 'night';
+}
+
+/**
+ * Model estimate in W for one outdoor temperature.
+ * @param {object} model  consumption_model row
+ * @param {number} temp   °C
+ */
+export function predictConsumption(model, temp) {
+  return model.intercept + model.slope * Math.max(0, model.base_temp - temp);
+}
+
+/**
+ * A stored model with its 95 % confidence intervals, rounded for display.
+ * @param {object} m  consumption_model row
+ */
+export function describeModel(m) {
+  const ci = (v, se) => [Math.round(v - Z95 * se), Math.round(v + Z95 * se)];
+  return {
+    base_temp_c:     m.base_temp,
+    base_temp_ci:    [m.base_temp_low, m.base_temp_high],
+    slope_w_per_c:   Math.round(m.slope),
+    slope_ci:        ci(m.slope, m.slope_se),
+    base_load_w:     Math.round(m.intercept),
+    base_load_ci:    ci(m.intercept, m.intercept_se),
+    rmse_w:          Math.round(m.rmse),
+    r_squared:       Math.round(m.r_squared * 100) / 100,
+    sample_count:    m.sample_count,
+    last_updated:    m.last_updated,
+  };
+}
 
 /**
  * Compute ordinary least-squares linear regression for arrays xs, ys.
- * Returns { slope, intercept, rSquared, n } or null if underdetermined.
+ * Returns { slope, intercept, rSquared, n, sse, slopeSe, interceptSe } or null if underdetermined.
  */
 function ols(xs, ys) {
   const n = xs.length;
-  if (n < 2) return null;
+  if (n < 3) return null;
 
   const xMean = xs.reduce((a, b) => a + b, 0) / n;
   const yMean = ys.reduce((a, b) => a + b, 0) / n;
@@ -48,58 +95,99 @@ function ols(xs, ys) {
     ssYY += dy * dy;
   }
 
-  if (ssXX === 0) return null; // all readings at same temperature — can't fit a line
+  if (ssXX === 0) return null; // all readings at same x — can't fit a line
 
   const slope     = ssXY / ssXX;
   const intercept = yMean - slope * xMean;
 
   // R² = 1 – SS_residual / SS_total
-  let ssRes = 0;
+  let sse = 0;
   for (let i = 0; i < n; i++) {
-    ssRes += (ys[i] - (slope * xs[i] + intercept)) ** 2;
+    sse += (ys[i] - (slope * xs[i] + intercept)) ** 2;
   }
-  const rSquared = ssYY > 0 ? Math.max(0, 1 - ssRes / ssYY) : 0;
+  const rSquared = ssYY > 0 ? Math.max(0, 1 - sse / ssYY) : 0;
+
+  // Standard errors: σ² = SSE / (n − 2)
+  const sigma2 = sse / (n - 2);
+  const slopeSe     = Math.sqrt(sigma2 / ssXX);
+  const interceptSe = Math.sqrt(sigma2 * (1 / n + xMean * xMean / ssXX));
+
+  return { slope, intercept, rSquared, n, sse, slopeSe, interceptSe };
+}
 
-  return { slope, intercept, rSquared, n };
+/**
+ * Fit the piecewise model to { outdoor_temp, consumption_w } samples — one period's
+ * readings here, readings against lagged outdoor temperature in thermal-model.js.
+ * Returns the consumption_model row (without model_key) or null when no
+ * candidate base temperature leaves any readings below it.
+ */
+export function fitHeatingDegree(rows) {
+  const ys = rows.map(r => r.consumption_w);
+  const candidates = [];
+  for (let tb = BASE_TEMP_MIN; tb <= BASE_TEMP_MAX + 1e-9; tb += BASE_TEMP_STEP) {
+    const fit = ols(rows.map(r => Math.max(0, tb - r.outdoor_temp)), ys);
+    if (fit) candidates.push({ tb, fit });
+  }
+  if (candidates.length === 0) return null;
+
+  const best = candidates.reduce((a, b) => (b.fit.sse < a.fit.sse ? b : a));
+  const n = best.fit.n;
+  const limit = best.fit.sse * (1 + CHI2_95 / (n - 3));
+  const inside = candidates.filter(c => c.fit.sse <= limit).map(c => c.tb);
+
+  return {
+    base_temp:      best.tb,
+    base_temp_low:  Math.min(...inside),
+    base_temp_high: Math.max(...inside),
+    slope:          best.fit.slope,
+    slope_se:       best.fit.slopeSe,
+    intercept:      best.fit.intercept,
+    intercept_se:   best.fit.interceptSe,
+    rmse:           Math.sqrt(best.fit.sse / n),
+    sample_count:   n,
+    r_squared:      best.fit.rSquared,
+  };
 }
 
 /**
- * Fit a single linear model to all daytime (08–18) consumption + temperature readings.
- * Stores result in consumption_model as model_key='daytime'.
+ * Fit the day and night models to all clean consumption + temperature readings.
+ * Stores results in consumption_model as model_key='day' / 'night'.
  * Called hourly via learnPipeline in scheduler.js.
  */
 export function learnConsumptionModel() {
   const maxHouseW = config.consumption?.max_house_w || 1e9;
-  const rows = getDaytimeConsumptionHistory(maxHouseW);
+  const allRows = getConsumptionModelHistory();
 
-  // Count how many daytime readings were excluded above the threshold
-  const allRows = getDaytimeConsumptionHistory(1e9);
-  const excluded = allRows.length - rows.length;
-  if (excluded > 0) {
-    log.info('consumption-model', `Excluded ${excluded} readings above ${maxHouseW}W threshold (likely EV charging)`);
+  const evTagged = allRows.filter(r => r.source === 'inverter_delta_ev').length;
+  const tooHigh  = allRows.filter(r => r.source !== 'inverter_delta_ev' && r.consumption_w > maxHouseW).length;
+  if (evTagged > 0 || tooHigh > 0) {
+    log.info('consumption-model', `Excluded ${evTagged} EV-tagged readings and ${tooHigh} above ${maxHouseW}W threshold`);
   }
-
-  if (rows.length < MIN_SAMPLES) {
-    log.info('consumption-model', `Not enough data yet — ${rows.length}/${MIN_SAMPLES} daytime samples after EV filter (need ~${Math.ceil(MIN_SAMPLES / 11)} days)`);
-    return;
-  }
-
-  const xs = rows.map(r => r.outdoor_temp);
-  const ys = rows.map(r => r.consumption_w);
-
-  const fit = ols(xs, ys);
-  if (!fit) {
-    log.warn('consumption-model', 'OLS failed — all readings at identical temperature');
-    return;
-  }
-
-  upsertConsumptionModel(fit.slope, fit.intercept, fit.n, fit.rSquared);
-
-  log.info('consumption-model',
-    `Daytime model: slope=${fit.slope.toFixed(0)} W/°C  intercept=${fit.intercept.toFixed(0)} W  R²=${fit.rSquared.toFixed(2)}  n=${fit.n}`
-  );
-
-  if (fit.rSquared < 0.3) {
-    log.warn('consumption-model', `Low R²=${fit.rSquared.toFixed(2)} — temperature explains little of the variance; check for EV charging or other large variable loads`);
+  const clean = allRows.filter(r => r.source !== 'inverter_delta_ev' && r.consumption_w <= maxHouseW);
+
+  for (const period of ['day', 'night']) {
+    const rows = clean.filter(r => modelPeriod(r.hour) === period);
+    if (rows.length < MIN_SAMPLES) {
+      log.info('consumption-model', `Not enough ${period} data yet — ${rows.length}/${MIN_SAMPLES} clean samples`);
+      continue;
+    }
+
+    const fit = fitHeatingDegree(rows);
+    if (!fit) {
+      log.warn('consumption-model', `${period} fit failed — no readings below ${BASE_TEMP_MAX}°C or all at identical temperature`);
+      continue;
+    }
+
+    upsertConsumptionModel({ model_key: period, ...fit });
+
+    log.info('consumption-model',
+      `${period[0].toUpperCase()}${period.slice(1)} model: base=${fit.base_temp.toFixed(1)}°C [${fit.base_temp_low.toFixed(1)}–${fit.base_temp_high.toFixed(1)}]` +
+      `  slope=${fit.slope.toFixed(0)}±${(Z95 * fit.slope_se).toFixed(0)} W/°C` +
+      `  base load=${fit.intercept.toFixed(0)}±${(Z95 * fit.intercept_se).toFixed(0)} W  R²=${fit.r_squared.toFixed(2)}  n=${fit.sample_count}`
+    );
+
+    if (fit.r_squared < 0.3) {
+      log.warn('consumption-model', `Low ${period} R²=${fit.r_squared.toFixed(2)} — temperature explains little of the variance; check for other large variable loads`);
+    }
   }
 }
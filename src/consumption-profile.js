@@ -0,0 +1,138 @@
+/**
+ * Learns a household load profile per day type and hour from consumption_readings.
+ *
+ * Day type is 'weekday' or 'weekend' (Saturdays, Sundays and public holidays — see
+ * dayType in timeutils.js), so Monday is planned on past workdays, not on Sunday.
+ *
+ * Model per (day type, hour) cell:
+ *   consumption_w = mean_w + slope × (outdoor_temp − mean_temp)
+ *
+ * mean_w and mean_temp are the cell's averages. The temperature slope is pooled
+ * over all 24 hours of a day type (within-cell OLS): it is fitted on each reading's
+ * deviation from its own cell mean, so the time-of-day shape stays in the means
+ * and the slope only captures how much colder days add on top. Cells or day types
+ * without temperatures get slope 0.
+ *
+ * Residual error per cell (RMSE and MAE of the fitted values over its samples)
+ * tells how far a single hour's load typically strays from the profile.
+ *
+ * Readings above consumption.max_house_w are excluded; EV sessions are already
+ * stored house-only (source 'inverter_delta_ev'). Refreshed hourly via learnPipeline.
+ */
+
+import config from '../config.js';
+import { getConsumptionProfileHistory, replaceConsumptionProfile, getConsumptionProfile } from './db.js';
+import { dayType } from './timeutils.js';
+import log from './logger.js';
+
+const DAY_TYPES = ['weekday', 'weekend'];
+export const MIN_CELL_SAMPLES = 4;   // readings per (day type, hour) before the cell is used
+
+/** "YYYY-MM-DD" + n days (calendar arithmetic, no timezone involved). */
+function addDays(dateStr, n) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Fit one day type: cell means, pooled slope, residuals per hour. */
+function fitDayType(readings) {
+  const cells = Array.from({ length: 24 }, () => []);
+  for (const r of readings) cells[parseInt(r.hour_ts.slice(11, 13), 10)].push(r);
+
+  // Within-cell means (temperature mean over readings that have one)
+  const stats = cells.map(rows => {
+    const withTemp = rows.filter(r => r.outdoor_temp != null);
+    return {
+      meanW:    rows.length ? rows.reduce((s, r) => s + r.consumption_w, 0) / rows.length : null,
+      meanTemp: withTemp.length ? withTemp.reduce((s, r) => s + r.outdoor_temp, 0) / withTemp.length : null,
+      withTemp,
+    };
+  });
+
+  // Pooled slope over deviations from each cell's own means
+  let ssXY = 0, ssXX = 0;
+  stats.forEach(st => {
+    if (st.withTemp.length < 2) return;
+    const meanWT = st.withTemp.reduce((s, r) => s + r.consumption_w, 0) / st.withTemp.length;
+    for (const r of st.withTemp) {
+      const dx = r.outdoor_temp - st.meanTemp;
+      ssXY += dx * (r.consumption_w - meanWT);
+      ssXX += dx * dx;
+    }
+  });
+  const slope = ssXX > 0 ? ssXY / ssXX : 0;
+
+  return cells.map((rows, hour) => {
+    const st = stats[hour];
+    if (rows.length === 0) return null;
+    let ss = 0, sa = 0;
+    for (const r of rows) {
+      const fitted = st.meanW + (r.outdoor_temp != null && st.meanTemp != null ? slope * (r.outdoor_temp - st.meanTemp) : 0);
+      ss += (r.consumption_w - fitted) ** 2;
+      sa += Math.abs(r.consumption_w - fitted);
+    }
+    return {
+      hour,
+      mean_w:        st.meanW,
+      mean_temp:     st.meanTemp,
+      slope_w_per_c: slope,
+      sample_count:  rows.length,
+      rmse_w:        Math.sqrt(ss / rows.length),
+      mae_w:         sa / rows.length,
+    };
+  });
+}
+
+/**
+ * Rebuild consumption_profile from the last consumption.profile_days of readings.
+ * Called hourly via learnPipeline in scheduler.js.
+ */
+export function learnConsumptionProfile(now = new Date()) {
+  const days = config.consumption?.profile_days ?? 56;
+  const maxHouseW = config.consumption?.max_house_w || 1e9;
+  const fromDate = addDays(now.toISOString().slice(0, 10), -days);
+  const readings = getConsumptionProfileHistory(`${fromDate}T00:00`, maxHouseW);
+
+  const rows = [];
+  const notes = [];
+  for (const type of DAY_TYPES) {
+    const fitted = fitDayType(readings.filter(r => dayType(r.hour_ts) === type)).filter(Boolean);
+    for (const cell of fitted) rows.push({ day_type: type, ...cell });
+    const usable = fitted.filter(c => c.sample_count >= MIN_CELL_SAMPLES).length;
+    notes.push(`${type} ${usable}/24 h` + (fitted.length ? ` slope=${fitted[0].slope_w_per_c.toFixed(0)} W/°C` : ''));
+  }
+
+  if (rows.length === 0) {
+    log.info('consumption-profile', `No readings in the last ${days} days — profile not built`);
+    return;
+  }
+  replaceConsumptionProfile(rows);
+  log.info('consumption-profile', `Profile from ${readings.length} readings (${days} d): ${notes.join(', ')}`);
+}
+
+/**
+ * Load the stored profile as a lookup.
+ * @returns {Map<string, object>} "weekday|7" → profile row (cells with enough samples only)
+ */
+export function loadProfile() {
+  return new Map(
+    getConsumptionProfile()
+      .filter(r => r.sample_count >= MIN_CELL_SAMPLES)
+      .map(r => [`${r.day_type}|${r.hour}`, r])
+  );
+}
+
+/**
+ * Profile estimate for one hour, or null when the cell has too few samples.
+ * @param {Map<string, object>} profile  from loadProfile()
+ * @param {string} hourTs                "YYYY-MM-DDTHH:00"
+ * @param {number|null} forecastTemp     °C, null = no temperature adjustment
+ */
+export function profileEstimate(profile, hourTs, forecastTemp) {
+  const cell = profile.get(`${dayType(hourTs)}|${parseInt(hourTs.slice(11, 13), 10)}`);
+  if (!cell) return null;
+  const adjust = forecastTemp != null && cell.mean_temp != null
+    ? cell.slope_w_per_c * (forecastTemp - cell.mean_temp) : 0;
+  return Math.max(100, Math.round(cell.mean_w + adjust));
+}
@@ -1,58 +1,65 @@
 import config from '../config.js';
-import { getConsumptionForRange, getDaytimeConsumptionModel } from './db.js';
-import { localTs } from './timeutils.js';
-
-const DAYTIME_START = 8;   // first hour covered by the temperature model (inclusive)
-const DAYTIME_END   = 18;  // last hour covered by the temperature model (inclusive)
+import { getConsumptionForRange, getConsumptionModels } from './db.js';
+import { modelPeriod, predictConsumption } from './consumption-learner.js';
+import { localTs, dayType, holidayOn } from './timeutils.js';
+import { loadProfile, profileEstimate } from './consumption-profile.js';
+import { getWeather } from './fetcher.js';
+
+const REFERENCE_DAYS = 7;  // how far back to look for a reference day of the same type
+
+/** "YYYY-MM-DD" + n days (calendar arithmetic, no timezone involved). */
+function addDays(dateStr, n) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
 
 /**
- * Fetch today's and yesterday's hourly temperatures from Open-Meteo.
- * Returns Map of "YYYY-MM-DDTHH:00" → temperature_2m (°C).
+ * Hourly temperatures from the weather forecast (past day included when the source has it).
+ * Returns Map of "YYYY-MM-DDTHH:00" → temperature (°C).
  */
 async function fetchTemperatures() {
-  const { lat, lon, timezone } = config.location;
-  const url = `https://api.open-meteo.com/v1/forecast`
-    + `?latitude=${lat}&longitude=${lon}`
-    + `&hourly=temperature_2m`
-    + `&past_days=1&forecast_days=2`
-    + `&timezone=${encodeURIComponent(timezone)}`;
-
-  const res = await fetch(url);
-  if (!res.ok) {
-    throw new Error(`Open-Meteo temperature request failed: ${res.status}`);
-  }
-  const data = await res.json();
+  const { hours } = await getWeather();
   const temps = new Map();
-  for (let i = 0; i < data.hourly.time.length; i++) {
-    temps.set(data.hourly.time[i], data.hourly.temperature_2m[i]);
+  for (const h of hours) {
+    if (h.temperature != null) temps.set(h.hour_ts, h.temperature);
   }
   return temps;
 }
 
 /**
- * Estimate hourly consumption for the next 24 hours starting from windowStart.
+ * Estimate hourly consumption for the next `hours` hours starting from windowStart.
  * Returns array of { hour_ts, consumption_w } with timestamps matching the
  * optimizer window so the consumptionMap lookup doesn't fall back to flat_watts.
  *
  * @param {Date} [windowStart] - Start of the optimizer window (defaults to now).
  *   Should be the same Date used to compute fromTs in batteryPipeline.
+ * @param {number} [hours] - Window length; hours past the first 24 reuse the same
+ *   hour-of-day from yesterday, so a 35 h horizon still gets a full profile.
  *
  * Strategy:
- * 1. If source='yesterday' and yesterday's data exists: use it with temp correction
- * 2. Fallback: flat_watts from config
+ * 0. If source='profile': the learned day-type × hour profile with temperature
+ *    adjustment (consumption-profile.js); hours whose cell has too few samples
+ *    fall through to step 1
+ * 1. Learned heating-degree model for the hour's period (day 08–18 or night 19–07,
+ *    consumption-learner.js) when a forecast temperature exists
+ * 2. If recent data exists: use the most recent day of the same type as the target
+ *    day (weekday, or weekend/holiday — see timeutils.js dayType), usually
+ *    yesterday, with temp correction
+ * 3. Fallback: flat_watts from config
  */
 
-export async function estimateConsumption(windowStart = null) {
+export async function estimateConsumption(windowStart = null, hours = 24) {
   const now = new Date();
 
   // Floor the window start to the beginning of the current hour (UTC-aligned, works
   // for any whole-hour timezone offset such as Europe/Stockholm UTC+1/+2).
   const baseMs = Math.floor((windowStart ?? now).getTime() / 3_600_000) * 3_600_000;
 
-  // Generate the 24 hour_ts strings for the window in the configured timezone.
+  // Generate the hour_ts strings for the window in the configured timezone.
   // Each entry also carries the hour-of-day for looking up historical data.
   const windowHours = [];
-  for (let i = 0; i < 24; i++) {
+  for (let i = 0; i < hours; i++) {
     const d = new Date(baseMs + i * 3_600_000);
     const ts = localTs(d, config.location.timezone).slice(0, 13) + ':00';   // "YYYY-MM-DDTHH:00"
     const hourOfDay = parseInt(ts.slice(11, 13), 10);
@@ -66,9 +73,12 @@ export async function estimateConsumption(windowStart = null) {
 
   const estimates = [];
 
-  if (config.consumption.source === 'yesterday') {
-    const yesterdayData = getConsumptionForRange(
-      `${yesterdayDateStr}T00:00`,
+  const source = config.consumption.source;
+  if (source === 'yesterday' || source === 'profile') {
+    const profile = source === 'profile' ? loadProfile() : new Map();
+
+    const historyData = getConsumptionForRange(
+      `${addDays(yesterdayDateStr, 1 - REFERENCE_DAYS)}T00:00`,
       `${todayDateStr}T00:00`
     );
 
@@ -80,31 +90,64 @@ export async function estimateConsumption(windowStart = null) {
       temps = null;
     }
 
-    // Build lookup: hour-of-day (0-23) → yesterday's { w, temp }
-    const yesterdayByHour = new Map();
-    for (const row of yesterdayData) {
-      const hour = parseInt(row.hour_ts.slice(11, 13), 10);
-      yesterdayByHour.set(hour, { w: row.consumption_w, temp: row.outdoor_temp });
+    // Build lookup: date → hour-of-day (0-23) → { w, temp }
+    const byDate = new Map();
+    for (const row of historyData) {
+      const date = row.hour_ts.slice(0, 10);
+      if (!byDate.has(date)) byDate.set(date, new Map());
+      byDate.get(date).set(parseInt(row.hour_ts.slice(11, 13), 10), { w: row.consumption_w, temp: row.outdoor_temp });
     }
 
-    if (yesterdayData.length > 0) {
-      const daytimeModel = getDaytimeConsumptionModel();
+    // Reference day per target date: the most recent day of the same type, so a
+    // holiday is planned on the last weekend and the workday after it on the last
+    // workday. Falls back to yesterday when no such day has data.
+    const referenceDates = new Map();
+    for (const { ts } of windowHours) {
+      const date = ts.slice(0, 10);
+      if (referenceDates.has(date)) continue;
+      let ref = yesterdayDateStr;
+      for (let back = 0; back < REFERENCE_DAYS; back++) {
+        const candidate = addDays(yesterdayDateStr, -back);
+        if (byDate.has(candidate) && dayType(candidate) === dayType(date)) { ref = candidate; break; }
+      }
+      referenceDates.set(date, ref);
+    }
+    const shifted = [...referenceDates].filter(([date, ref]) => ref !== yesterdayDateStr || holidayOn(date));
+    if (shifted.length > 0) {
+      console.log(`[consumption] Reference days: ${shifted.map(([date, ref]) =>
+        `${date}${holidayOn(date) ? ` (${holidayOn(date).name})` : ''} ← ${ref}`).join(', ')}`);
+    }
+
+    if (byDate.size > 0 || profile.size > 0) {
+      const models = getConsumptionModels();
+      let profileHours = 0;
       let modelHours = 0;
       let yesterdayHours = 0;
 
       for (const { ts: hourTs, hourOfDay: h } of windowHours) {
+        const refDateStr = referenceDates.get(hourTs.slice(0, 10));
+        const yesterdayByHour = byDate.get(refDateStr) ?? new Map();
         const forecastTemp = temps?.get(hourTs) ?? null;
 
-        // --- Path 1: learned regression model (daytime hours only) ---
-        if (h >= DAYTIME_START && h <= DAYTIME_END && daytimeModel && forecastTemp !== null) {
-          const predicted = Math.round(daytimeModel.slope * forecastTemp + daytimeModel.intercept);
+        // --- Path 0: learned day-type profile + temperature adjustment ---
+        const fromProfile = profile.size > 0 ? profileEstimate(profile, hourTs, forecastTemp) : null;
+        if (fromProfile != null) {
+          estimates.push({ hour_ts: hourTs, consumption_w: fromProfile });
+          profileHours++;
+          continue;
+        }
+
+        // --- Path 1: learned heating-degree model (day 08–18 or night 19–07) ---
+        const model = models[modelPeriod(h)];
+        if (model && forecastTemp !== null) {
+          const predicted = Math.round(predictConsumption(model, forecastTemp));
           const clamped = Math.max(100, Math.min(config.consumption.flat_watts * 3, predicted));
           estimates.push({ hour_ts: hourTs, consumption_w: clamped });
           modelHours++;
           continue;
         }
 
-        // --- Path 2: yesterday's value + temperature correction ---
+        // --- Path 2: reference day's value (usually yesterday) + temperature correction ---
         const yesterdayEntry = yesterdayByHour.get(h);
         if (!yesterdayEntry) {
           estimates.push({ hour_ts: hourTs, consumption_w: config.consumption.flat_watts });
@@ -123,7 +166,7 @@ export async function estimateConsumption(windowStart = null) {
         let factor = 1.0;
         if (temps && forecastTemp !== null) {
           const hStr = String(h).padStart(2, '0');
-          const yesterdayHourTs = `${yesterdayDateStr}T${hStr}:00`;
+          const yesterdayHourTs = `${refDateStr}T${hStr}:00`;
           const yesterdayTemp = yesterdayEntry.temp ?? temps.get(yesterdayHourTs);
           if (yesterdayTemp != null) {
             const tempDiff = forecastTemp - yesterdayTemp;
@@ -142,14 +185,16 @@ export async function estimateConsumption(windowStart = null) {
         yesterdayHours++;
       }
 
-      const src = modelHours > 0
-        ? `model(${modelHours}h daytime) + yesterday(${yesterdayHours}h)`
-        : `yesterday(${yesterdayHours}h)`;
-      console.log(`[consumption] Estimated 24h via ${src}`);
+      const src = [
+        profileHours > 0 ? `profile(${profileHours}h)` : null,
+        modelHours > 0 ? `model(${modelHours}h)` : null,
+        yesterdayHours > 0 || (profileHours === 0 && modelHours === 0) ? `yesterday(${yesterdayHours}h)` : null,
+      ].filter(Boolean).join(' + ');
+      console.log(`[consumption] Estimated ${hours}h via ${src}`);
       return estimates;
     }
 
-    console.log('[consumption] No yesterday data, falling back to flat estimate');
+    console.log('[consumption] No recent data, falling back to flat estimate');
   }
 
   // Fallback: flat watts for each window hour
@@ -0,0 +1,18 @@
+import basicAuth from 'express-basic-auth';
+import config from '../config.js';
+
+/**
+ * Express middleware: require the dashboard password when dashboard.auth_pass is set.
+ * For /api routes that change state — the static dashboard is behind its own basicAuth
+ * in api.js, mounted after the /api routers. Checked per request so enabling auth_pass
+ * through the settings editor takes effect at once.
+ */
+export function requireDashboardAuth(req, res, next) {
+  const pass = config.dashboard?.auth_pass;
+  if (!pass) return next();
+  return basicAuth({
+    users: { [config.dashboard.auth_user || 'admin']: pass },
+    challenge: true,
+    realm: 'SolarForecast',
+  })(req, res, next);
+}
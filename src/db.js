@@ -86,36 +86,216 @@ db.exec(`
   )
 `);
 
+// --- solar_array_forecasts table (per-array breakdown of prod_forecast) ---
+// One row per (hour, PV array). solar_readings.prod_forecast remains the summed
+// value that the learner and optimizer use; this table only feeds the API breakdown.
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS solar_array_forecasts (
+    hour_ts         DATETIME,
+    array_name      TEXT,
+    prod_forecast   REAL,
+    PRIMARY KEY (hour_ts, array_name)
+  )
+`);
+
+// --- savings_ledger table (realized cost per 15-min slot) ---
+// Built from energy_snapshots deltas × price_readings by src/savings.js.
+// baseline_cost is the same slot without a battery: actual PV against actual load.
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS savings_ledger (
+    slot_ts          DATETIME PRIMARY KEY,
+    grid_import_kwh  REAL,
+    grid_export_kwh  REAL,
+    pv_kwh           REAL,
+    load_kwh         REAL,
+    spot_price       REAL,
+    buy_price        REAL,              -- spot + grid fee + tax (+ VAT), tariff.js
+    export_price     REAL,              -- spot × sell_price_factor − export fee + compensation
+    actual_cost      REAL,              -- import × buy − export × export_price
+    baseline_cost    REAL,              -- same, with no battery
+    savings          REAL               -- baseline_cost − actual_cost
+  )
+`);
+
+// --- battery_overrides table (manual override queue) ---
+// Times are UTC ISO strings (Date.toISOString) so they compare lexicographically.
+// Cancelled rows are kept for the record; cancelled_at marks them inactive.
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS battery_overrides (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    action        TEXT NOT NULL,
+    starts_at     TEXT NOT NULL,
+    expires_at    TEXT NOT NULL,
+    created_at    TEXT NOT NULL,
+    cancelled_at  TEXT
+  )
+`);
+
+// --- ev_sessions / ev_plan tables (EV charging sessions and their planned charging) ---
+// A session is one plug-in: the car needs energy_kwh by departure_at. Times are UTC ISO
+// strings like battery_overrides; cancelled rows are kept, cancelled_at marks them inactive.
+// ev_plan holds the optimizer's charge power per local 15-min slot for each session —
+// what an external charger should draw. Past rows are kept: they count as delivered.
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS ev_sessions (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    plugin_at     TEXT NOT NULL,
+    departure_at  TEXT NOT NULL,
+    energy_kwh    REAL NOT NULL,   -- energy the car needs (into the battery)
+    max_power_w   REAL,            -- charger limit for this session; null = ev.charge_watts
+    created_at    TEXT NOT NULL,
+    cancelled_at  TEXT
+  )
+`);
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS ev_plan (
+    session_id  INTEGER NOT NULL,
+    slot_ts     TEXT NOT NULL,     -- local "YYYY-MM-DDTHH:MM", like battery_schedule
+    watts       REAL NOT NULL,     -- planned charger draw from the grid
+    PRIMARY KEY (session_id, slot_ts)
+  )
+`);
+
+// --- flex_jobs table (shiftable appliance runs: dishwasher, washer, water heater) ---
+// A job draws power_w for as long as energy_kwh takes, in one uninterrupted run that
+// starts no earlier than earliest_at and ends by deadline_at (UTC ISO, like ev_sessions).
+// planned_start / planned_end are the optimizer's choice as local 15-min slots; once the
+// planned start has passed the job counts as started and is no longer moved.
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS flex_jobs (
+    id             INTEGER PRIMARY KEY AUTOINCREMENT,
+    name           TEXT NOT NULL,
+    power_w        REAL NOT NULL,
+    energy_kwh     REAL NOT NULL,
+    earliest_at    TEXT NOT NULL,
+    deadline_at    TEXT NOT NULL,
+    planned_start  TEXT,           -- local "YYYY-MM-DDTHH:MM"; null = not planned yet
+    planned_end    TEXT,           -- exclusive
+    created_at     TEXT NOT NULL,
+    cancelled_at   TEXT
+  )
+`);
+
+// --- config_versions table (config change history) ---
+// One row per applied config: full JSON snapshot plus the diff against the
+// previous version. source: 'startup' | 'file' | 'web' | 'rollback:<id>'.
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS config_versions (
+    id           INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at   TEXT NOT NULL,
+    source       TEXT NOT NULL,
+    config_json  TEXT NOT NULL,
+    diff_json    TEXT NOT NULL
+  )
+`);
+
+// --- Migrate battery_schedule: add price_estimated column if missing ---
+// 1 = price_kwh came from the historical profile (no day-ahead price yet), see horizon.js
+const bsCols = db.prepare("PRAGMA table_info(battery_schedule)").all();
+if (!bsCols.some(c => c.name === 'price_estimated')) {
+  db.exec('ALTER TABLE battery_schedule ADD COLUMN price_estimated INTEGER DEFAULT 0');
+}
+// heat_offset_c: planned indoor setpoint offset (°C) at the end of the slot, see thermal-model.js;
+// NULL when heat_pump is disabled
+if (!bsCols.some(c => c.name === 'heat_offset_c')) {
+  db.exec('ALTER TABLE battery_schedule ADD COLUMN heat_offset_c REAL');
+}
+// hot_water_w / hot_water_temp_c: planned mean element power and tank temperature at the end
+// of the slot, see hot-water.js; NULL when hot_water is disabled
+if (!bsCols.some(c => c.name === 'hot_water_w')) {
+  db.exec('ALTER TABLE battery_schedule ADD COLUMN hot_water_w REAL');
+  db.exec('ALTER TABLE battery_schedule ADD COLUMN hot_water_temp_c REAL');
+}
+
 // --- Migrate energy_snapshots: add battery_soc column if missing ---
 const esCols = db.prepare("PRAGMA table_info(energy_snapshots)").all();
 if (esCols.length > 0 && !esCols.some(c => c.name === 'battery_soc')) {
   db.exec('ALTER TABLE energy_snapshots ADD COLUMN battery_soc REAL');
 }
 
-// --- consumption_model table (single daytime linear regression) ---
-// Stores one OLS fit across all daytime hours (08–18):
-//   consumption_w = slope * outdoor_temp + intercept
-// Heat loss is temperature-driven, not time-of-day-driven, so one line fits all daytime hours.
-// Nighttime is excluded (EV charging contaminates the signal).
+// --- consumption_model table (piecewise heating-degree models, day and night) ---
+// One row per period, 'day' (08–18) and 'night' (19–07):
+//   consumption_w = intercept + slope × max(0, base_temp − outdoor_temp)
+// Fitted on clean readings only: EV-tagged hours ('inverter_delta_ev') and readings above
+// max_house_w are excluded.
 // Rebuilt hourly by learnConsumptionModel() once MIN_SAMPLES exist.
 
-// Migrate old per-hour schema (hour_of_day INTEGER PK) to single-row schema (model_key TEXT PK)
+// Migrate older schemas — per-hour (hour_of_day PK) and the single linear 'daytime' row
+// (no base_temp) — by dropping: the table is a derived cache, rebuilt on the next learn run.
 const cmCols = db.prepare("PRAGMA table_info(consumption_model)").all();
-if (cmCols.length > 0 && cmCols.some(c => c.name === 'hour_of_day')) {
+if (cmCols.length > 0 && !cmCols.some(c => c.name === 'base_temp')) {
   db.exec('DROP TABLE IF EXISTS consumption_model');
 }
 
 db.exec(`
   CREATE TABLE IF NOT EXISTS consumption_model (
-    model_key     TEXT PRIMARY KEY,  -- 'daytime' (hours 08–18)
-    slope         REAL,              -- W/°C (negative for heating: colder → more consumption)
-    intercept     REAL,              -- W at 0°C
+    model_key     TEXT PRIMARY KEY,  -- 'day' (hours 08–18) | 'night' (19–07)
+    base_temp     REAL,              -- °C below which heating starts
+    base_temp_low REAL,              -- 95% confidence interval of base_temp
+    base_temp_high REAL,
+    slope         REAL,              -- W per heating degree (°C below base_temp)
+    slope_se      REAL,              -- standard error of slope
+    intercept     REAL,              -- W at or above base_temp — the base load
+    intercept_se  REAL,
+    rmse          REAL,              -- residual standard deviation (W)
     sample_count  INTEGER,           -- number of (temp, consumption) pairs used
     r_squared     REAL,              -- goodness of fit (0–1); < 0.3 = weak correlation
     last_updated  DATETIME
   )
 `);
 
+// --- thermal_model table (first-order RC model of the house, heat_pump) ---
+// Single row 'house'. Heat demand follows outdoor temperature low-pass filtered with the
+// building's time constant tau_h = R·C:
+//   heat_pump_w = slope_w_per_c × max(0, base_temp − T_eff),  T_eff = EMA(outdoor, tau_h)
+// ua_w_per_k = slope × COP (heat loss per K, 1/R), capacitance_wh_per_k = tau_h × ua_w_per_k.
+// Rebuilt hourly by learnThermalModel() when heat_pump.enabled.
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS thermal_model (
+    model_key            TEXT PRIMARY KEY,  -- 'house'
+    tau_h                REAL,              -- time constant R·C (hours)
+    ua_w_per_k           REAL,              -- heat loss coefficient (thermal W per K)
+    capacitance_wh_per_k REAL,              -- thermal capacity (Wh per K)
+    base_temp            REAL,              -- °C effective outdoor temperature where heating starts
+    slope_w_per_c        REAL,              -- electrical W per °C below base_temp
+    base_load_w          REAL,              -- non-heating load (W)
+    cop                  REAL,              -- heat_pump.cop used for ua and capacitance
+    rmse                 REAL,
+    sample_count         INTEGER,
+    r_squared            REAL,
+    last_updated         DATETIME
+  )
+`);
+
+// --- consumption_profile table (learned load per day type × hour) ---
+// One row per ('weekday' | 'weekend', hour 0–23): mean load, the mean outdoor temperature
+// of its samples, and the temperature slope shared by all hours of that day type.
+//   estimate = mean_w + slope_w_per_c × (forecast_temp − mean_temp)
+// Rebuilt hourly by learnConsumptionProfile() from the last consumption.profile_days.
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS consumption_profile (
+    day_type      TEXT,              -- 'weekday' | 'weekend' (weekends + holidays)
+    hour          INTEGER,           -- 0–23
+    mean_w        REAL,
+    mean_temp     REAL,              -- NULL when no sample had a temperature
+    slope_w_per_c REAL,              -- pooled over the day type's hours
+    sample_count  INTEGER,
+    rmse_w        REAL,              -- residual error of the fitted values
+    mae_w         REAL,
+    last_updated  DATETIME,
+    PRIMARY KEY (day_type, hour)
+  )
+`);
+
 // --- Migrate correction_matrix_smooth from day_of_year key to month×day×hour ---
 // The smooth table is a derived cache — safe to drop and let the smoother rebuild it.
 
@@ -164,6 +344,24 @@ if (!srColumns.some(c => c.name === 'cloud_cover')) {
   db.exec(`ALTER TABLE solar_readings ADD COLUMN cloud_cover REAL`);
 }
 
+// --- Migrate solar_readings: add DNI/DHI and POA method columns if missing ---
+// dni_forecast / dhi_forecast: beam and diffuse from the weather feed (W/m²), NULL when the
+// source has none; poa_method: 'feed' when model.js transposed them, 'erbs' when it split GHI
+
+for (const [col, type] of [['dni_forecast', 'REAL'], ['dhi_forecast', 'REAL'], ['poa_method', 'TEXT']]) {
+  if (!srColumns.some(c => c.name === col)) {
+    db.exec(`ALTER TABLE solar_readings ADD COLUMN ${col} ${type}`);
+  }
+}
+
+// --- Migrate solar_readings: add forecast quantile columns if missing ---
+
+for (const col of ['prod_p10', 'prod_p50', 'prod_p90']) {
+  if (!srColumns.some(c => c.name === col)) {
+    db.exec(`ALTER TABLE solar_readings ADD COLUMN ${col} REAL`);
+  }
+}
+
 // --- Migrate correction_matrix: add total_weight column if missing ---
 
 const hasWeight = db.prepare("PRAGMA table_info(correction_matrix)").all().some(c => c.name === 'total_weight');
@@ -198,21 +396,28 @@ if (existingCount.cnt === 0) {
 
 const stmts = {
   upsertReading: db.prepare(`
-    INSERT INTO solar_readings (hour_ts, irr_forecast, cloud_cover)
-    VALUES (?, ?, ?)
+    INSERT INTO solar_readings (hour_ts, irr_forecast, cloud_cover, dni_forecast, dhi_forecast)
+    VALUES (?, ?, ?, ?, ?)
     ON CONFLICT(hour_ts) DO UPDATE SET
       irr_forecast       = excluded.irr_forecast,
       cloud_cover        = excluded.cloud_cover,
+      dni_forecast       = excluded.dni_forecast,
+      dhi_forecast       = excluded.dhi_forecast,
       -- When irradiance updates and no actual has been measured yet, clear the stale
       -- forecast so the model reruns with the fresh irradiance data.
       prod_forecast      = CASE WHEN solar_readings.prod_actual IS NOT NULL THEN solar_readings.prod_forecast      ELSE NULL END,
       confidence         = CASE WHEN solar_readings.prod_actual IS NOT NULL THEN solar_readings.confidence         ELSE NULL END,
-      correction_applied = CASE WHEN solar_readings.prod_actual IS NOT NULL THEN solar_readings.correction_applied ELSE NULL END
+      correction_applied = CASE WHEN solar_readings.prod_actual IS NOT NULL THEN solar_readings.correction_applied ELSE NULL END,
+      prod_p10           = CASE WHEN solar_readings.prod_actual IS NOT NULL THEN solar_readings.prod_p10           ELSE NULL END,
+      prod_p50           = CASE WHEN solar_readings.prod_actual IS NOT NULL THEN solar_readings.prod_p50           ELSE NULL END,
+      prod_p90           = CASE WHEN solar_readings.prod_actual IS NOT NULL THEN solar_readings.prod_p90           ELSE NULL END,
+      poa_method         = CASE WHEN solar_readings.prod_actual IS NOT NULL THEN solar_readings.poa_method         ELSE NULL END
   `),
 
   updateForecast: db.prepare(`
     UPDATE solar_readings
-    SET prod_forecast = ?, confidence = ?, correction_applied = ?
+    SET prod_forecast = ?, confidence = ?, correction_applied = ?,
+        prod_p10 = ?, prod_p50 = ?, prod_p90 = ?, poa_method = ?
     WHERE hour_ts = ?
   `),
 
@@ -229,7 +434,7 @@ const stmts = {
   `),
 
   getUnprocessedActuals: db.prepare(`
-    SELECT id, hour_ts, irr_forecast, prod_forecast, prod_actual, cloud_cover
+    SELECT id, hour_ts, irr_forecast, prod_forecast, prod_actual, cloud_cover, poa_method
     FROM solar_readings
     WHERE prod_actual IS NOT NULL
       AND correction IS NULL
@@ -238,21 +443,21 @@ const stmts = {
   `),
 
   getReadingsForForecast: db.prepare(`
-    SELECT hour_ts, irr_forecast, prod_forecast, confidence, cloud_cover
+    SELECT hour_ts, irr_forecast, prod_forecast, confidence, cloud_cover, prod_p10, prod_p50, prod_p90
     FROM solar_readings
     WHERE hour_ts >= ? AND hour_ts < ?
     ORDER BY hour_ts
   `),
 
   getSolarReadingsForRange: db.prepare(`
-    SELECT hour_ts, irr_forecast, prod_forecast, prod_actual, confidence
+    SELECT hour_ts, irr_forecast, prod_forecast, prod_actual, confidence, prod_p10, prod_p50, prod_p90
     FROM solar_readings
     WHERE hour_ts >= ? AND hour_ts < ?
     ORDER BY hour_ts
   `),
 
   getReadingsWithoutForecast: db.prepare(`
-    SELECT hour_ts, irr_forecast, cloud_cover
+    SELECT hour_ts, irr_forecast, cloud_cover, dni_forecast, dhi_forecast
     FROM solar_readings
     WHERE irr_forecast IS NOT NULL
       AND (
@@ -322,12 +527,37 @@ const stmts = {
     WHERE month = ? AND day_of_month = ? AND hour_of_day = ?
   `),
 
+  // Residual ratios (actual / forecast) for the forecast quantiles
+  getCorrectionSamples: db.prepare(`
+    SELECT hour_ts, correction, cloud_cover
+    FROM solar_readings
+    WHERE correction IS NOT NULL
+      AND irr_forecast >= ?
+  `),
+
   getReadingsForSmoothing: db.prepare(`
     SELECT hour_ts, correction, confidence, prod_actual, cloud_cover
     FROM solar_readings
     WHERE correction IS NOT NULL AND confidence IS NOT NULL
   `),
 
+  upsertArrayForecast: db.prepare(`
+    INSERT INTO solar_array_forecasts (hour_ts, array_name, prod_forecast)
+    VALUES (?, ?, ?)
+    ON CONFLICT(hour_ts, array_name) DO UPDATE SET prod_forecast = excluded.prod_forecast
+  `),
+
+  deleteArrayForecastsForHour: db.prepare(`
+    DELETE FROM solar_array_forecasts WHERE hour_ts = ?
+  `),
+
+  getArrayForecastsForRange: db.prepare(`
+    SELECT hour_ts, array_name, prod_forecast
+    FROM solar_array_forecasts
+    WHERE hour_ts >= ? AND hour_ts < ?
+    ORDER BY hour_ts, array_name
+  `),
+
   getRecentActualsForBias: db.prepare(`
     SELECT prod_actual, prod_forecast, irr_forecast
     FROM solar_readings
@@ -339,12 +569,40 @@ const stmts = {
   `),
 };
 
-export function upsertReading(hourTs, irrForecast, cloudCover = null) {
-  return stmts.upsertReading.run(hourTs, irrForecast, cloudCover);
+export function upsertReading(hourTs, irrForecast, cloudCover = null, dni = null, dhi = null) {
+  return stmts.upsertReading.run(hourTs, irrForecast, cloudCover, dni, dhi);
+}
+
+/**
+ * @param {{ p10: number, p50: number, p90: number } | null} [quantiles]  kW, null when no distribution is available
+ * @param {'feed'|'erbs'|null} [poaMethod]  where the beam/diffuse split came from (model.js ghiToPoa)
+ */
+export function updateForecast(hourTs, prodForecast, confidence, correctionApplied, quantiles = null, poaMethod = null) {
+  return stmts.updateForecast.run(
+    prodForecast, confidence, correctionApplied ?? null,
+    quantiles?.p10 ?? null, quantiles?.p50 ?? null, quantiles?.p90 ?? null, poaMethod,
+    hourTs,
+  );
+}
+
+/**
+ * Replace the per-array forecast rows for one hour.
+ * Old rows are deleted first so a renamed or removed array doesn't linger.
+ * @param {string} hourTs
+ * @param {Array<{ name: string, prod_forecast: number }>} arrays
+ */
+export function upsertArrayForecasts(hourTs, arrays) {
+  const tx = db.transaction((rows) => {
+    stmts.deleteArrayForecastsForHour.run(hourTs);
+    for (const a of rows) {
+      stmts.upsertArrayForecast.run(hourTs, a.name, a.prod_forecast);
+    }
+  });
+  return tx(arrays);
 }
 
-export function updateForecast(hourTs, prodForecast, confidence, correctionApplied) {
-  return stmts.updateForecast.run(prodForecast, confidence, correctionApplied ?? null, hourTs);
+export function getArrayForecastsForRange(fromTs, toTs) {
+  return stmts.getArrayForecastsForRange.all(fromTs, toTs);
 }
 
 export function updateActual(hourTs, prodActual) {
@@ -414,6 +672,10 @@ export function getSmoothCell(month, dayOfMonth, hourOfDay) {
   return stmts.getSmoothCell.get(month, dayOfMonth, hourOfDay);
 }
 
+export function getCorrectionSamples(minIrradiance) {
+  return stmts.getCorrectionSamples.all(minIrradiance);
+}
+
 export function getReadingsForSmoothing() {
   return stmts.getReadingsForSmoothing.all();
 }
@@ -431,6 +693,10 @@ const batteryStmts = {
     ON CONFLICT(slot_ts) DO UPDATE SET spot_price = excluded.spot_price, region = excluded.region
   `),
 
+  getLatestPriceSlot: db.prepare(`
+    SELECT MAX(slot_ts) AS slot_ts FROM price_readings
+  `),
+
   getPricesForRange: db.prepare(`
     SELECT slot_ts, spot_price, region
     FROM price_readings
@@ -455,8 +721,9 @@ const batteryStmts = {
   `),
 
   upsertSchedule: db.prepare(`
-    INSERT INTO battery_schedule (slot_ts, action, watts, soc_start, soc_end, price_kwh, solar_watts, consumption_watts)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO battery_schedule (slot_ts, action, watts, soc_start, soc_end, price_kwh, solar_watts, consumption_watts, price_estimated, heat_offset_c,
+      hot_water_w, hot_water_temp_c)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     ON CONFLICT(slot_ts) DO UPDATE SET
       action = excluded.action,
       watts = excluded.watts,
@@ -464,11 +731,16 @@ const batteryStmts = {
       soc_end = excluded.soc_end,
       price_kwh = excluded.price_kwh,
       solar_watts = excluded.solar_watts,
-      consumption_watts = excluded.consumption_watts
+      consumption_watts = excluded.consumption_watts,
+      price_estimated = excluded.price_estimated,
+      heat_offset_c = excluded.heat_offset_c,
+      hot_water_w = excluded.hot_water_w,
+      hot_water_temp_c = excluded.hot_water_temp_c
   `),
 
   getScheduleForRange: db.prepare(`
-    SELECT slot_ts, action, watts, soc_start, soc_end, price_kwh, solar_watts, consumption_watts
+    SELECT slot_ts, action, watts, soc_start, soc_end, price_kwh, solar_watts, consumption_watts, price_estimated, heat_offset_c,
+      hot_water_w, hot_water_temp_c
     FROM battery_schedule
     WHERE slot_ts >= ? AND slot_ts < ?
     ORDER BY slot_ts
@@ -497,6 +769,11 @@ export function getPricesForRange(fromTs, toTs) {
   return batteryStmts.getPricesForRange.all(fromTs, toTs);
 }
 
+/** Last slot_ts with a stored price, or null when there are none. */
+export function getLatestPriceSlot() {
+  return batteryStmts.getLatestPriceSlot.get().slot_ts;
+}
+
 export function upsertConsumption(hourTs, consumptionW, outdoorTemp, source) {
   return batteryStmts.upsertConsumption.run(hourTs, consumptionW, outdoorTemp, source);
 }
@@ -510,7 +787,8 @@ export function upsertScheduleBatch(slots) {
     for (const r of rows) {
       batteryStmts.upsertSchedule.run(
         r.slot_ts, r.action, r.watts, r.soc_start, r.soc_end,
-        r.price_kwh, r.solar_watts, r.consumption_watts
+        r.price_kwh, r.solar_watts, r.consumption_watts, r.price_estimated ? 1 : 0,
+        r.heat_offset_c ?? null, r.hot_water_w ?? null, r.hot_water_temp_c ?? null
       );
     }
   });
@@ -553,9 +831,15 @@ const energyStmts = {
     ORDER BY snapshot_ts
   `),
 
+  getSocSeries: db.prepare(`
+    SELECT snapshot_ts, battery_soc FROM energy_snapshots
+    WHERE battery_soc IS NOT NULL AND snapshot_ts <= ?
+    ORDER BY snapshot_ts
+  `),
+
   // Most recent prod_actual + irr_forecast for a given hour-of-day (for model fallback)
   getLastActualForHour: db.prepare(`
-    SELECT prod_actual, irr_forecast
+    SELECT prod_actual, irr_forecast, dni_forecast, dhi_forecast
     FROM solar_readings
     WHERE strftime('%H', hour_ts) = ?
       AND prod_actual IS NOT NULL
@@ -578,6 +862,11 @@ export function getSnapshotsForRange(fromTs, toTs) {
   return energyStmts.getSnapshotsForRange.all(fromTs, toTs);
 }
 
+/** Every stored SOC reading up to toTs, oldest first (for cumulative cycle counting). */
+export function getSocSeries(toTs) {
+  return energyStmts.getSocSeries.all(toTs);
+}
+
 export function getLastActualForHour(hourOfDay) {
   const hStr = String(hourOfDay).padStart(2, '0');
   return energyStmts.getLastActualForHour.get(hStr);
@@ -604,6 +893,20 @@ const healthStmts = {
       AND irr_forecast > 50
       AND hour_ts >= ?
   `),
+  // Same error split by how the forecast got its beam/diffuse split (poa_method)
+  getSolarMAEByPoaMethod: db.prepare(`
+    SELECT
+      COALESCE(poa_method, 'unknown') AS poa_method,
+      AVG(ABS(prod_actual - prod_forecast)) AS mae,
+      AVG(prod_actual - prod_forecast) AS bias,
+      COUNT(*) AS n
+    FROM solar_readings
+    WHERE prod_actual IS NOT NULL
+      AND prod_forecast IS NOT NULL
+      AND irr_forecast > 50
+      AND hour_ts >= ?
+    GROUP BY COALESCE(poa_method, 'unknown')
+  `),
 };
 
 export function recordPipelineRun(pipeline, status = 'ok') {
@@ -618,52 +921,384 @@ export function getSolarMAE(fromTs) {
   return healthStmts.getSolarMAE.get(fromTs);
 }
 
+export function getSolarMAEByPoaMethod(fromTs) {
+  return healthStmts.getSolarMAEByPoaMethod.all(fromTs);
+}
+
 // --- Consumption model helpers ---
 
 const consumptionModelStmts = {
-  // All daytime (08–18) readings that have both temp and consumption.
-  // Readings above maxHouseW are excluded (EV charging / other large transient loads).
-  // Pass maxHouseW=Infinity (or a very large number) to disable the filter.
-  getDaytimeHistory: db.prepare(`
-    SELECT consumption_w, outdoor_temp
+  // All readings that have both temp and consumption, with hour and source so the
+  // learner can split day/night and drop EV-tagged hours (hour_ts for thermal-model.js).
+  getHistory: db.prepare(`
+    SELECT hour_ts, CAST(strftime('%H', hour_ts) AS INTEGER) AS hour, consumption_w, outdoor_temp, source
     FROM consumption_readings
-    WHERE CAST(strftime('%H', hour_ts) AS INTEGER) >= 8
-      AND CAST(strftime('%H', hour_ts) AS INTEGER) <= 18
-      AND outdoor_temp  IS NOT NULL
+    WHERE outdoor_temp  IS NOT NULL
       AND consumption_w IS NOT NULL
       AND consumption_w > 0
-      AND consumption_w <= ?
     ORDER BY hour_ts
   `),
 
   upsertModel: db.prepare(`
-    INSERT INTO consumption_model (model_key, slope, intercept, sample_count, r_squared, last_updated)
-    VALUES ('daytime', ?, ?, ?, ?, datetime('now'))
+    INSERT INTO consumption_model (model_key, base_temp, base_temp_low, base_temp_high, slope, slope_se,
+      intercept, intercept_se, rmse, sample_count, r_squared, last_updated)
+    VALUES (@model_key, @base_temp, @base_temp_low, @base_temp_high, @slope, @slope_se,
+      @intercept, @intercept_se, @rmse, @sample_count, @r_squared, datetime('now'))
+    ON CONFLICT(model_key) DO UPDATE SET
+      base_temp      = excluded.base_temp,
+      base_temp_low  = excluded.base_temp_low,
+      base_temp_high = excluded.base_temp_high,
+      slope          = excluded.slope,
+      slope_se       = excluded.slope_se,
+      intercept      = excluded.intercept,
+      intercept_se   = excluded.intercept_se,
+      rmse           = excluded.rmse,
+      sample_count   = excluded.sample_count,
+      r_squared      = excluded.r_squared,
+      last_updated   = excluded.last_updated
+  `),
+
+  getModels: db.prepare(`
+    SELECT * FROM consumption_model
+  `),
+};
+
+export function getConsumptionModelHistory() {
+  return consumptionModelStmts.getHistory.all();
+}
+
+/** @param {object} fit  row with model_key ('day' | 'night') and the fitted columns */
+export function upsertConsumptionModel(fit) {
+  return consumptionModelStmts.upsertModel.run(fit);
+}
+
+/** Fitted models keyed by period: { day?: row, night?: row } */
+export function getConsumptionModels() {
+  return Object.fromEntries(consumptionModelStmts.getModels.all().map(r => [r.model_key, r]));
+}
+
+// --- Thermal model helpers ---
+
+const thermalModelStmts = {
+  upsert: db.prepare(`
+    INSERT INTO thermal_model (model_key, tau_h, ua_w_per_k, capacitance_wh_per_k, base_temp,
+      slope_w_per_c, base_load_w, cop, rmse, sample_count, r_squared, last_updated)
+    VALUES ('house', @tau_h, @ua_w_per_k, @capacitance_wh_per_k, @base_temp,
+      @slope_w_per_c, @base_load_w, @cop, @rmse, @sample_count, @r_squared, datetime('now'))
     ON CONFLICT(model_key) DO UPDATE SET
-      slope        = excluded.slope,
-      intercept    = excluded.intercept,
-      sample_count = excluded.sample_count,
-      r_squared    = excluded.r_squared,
-      last_updated = excluded.last_updated
+      tau_h                = excluded.tau_h,
+      ua_w_per_k           = excluded.ua_w_per_k,
+      capacitance_wh_per_k = excluded.capacitance_wh_per_k,
+      base_temp            = excluded.base_temp,
+      slope_w_per_c        = excluded.slope_w_per_c,
+      base_load_w          = excluded.base_load_w,
+      cop                  = excluded.cop,
+      rmse                 = excluded.rmse,
+      sample_count         = excluded.sample_count,
+      r_squared            = excluded.r_squared,
+      last_updated         = excluded.last_updated
   `),
 
-  getModel: db.prepare(`
-    SELECT slope, intercept, sample_count, r_squared, last_updated
-    FROM consumption_model
-    WHERE model_key = 'daytime'
+  get: db.prepare(`
+    SELECT * FROM thermal_model WHERE model_key = 'house'
   `),
 };
 
-export function getDaytimeConsumptionHistory(maxHouseW) {
-  return consumptionModelStmts.getDaytimeHistory.all(maxHouseW ?? 1e9);
+/** @param {object} fit  the fitted thermal_model columns (without model_key) */
+export function upsertThermalModel(fit) {
+  return thermalModelStmts.upsert.run(fit);
+}
+
+/** The fitted house model, or null before the first fit. */
+export function getThermalModel() {
+  return thermalModelStmts.get.get() ?? null;
+}
+
+// --- Consumption profile helpers ---
+
+const consumptionProfileStmts = {
+  // Readings for profile learning: clean house load (EV already stripped) up to maxHouseW
+  getHistory: db.prepare(`
+    SELECT hour_ts, consumption_w, outdoor_temp
+    FROM consumption_readings
+    WHERE hour_ts >= ?
+      AND consumption_w IS NOT NULL
+      AND consumption_w > 0
+      AND consumption_w <= ?
+    ORDER BY hour_ts
+  `),
+
+  deleteAll: db.prepare('DELETE FROM consumption_profile'),
+
+  insert: db.prepare(`
+    INSERT INTO consumption_profile
+      (day_type, hour, mean_w, mean_temp, slope_w_per_c, sample_count, rmse_w, mae_w, last_updated)
+    VALUES (@day_type, @hour, @mean_w, @mean_temp, @slope_w_per_c, @sample_count, @rmse_w, @mae_w, datetime('now'))
+  `),
+
+  getAll: db.prepare(`
+    SELECT * FROM consumption_profile ORDER BY day_type DESC, hour
+  `),
+};
+
+export function getConsumptionProfileHistory(fromTs, maxHouseW) {
+  return consumptionProfileStmts.getHistory.all(fromTs, maxHouseW ?? 1e9);
+}
+
+/** Replace the whole profile — cells that lost all their readings disappear. */
+export function replaceConsumptionProfile(rows) {
+  const tx = db.transaction((rows) => {
+    consumptionProfileStmts.deleteAll.run();
+    for (const r of rows) consumptionProfileStmts.insert.run(r);
+  });
+  return tx(rows);
+}
+
+export function getConsumptionProfile() {
+  return consumptionProfileStmts.getAll.all();
+}
+
+
+// --- Savings ledger helpers ---
+
+// Rollup over a key prefix of slot_ts: 10 = day, 7 = month, 4 = year.
+function savingsRollupStmt(prefixLen) {
+  return db.prepare(`
+    SELECT substr(slot_ts, 1, ${prefixLen}) AS period,
+           COUNT(*)             AS slots,
+           SUM(grid_import_kwh) AS grid_import_kwh,
+           SUM(grid_export_kwh) AS grid_export_kwh,
+           SUM(pv_kwh)          AS pv_kwh,
+           SUM(load_kwh)        AS load_kwh,
+           SUM(actual_cost)     AS actual_cost,
+           SUM(baseline_cost)   AS baseline_cost,
+           SUM(savings)         AS savings
+    FROM savings_ledger
+    WHERE slot_ts >= ? AND slot_ts < ?
+    GROUP BY period
+    ORDER BY period
+  `);
+}
+
+const savingsStmts = {
+  upsert: db.prepare(`
+    INSERT INTO savings_ledger (slot_ts, grid_import_kwh, grid_export_kwh, pv_kwh, load_kwh,
+      spot_price, buy_price, export_price, actual_cost, baseline_cost, savings)
+    VALUES (@slot_ts, @grid_import_kwh, @grid_export_kwh, @pv_kwh, @load_kwh,
+      @spot_price, @buy_price, @export_price, @actual_cost, @baseline_cost, @savings)
+    ON CONFLICT(slot_ts) DO UPDATE SET
+      grid_import_kwh = excluded.grid_import_kwh,
+      grid_export_kwh = excluded.grid_export_kwh,
+      pv_kwh          = excluded.pv_kwh,
+      load_kwh        = excluded.load_kwh,
+      spot_price      = excluded.spot_price,
+      buy_price       = excluded.buy_price,
+      export_price    = excluded.export_price,
+      actual_cost     = excluded.actual_cost,
+      baseline_cost   = excluded.baseline_cost,
+      savings         = excluded.savings
+  `),
+  daily:   savingsRollupStmt(10),
+  monthly: savingsRollupStmt(7),
+  yearly:  savingsRollupStmt(4),
+};
+
+export function upsertSavingsBatch(rows) {
+  const tx = db.transaction((rows) => {
+    for (const r of rows) savingsStmts.upsert.run(r);
+  });
+  return tx(rows);
+}
+
+/**
+ * Savings rollups for [fromTs, toTs).
+ * @param {'daily'|'monthly'|'yearly'} period
+ */
+export function getSavingsRollup(period, fromTs, toTs) {
+  return savingsStmts[period].all(fromTs, toTs);
+}
+
+
+// --- Battery override helpers ---
+
+const overrideStmts = {
+  insert: db.prepare(`
+    INSERT INTO battery_overrides (action, starts_at, expires_at, created_at)
+    VALUES (?, ?, ?, ?)
+  `),
+  getById: db.prepare(`SELECT * FROM battery_overrides WHERE id = ?`),
+  // Not cancelled and not yet expired — active and upcoming, in start order
+  getPending: db.prepare(`
+    SELECT * FROM battery_overrides
+    WHERE cancelled_at IS NULL AND expires_at > ?
+    ORDER BY starts_at, id
+  `),
+  cancel: db.prepare(`
+    UPDATE battery_overrides SET cancelled_at = ?
+    WHERE id = ? AND cancelled_at IS NULL
+  `),
+};
+
+export function insertOverride(action, startsAt, expiresAt) {
+  const info = overrideStmts.insert.run(action, startsAt, expiresAt, new Date().toISOString());
+  return overrideStmts.getById.get(info.lastInsertRowid);
+}
+
+export function getPendingOverrides(nowIso) {
+  return overrideStmts.getPending.all(nowIso);
+}
+
+/** @returns {boolean} true if a pending override was cancelled */
+export function cancelOverrideById(id) {
+  return overrideStmts.cancel.run(new Date().toISOString(), id).changes > 0;
+}
+
+
+// --- EV session helpers ---
+
+const evStmts = {
+  insert: db.prepare(`
+    INSERT INTO ev_sessions (plugin_at, departure_at, energy_kwh, max_power_w, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `),
+  getById: db.prepare(`SELECT * FROM ev_sessions WHERE id = ?`),
+  // Not cancelled and not yet departed — plugged in and upcoming, in plug-in order
+  getPending: db.prepare(`
+    SELECT * FROM ev_sessions
+    WHERE cancelled_at IS NULL AND departure_at > ?
+    ORDER BY plugin_at, id
+  `),
+  cancel: db.prepare(`
+    UPDATE ev_sessions SET cancelled_at = ?
+    WHERE id = ? AND cancelled_at IS NULL
+  `),
+  getPlan: db.prepare(`
+    SELECT slot_ts, watts FROM ev_plan WHERE session_id = ? ORDER BY slot_ts
+  `),
+  deletePlanFrom: db.prepare(`
+    DELETE FROM ev_plan WHERE session_id = ? AND slot_ts >= ?
+  `),
+  insertPlan: db.prepare(`
+    INSERT OR REPLACE INTO ev_plan (session_id, slot_ts, watts) VALUES (?, ?, ?)
+  `),
+  // Planned draw per slot over all sessions not cancelled
+  getPlanForRange: db.prepare(`
+    SELECT p.slot_ts, p.session_id, p.watts
+    FROM ev_plan p JOIN ev_sessions s ON s.id = p.session_id
+    WHERE s.cancelled_at IS NULL AND p.slot_ts >= ? AND p.slot_ts < ?
+    ORDER BY p.slot_ts, p.session_id
+  `),
+};
+
+export function insertEvSession(pluginAt, departureAt, energyKwh, maxPowerW) {
+  const info = evStmts.insert.run(pluginAt, departureAt, energyKwh, maxPowerW ?? null, new Date().toISOString());
+  return evStmts.getById.get(info.lastInsertRowid);
+}
+
+export function getPendingEvSessions(nowIso) {
+  return evStmts.getPending.all(nowIso);
+}
+
+/** @returns {boolean} true if a pending session was cancelled */
+export function cancelEvSessionById(id) {
+  return evStmts.cancel.run(new Date().toISOString(), id).changes > 0;
+}
+
+export function getEvPlan(sessionId) {
+  return evStmts.getPlan.all(sessionId);
+}
+
+/**
+ * Replace a session's plan from fromTs onwards; earlier slots are kept.
+ * @param {Array<{slot_ts: string, watts: number}>} rows
+ */
+export function replaceEvPlanFrom(sessionId, fromTs, rows) {
+  const tx = db.transaction((items) => {
+    evStmts.deletePlanFrom.run(sessionId, fromTs);
+    for (const r of items) evStmts.insertPlan.run(sessionId, r.slot_ts, r.watts);
+  });
+  return tx(rows);
+}
+
+export function getEvPlanForRange(fromTs, toTs) {
+  return evStmts.getPlanForRange.all(fromTs, toTs);
+}
+
+
+// --- Flexible load helpers ---
+
+const flexStmts = {
+  insert: db.prepare(`
+    INSERT INTO flex_jobs (name, power_w, energy_kwh, earliest_at, deadline_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `),
+  getById: db.prepare(`SELECT * FROM flex_jobs WHERE id = ?`),
+  // Not cancelled and deadline not passed — waiting, planned and running, in deadline order
+  getPending: db.prepare(`
+    SELECT * FROM flex_jobs
+    WHERE cancelled_at IS NULL AND deadline_at > ?
+    ORDER BY deadline_at, id
+  `),
+  cancel: db.prepare(`
+    UPDATE flex_jobs SET cancelled_at = ?
+    WHERE id = ? AND cancelled_at IS NULL
+  `),
+  setPlan: db.prepare(`
+    UPDATE flex_jobs SET planned_start = ?, planned_end = ? WHERE id = ?
+  `),
+};
+
+export function insertFlexJob(name, powerW, energyKwh, earliestAt, deadlineAt) {
+  const info = flexStmts.insert.run(name, powerW, energyKwh, earliestAt, deadlineAt, new Date().toISOString());
+  return flexStmts.getById.get(info.lastInsertRowid);
+}
+
+export function getPendingFlexJobs(nowIso) {
+  return flexStmts.getPending.all(nowIso);
+}
+
+/** @returns {boolean} true if a pending job was cancelled */
+export function cancelFlexJobById(id) {
+  return flexStmts.cancel.run(new Date().toISOString(), id).changes > 0;
+}
+
+/** Store the planned run of one job; null start/end = deferred past the horizon. */
+export function setFlexJobPlan(id, plannedStart, plannedEnd) {
+  return flexStmts.setPlan.run(plannedStart, plannedEnd, id);
+}
+
+
+// --- Config version helpers ---
+
+const configVersionStmts = {
+  insert: db.prepare(`
+    INSERT INTO config_versions (created_at, source, config_json, diff_json)
+    VALUES (?, ?, ?, ?)
+  `),
+  getLatest: db.prepare(`SELECT * FROM config_versions ORDER BY id DESC LIMIT 1`),
+  getById:   db.prepare(`SELECT * FROM config_versions WHERE id = ?`),
+  list: db.prepare(`
+    SELECT id, created_at, source, diff_json
+    FROM config_versions
+    ORDER BY id DESC
+    LIMIT ?
+  `),
+};
+
+export function insertConfigVersion(source, configJson, diffJson) {
+  return Number(configVersionStmts.insert.run(new Date().toISOString(), source, configJson, diffJson).lastInsertRowid);
+}
+
+export function getLatestConfigVersion() {
+  return configVersionStmts.getLatest.get();
 }
 
-export function upsertConsumptionModel(slope, intercept, sampleCount, rSquared) {
-  return consumptionModelStmts.upsertModel.run(slope, intercept, sampleCount, rSquared);
+export function getConfigVersion(id) {
+  return configVersionStmts.getById.get(id);
 }
 
-export function getDaytimeConsumptionModel() {
-  return consumptionModelStmts.getModel.get();
+export function getConfigVersions(limit = 50) {
+  return configVersionStmts.list.all(limit);
 }
 
 export default db;
@@ -0,0 +1,40 @@
+import config from '../config.js';
+
+/**
+ * Battery wear.
+ *
+ * Wear is charged per kWh leaving the battery (house discharge and grid export).
+ * One equivalent full cycle (EFC) = capacity_kwh discharged, regardless of how
+ * many partial cycles it took. The per-kWh cost is battery.degradation.cost_per_kwh,
+ * or, when that is null, derived from the pack price and its cycle rating:
+ *
+ *   cost_per_kwh = pack_price / (cycle_life × capacity_kwh × rated_dod)
+ *
+ * i.e. the pack price spread over the energy it can deliver in its rated life.
+ */
+
+/** Wear cost per kWh discharged (0 = cycling is free). */
+export function wearCostPerKwh() {
+  const deg = config.battery.degradation;
+  if (!deg) return 0;
+  if (deg.cost_per_kwh != null) return deg.cost_per_kwh;
+  if (!deg.pack_price || !deg.cycle_life) return 0;
+  return deg.pack_price / (deg.cycle_life * config.battery.capacity_kwh * (deg.rated_dod ?? 1));
+}
+
+/**
+ * Cumulative equivalent full cycles from a SOC series: every SOC drop counts as
+ * discharge. Gaps between readings hide the cycling that happened in them.
+ *
+ * @param {Array<{ snapshot_ts: string, battery_soc: number }>} rows  ordered by time
+ * @returns {Array<{ ts: string, efc: number }>} running total after each reading
+ */
+export function cumulativeCycles(rows) {
+  let efc = 0;
+  let prev = null;
+  return rows.map(r => {
+    if (prev != null && r.battery_soc < prev) efc += (prev - r.battery_soc) / 100;
+    prev = r.battery_soc;
+    return { ts: r.snapshot_ts, efc };
+  });
+}
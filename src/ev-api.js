@@ -0,0 +1,92 @@
+import { Router } from 'express';
+import config from '../config.js';
+import { addEvSession, cancelEvSession, listEvSessions, currentEvPlan } from './ev.js';
+import { parseApiTime } from './timeutils.js';
+import { requireDashboardAuth } from './dashboard-auth.js';
+import log from './logger.js';
+
+/**
+ * EV charging sessions — mounted at /api/ev.
+ *
+ *   GET    /sessions      pending sessions (plugged in or upcoming)
+ *   POST   /sessions      { departure, energy_kwh, plugin?, max_power_w? }
+ *   DELETE /sessions/:id  cancel; the charger's plan is dropped from now on
+ *   GET    /plan          charger draw for the current slot and every planned slot ahead
+ *
+ * Times are ISO 8601 with zone or local "YYYY-MM-DDTHH:MM" in the configured timezone.
+ * POST and DELETE require the dashboard password when one is set.
+ */
+
+const router = Router();
+
+const MAX_SESSION_HOURS = 7 * 24;
+
+// Re-plan hook — scheduler.js registers batteryPipeline so a new or cancelled
+// session is planned at once instead of at the next hourly run. batteryPipeline is
+// single-flight: a request during a run queues one follow-up run.
+let replan = null;
+
+/** Called by scheduler.js at startup. */
+export function setEvReplan(fn) {
+  replan = fn;
+}
+
+function requestReplan() {
+  if (replan) Promise.resolve(replan()).catch(err => log.warn('ev', `Re-plan failed: ${err.message}`));
+}
+
+function parseSessionTime(value) {
+  return parseApiTime(value, config.location.timezone);
+}
+
+router.get('/sessions', (req, res) => {
+  res.json({ sessions: listEvSessions() });
+});
+
+router.post('/sessions', requireDashboardAuth, (req, res) => {
+  const { plugin, departure, energy_kwh, max_power_w } = req.body ?? {};
+  const now = new Date();
+
+  const pluginDate = plugin != null ? parseSessionTime(plugin) : now;
+  if (!pluginDate) return res.status(400).json({ error: 'plugin must be an ISO timestamp or local YYYY-MM-DDTHH:MM' });
+  const departureDate = parseSessionTime(departure);
+  if (!departureDate) return res.status(400).json({ error: 'departure must be an ISO timestamp or local YYYY-MM-DDTHH:MM' });
+  if (departureDate <= now) return res.status(400).json({ error: 'departure is in the past' });
+  const hours = (departureDate - pluginDate) / 3_600_000;
+  if (hours <= 0 || hours > MAX_SESSION_HOURS) {
+    return res.status(400).json({ error: `departure must be after plugin and within ${MAX_SESSION_HOURS} h of it` });
+  }
+
+  const energy = Number(energy_kwh);
+  if (!Number.isFinite(energy) || energy <= 0 || energy > 200) {
+    return res.status(400).json({ error: 'energy_kwh must be a number between 0 and 200' });
+  }
+  let maxPower = null;
+  if (max_power_w != null) {
+    maxPower = Number(max_power_w);
+    if (!Number.isFinite(maxPower) || maxPower <= 0) {
+      return res.status(400).json({ error: 'max_power_w must be a positive number' });
+    }
+  } else if (!(config.ev?.charge_watts > 0)) {
+    return res.status(400).json({ error: 'max_power_w is required when ev.charge_watts is not configured' });
+  }
+
+  const session = addEvSession(pluginDate, departureDate, energy, maxPower);
+  requestReplan();
+  res.status(201).json(session);
+});
+
+router.delete('/sessions/:id', requireDashboardAuth, (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'id must be an integer' });
+  if (!cancelEvSession(id)) return res.status(404).json({ error: `No pending EV session with id ${id}` });
+  requestReplan();
+  res.json({ cancelled: true, id });
+});
+
+// For an external charger: poll every few minutes and draw `watts` (0 = pause)
+router.get('/plan', (req, res) => {
+  res.json({ generated_at: new Date().toISOString(), ...currentEvPlan() });
+});
+
+export default router;
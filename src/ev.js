@@ -0,0 +1,124 @@
+/**
+ * EV charging sessions, persisted in SQLite (ev_sessions, ev_plan).
+ *
+ * A session says: the car is (or will be) plugged in from plugin_at and needs
+ * energy_kwh in its battery by departure_at. runOptimizer plans the charger as a
+ * flexible load — the cheapest slots between plug-in and departure, within the
+ * peak-shaving import cap — and stores the resulting draw per slot in ev_plan,
+ * which an external charger reads via GET /api/ev/plan.
+ *
+ * There is no feedback from the charger: energy planned for slots already past
+ * is assumed delivered, so each run plans only what is still missing.
+ *
+ * Grid energy = car energy / ev.charge_efficiency (charger and on-board losses).
+ */
+
+import config from '../config.js';
+import {
+  insertEvSession, getPendingEvSessions, cancelEvSessionById,
+  getEvPlan, replaceEvPlanFrom, getEvPlanForRange,
+} from './db.js';
+import { localSlotTs } from './timeutils.js';
+
+const SLOT_H = 0.25;
+
+/** Charger and on-board charging efficiency (grid → car battery). */
+export function evEfficiency() {
+  return config.ev?.charge_efficiency ?? 0.9;
+}
+
+/** Local "YYYY-MM-DDTHH:MM" of a Date, floored to its 15-min slot. */
+function slotOf(date) {
+  return localSlotTs(date, config.location.timezone);
+}
+
+/** Car-side Wh planned for slots before beforeTs — assumed delivered. */
+function deliveredWh(sessionId, beforeTs) {
+  return getEvPlan(sessionId)
+    .filter(r => r.slot_ts < beforeTs)
+    .reduce((sum, r) => sum + r.watts * SLOT_H * evEfficiency(), 0);
+}
+
+function toView(row, now = new Date()) {
+  const nowTs = slotOf(now);
+  const delivered = deliveredWh(row.id, nowTs) / 1000;
+  return {
+    id: row.id,
+    plugin_at: row.plugin_at,
+    departure_at: row.departure_at,
+    energy_kwh: row.energy_kwh,
+    max_power_w: row.max_power_w ?? config.ev?.charge_watts ?? null,
+    plugged_in: Date.parse(row.plugin_at) <= now.getTime(),
+    delivered_kwh: Math.round(delivered * 100) / 100,
+    remaining_kwh: Math.round(Math.max(0, row.energy_kwh - delivered) * 100) / 100,
+  };
+}
+
+/**
+ * Store a new session.
+ * @param {Date} plugin
+ * @param {Date} departure
+ * @param {number} energyKwh   energy the car needs
+ * @param {number} [maxPowerW] charger limit for this session (default ev.charge_watts)
+ * @returns {object} the stored session (same shape as listEvSessions entries)
+ */
+export function addEvSession(plugin, departure, energyKwh, maxPowerW) {
+  return toView(insertEvSession(plugin.toISOString(), departure.toISOString(), energyKwh, maxPowerW));
+}
+
+/**
+ * Cancel a session and drop its plan from the current slot on, so the charger stops.
+ * @returns {boolean} false if no pending session has that id
+ */
+export function cancelEvSession(id) {
+  if (!cancelEvSessionById(id)) return false;
+  replaceEvPlanFrom(id, slotOf(new Date()), []);
+  return true;
+}
+
+/** Sessions not cancelled and not yet departed, in plug-in order. */
+export function listEvSessions() {
+  const now = new Date();
+  return getPendingEvSessions(now.toISOString()).map(r => toView(r, now));
+}
+
+/**
+ * Sessions for the optimizer window starting at fromTs, in the optimizer's terms.
+ * @param {string} fromTs  local "YYYY-MM-DDTHH:MM", first slot of the window
+ * @returns {Array<{ id, plugin_ts, departure_ts, departure_at, remaining_wh, max_w }>}
+ *   plugin_ts / departure_ts: local slot timestamps — slots in [plugin_ts, departure_ts)
+ *   are available; remaining_wh is car-side energy still missing
+ */
+export function evSessionsForPlanning(fromTs) {
+  const now = new Date();
+  return getPendingEvSessions(now.toISOString()).map(r => ({
+    id:           r.id,
+    plugin_ts:    slotOf(new Date(r.plugin_at)),
+    departure_ts: slotOf(new Date(r.departure_at)),
+    departure_at: r.departure_at,
+    remaining_wh: Math.max(0, r.energy_kwh * 1000 - deliveredWh(r.id, fromTs)),
+    max_w:        r.max_power_w ?? config.ev?.charge_watts ?? 0,
+  })).filter(s => s.remaining_wh > 0 && s.max_w > 0);
+}
+
+/** Store the optimizer's plan for one session from fromTs onwards. */
+export function saveEvPlan(sessionId, fromTs, rows) {
+  replaceEvPlanFrom(sessionId, fromTs, rows);
+}
+
+/**
+ * The charge plan for an external charger: draw for the current slot and every
+ * planned slot ahead, summed over sessions.
+ * @returns {{ slot: string, watts: number, session_id: number|null, plan: Array<{slot, watts, session_id}> }}
+ */
+export function currentEvPlan(now = new Date()) {
+  const nowTs = slotOf(now);
+  const rows = getEvPlanForRange(nowTs, '9999-12-31T00:00');
+  const current = rows.filter(r => r.slot_ts === nowTs);
+  return {
+    slot: nowTs,
+    watts: Math.round(current.reduce((sum, r) => sum + r.watts, 0)),
+    session_id: current[0]?.session_id ?? null,
+    plan: rows.map(r => ({ slot: r.slot_ts, watts: Math.round(r.watts), session_id: r.session_id })),
+  };
+}
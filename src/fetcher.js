@@ -27,35 +27,79 @@ export async function withRetry(fn, { attempts = 3, delayMs = 5000 } = {}) {
   throw lastErr;
 }
 
-export async function fetchWeather() {
-  const { lat, lon } = config.location;
-
-  const url = `https://api.open-meteo.com/v1/forecast`
-    + `?latitude=${lat}&longitude=${lon}`
-    + `&hourly=shortwave_radiation,cloud_cover`
-    + `&forecast_days=2`
-    + `&timezone=${encodeURIComponent(config.location.timezone)}`;
-
-  return withRetry(async () => {
-    log.info('fetch', `GET ${url}`);
-    const t0 = Date.now();
-    const res = await fetch(url);
-    log.info('fetch', `${res.status} in ${Date.now() - t0}ms`);
-    if (!res.ok) {
-      throw new Error(`Open-Meteo request failed: ${res.status} ${res.statusText}`);
+// The fetch pipeline runs every 6 h; the margin covers a slow or retried fetch
+const CACHE_MAX_AGE_MS = 6.5 * 60 * 60 * 1000;
+
+let lastWeather = null;   // { at, source, hours } of the last successful fetch
+
+/**
+ * Fetch the hourly weather forecast, trying config.weather.sources in order.
+ * Each source is a module in src/weather/ exporting fetchWeather({ lat, lon, timezone })
+ * that resolves to { hours, raw } or null. A source that fails or has no data
+ * falls through to the next; the raw response of the one used is archived in data/raw/
+ * unless `archive` is false.
+ *
+ * @param {{ archive?: boolean }} [opts]
+ * @returns {Promise<{ source: string, hours: Array<{ hour_ts: string, ghi: number|null,
+ *   dni: number|null, dhi: number|null, cloud_cover: number|null, temperature: number|null }> }>}
+ *   hour_ts local "YYYY-MM-DDTHH:00"; irradiance W/m² (hour-before mean), cloud cover 0–100 %, °C
+ */
+export async function fetchWeather({ archive = true } = {}) {
+  const sources = config.weather?.sources ?? ['openmeteo'];
+  const { lat, lon, timezone } = config.location;
+
+  for (const source of sources) {
+    let provider;
+    try {
+      provider = await import(`./weather/${source}.js`);
+    } catch {
+      throw new Error(`Unknown weather source '${source}': no file found at src/weather/${source}.js`);
     }
 
-    const data = await res.json();
+    const hasNext = sources.indexOf(source) < sources.length - 1;
+    let result;
+    try {
+      result = await provider.fetchWeather({ lat, lon, timezone });
+    } catch (err) {
+      log.warn('fetch', `${source}: ${err.message}${hasNext ? ' — trying next source' : ''}`);
+      continue;
+    }
+    if (!result) {
+      log.warn('fetch', `${source}: no weather data${hasNext ? ' — trying next source' : ''}`);
+      continue;
+    }
 
     // Write raw JSON to data/raw/
-    const now = new Date();
-    const pad = (n) => String(n).padStart(2, '0');
-    const stamp = `${now.getUTCFullYear()}${pad(now.getUTCMonth() + 1)}${pad(now.getUTCDate())}`;
-    const time = `${pad(now.getUTCHours())}${pad(now.getUTCMinutes())}`;
-    const filename = `openmeteo_${stamp}_${time}.json`;
-    fs.writeFileSync(path.join(RAW_DIR, filename), JSON.stringify(data, null, 2));
-
-    log.info('fetch', `Saved raw weather data to ${filename}`);
-    return data;
-  });
+    if (archive) {
+      const now = new Date();
+      const pad = (n) => String(n).padStart(2, '0');
+      const stamp = `${now.getUTCFullYear()}${pad(now.getUTCMonth() + 1)}${pad(now.getUTCDate())}`;
+      const time = `${pad(now.getUTCHours())}${pad(now.getUTCMinutes())}`;
+      const filename = `${source}_${stamp}_${time}.json`;
+      fs.writeFileSync(path.join(RAW_DIR, filename), JSON.stringify(result.raw, null, 2));
+      log.info('fetch', `Saved raw weather data to ${filename}`);
+    }
+    if (source !== sources[0]) {
+      log.info('fetch', `Used fallback weather source: ${source}`);
+    }
+
+    lastWeather = { at: Date.now(), source, hours: result.hours };
+    return { source, hours: result.hours };
+  }
+
+  throw new Error(`No weather data from any source (${sources.join(', ')})`);
+}
+
+/**
+ * The last fetched forecast when it is recent enough, else a fresh fetchWeather().
+ * For consumers that only need temperatures (consumption estimate and readings), so
+ * they share the 6-hourly fetch instead of calling the weather API themselves.
+ * A refill (after a restart, or when the pipeline fetch failed) is not archived:
+ * data/raw/ holds only what the fetch pipeline parsed into solar_readings.
+ */
+export async function getWeather({ maxAgeMs = CACHE_MAX_AGE_MS } = {}) {
+  if (lastWeather && Date.now() - lastWeather.at <= maxAgeMs) {
+    return { source: lastWeather.source, hours: lastWeather.hours };
+  }
+  return fetchWeather({ archive: false });
 }
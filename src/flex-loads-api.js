@@ -0,0 +1,87 @@
+import { Router } from 'express';
+import config from '../config.js';
+import { addFlexJob, cancelFlexJob, listFlexJobs, currentFlexPlan, flexJobSlots } from './flex-loads.js';
+import { parseApiTime } from './timeutils.js';
+import { requireDashboardAuth } from './dashboard-auth.js';
+import log from './logger.js';
+
+/**
+ * Flexible load registry — mounted at /api/flex-loads.
+ *
+ *   GET    /       pending jobs (waiting, scheduled, running, finished before deadline)
+ *   POST   /       { name, power_w, energy_kwh, deadline, earliest_start? }
+ *   DELETE /:id    cancel a job
+ *   GET    /plan   jobs to switch on in the current slot, and every job's planned run
+ *
+ * Times are ISO 8601 with zone or local "YYYY-MM-DDTHH:MM" in the configured timezone.
+ * POST and DELETE require the dashboard password when one is set.
+ */
+
+const router = Router();
+
+const MAX_JOB_HOURS = 7 * 24;
+
+// Re-plan hook — scheduler.js registers batteryPipeline so a new or cancelled job
+// is planned at once instead of at the next hourly run. batteryPipeline is
+// single-flight: a request during a run queues one follow-up run.
+let replan = null;
+
+/** Called by scheduler.js at startup. */
+export function setFlexReplan(fn) {
+  replan = fn;
+}
+
+function requestReplan() {
+  if (replan) Promise.resolve(replan()).catch(err => log.warn('flex-loads', `Re-plan failed: ${err.message}`));
+}
+
+router.get('/', (req, res) => {
+  res.json({ jobs: listFlexJobs() });
+});
+
+router.post('/', requireDashboardAuth, (req, res) => {
+  const { name, power_w, energy_kwh, earliest_start, deadline } = req.body ?? {};
+  const now = new Date();
+  const tz = config.location.timezone;
+
+  if (typeof name !== 'string' || name.trim() === '') return res.status(400).json({ error: 'name is required' });
+  const power = Number(power_w);
+  if (!Number.isFinite(power) || power <= 0 || power > 50_000) {
+    return res.status(400).json({ error: 'power_w must be a number between 0 and 50000' });
+  }
+  const energy = Number(energy_kwh);
+  if (!Number.isFinite(energy) || energy <= 0) return res.status(400).json({ error: 'energy_kwh must be a positive number' });
+
+  const earliest = earliest_start != null ? parseApiTime(earliest_start, tz) : now;
+  if (!earliest) return res.status(400).json({ error: 'earliest_start must be an ISO timestamp or local YYYY-MM-DDTHH:MM' });
+  const deadlineDate = parseApiTime(deadline, tz);
+  if (!deadlineDate) return res.status(400).json({ error: 'deadline must be an ISO timestamp or local YYYY-MM-DDTHH:MM' });
+
+  const runMs = flexJobSlots({ power_w: power, energy_kwh: energy }) * 15 * 60 * 1000;
+  const startMs = Math.max(earliest.getTime(), now.getTime());
+  if (deadlineDate.getTime() - startMs < runMs) {
+    return res.status(400).json({ error: `the run (${runMs / 60000} min) does not fit before the deadline` });
+  }
+  if ((deadlineDate - earliest) / 3_600_000 > MAX_JOB_HOURS) {
+    return res.status(400).json({ error: `deadline must be within ${MAX_JOB_HOURS} h of earliest_start` });
+  }
+
+  const job = addFlexJob(name.trim(), power, energy, earliest, deadlineDate);
+  requestReplan();
+  res.status(201).json(job);
+});
+
+router.delete('/:id', requireDashboardAuth, (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return res.status(400).json({ error: 'id must be an integer' });
+  if (!cancelFlexJob(id)) return res.status(404).json({ error: `No pending flex load with id ${id}` });
+  requestReplan();
+  res.json({ cancelled: true, id });
+});
+
+// For automation: poll every few minutes; switch on the devices in `on`, off the rest
+router.get('/plan', (req, res) => {
+  res.json({ generated_at: new Date().toISOString(), ...currentFlexPlan() });
+});
+
+export default router;
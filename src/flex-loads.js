@@ -0,0 +1,126 @@
+/**
+ * Flexible load registry — shiftable appliance runs, persisted in SQLite (flex_jobs).
+ *
+ * A job is one run of a device that cannot be paused once started (dishwasher,
+ * washing machine, a water heater boost): it draws power_w for
+ * ceil(energy_kwh / (power_w × 0.25 h)) slots, starting no earlier than earliest_at
+ * and finishing by deadline_at. runOptimizer picks the start slot together with
+ * the battery schedule and stores it as planned_start / planned_end; automation
+ * switches the devices from GET /api/flex-loads/plan.
+ *
+ * A job whose planned start has passed is running and is no longer moved — the
+ * optimizer treats its remaining slots as fixed house load.
+ */
+
+import config from '../config.js';
+import { insertFlexJob, getPendingFlexJobs, cancelFlexJobById, setFlexJobPlan } from './db.js';
+import { localSlotTs } from './timeutils.js';
+
+const SLOT_MS = 15 * 60 * 1000;
+
+/** Number of 15-min slots a job runs. */
+export function flexJobSlots(job) {
+  return Math.max(1, Math.ceil(job.energy_kwh * 1000 / (job.power_w * 0.25) - 1e-9));
+}
+
+/** Local slot of a Date; ceil = the first slot starting at or after it. */
+function slotOf(date, ceil = false) {
+  const ms = ceil ? Math.ceil(date.getTime() / SLOT_MS) * SLOT_MS : date.getTime();
+  return localSlotTs(new Date(ms), config.location.timezone);
+}
+
+/**
+ * State of a job at the slot nowTs:
+ *   'waiting'   not planned yet (deadline beyond the price horizon)
+ *   'scheduled' planned to start later
+ *   'running'   planned start passed, planned end not yet
+ *   'done'      planned end passed
+ */
+function stateOf(row, nowTs) {
+  if (!row.planned_start) return 'waiting';
+  if (row.planned_start > nowTs) return 'scheduled';
+  return row.planned_end > nowTs ? 'running' : 'done';
+}
+
+function toView(row, nowTs) {
+  return {
+    id: row.id,
+    name: row.name,
+    power_w: row.power_w,
+    energy_kwh: row.energy_kwh,
+    duration_minutes: flexJobSlots(row) * 15,
+    earliest_start: row.earliest_at,
+    deadline: row.deadline_at,
+    planned_start: row.planned_start,
+    planned_end: row.planned_end,
+    state: stateOf(row, nowTs),
+  };
+}
+
+/**
+ * Register a job.
+ * @param {string} name
+ * @param {number} powerW
+ * @param {number} energyKwh
+ * @param {Date} earliest
+ * @param {Date} deadline
+ * @returns {object} the stored job (same shape as listFlexJobs entries)
+ */
+export function addFlexJob(name, powerW, energyKwh, earliest, deadline) {
+  const row = insertFlexJob(name, powerW, energyKwh, earliest.toISOString(), deadline.toISOString());
+  return toView(row, slotOf(new Date()));
+}
+
+/** @returns {boolean} false if no pending job has that id */
+export function cancelFlexJob(id) {
+  return cancelFlexJobById(id);
+}
+
+/** Jobs not cancelled and not past their deadline, in deadline order (finished runs included). */
+export function listFlexJobs(now = new Date()) {
+  const nowTs = slotOf(now);
+  return getPendingFlexJobs(now.toISOString()).map(r => toView(r, nowTs));
+}
+
+/**
+ * Jobs for the optimizer window starting at fromTs.
+ * @param {string} fromTs  local "YYYY-MM-DDTHH:MM", first slot of the window
+ * @returns {Array<{ id, name, power_w, slots, earliest_ts, deadline_ts, deadline_at, started_ts }>}
+ *   earliest_ts / deadline_ts: local slots — the run must fit in [earliest_ts, deadline_ts);
+ *   started_ts: planned start of a job already running (fixed), else null
+ */
+export function flexJobsForPlanning(fromTs) {
+  return getPendingFlexJobs(new Date().toISOString())
+    .filter(r => stateOf(r, fromTs) !== 'done')
+    .map(r => ({
+      id:          r.id,
+      name:        r.name,
+      power_w:     r.power_w,
+      slots:       flexJobSlots(r),
+      earliest_ts: slotOf(new Date(r.earliest_at), true),
+      deadline_ts: slotOf(new Date(r.deadline_at)),
+      deadline_at: r.deadline_at,
+      started_ts:  stateOf(r, fromTs) === 'running' ? r.planned_start : null,
+      planned_end: r.planned_end,
+    }));
+}
+
+/** Store the optimizer's start for one job; null = deferred past the horizon. */
+export function saveFlexJobPlan(id, startTs, endTs) {
+  setFlexJobPlan(id, startTs, endTs);
+}
+
+/**
+ * The plan for automation: which jobs should be on in the current slot, and every job's run.
+ * @returns {{ slot: string, on: Array<{id, name, power_w, until}>, jobs: Array<object> }}
+ */
+export function currentFlexPlan(now = new Date()) {
+  const nowTs = slotOf(now);
+  const jobs = getPendingFlexJobs(now.toISOString()).map(r => toView(r, nowTs));
+  return {
+    slot: nowTs,
+    on: jobs.filter(j => j.state === 'running')
+      .map(j => ({ id: j.id, name: j.name, power_w: j.power_w, until: j.planned_end })),
+    jobs,
+  };
+}
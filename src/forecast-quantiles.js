@@ -0,0 +1,86 @@
+import config from '../config.js';
+import { getCorrectionSamples } from './db.js';
+import { parseTs } from './timeutils.js';
+
+/**
+ * Empirical forecast quantiles.
+ *
+ * solar_readings.correction holds actual / forecast for every learned hour.
+ * Its distribution per (month, cloud band) says how far reality typically
+ * lands from the point forecast in those conditions, so
+ *   P10 = prod_forecast × q10(correction), likewise P50 and P90.
+ *
+ * Cloud bands are the same 25% buckets the intra-day correction uses.
+ * Cells with too few samples fall back to the cloud band over all months,
+ * then to all samples; with less than that no quantiles are produced.
+ */
+
+const QUANTILES = [0.1, 0.5, 0.9];
+
+/** Cloud band of a cloud-cover percentage: 0, 25, 50 or 75 (null = unknown). */
+export function cloudBand(cloudCover) {
+  if (cloudCover == null) return null;
+  return Math.min(Math.floor(cloudCover / 25) * 25, 75);
+}
+
+/** Linear-interpolated quantile of an ascending array. */
+export function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const [p10, p50, p90] = QUANTILES.map(q => quantile(sorted, q));
+  return { p10, p50, p90, samples: sorted.length, sorted };
+}
+
+/**
+ * Build the ratio quantile table from all learned hours.
+ * @returns {{ cells: Map<string, object>, bands: Map<number|null, object>, all: object|null, minSamples: number }}
+ */
+export function buildQuantileTable() {
+  const minIrr     = config.learning.quantile_min_irradiance ?? 50;
+  const minSamples = config.learning.quantile_min_samples ?? 20;
+  // Same ceiling the learner uses — a ratio above it is a broken irradiance forecast, not spread
+  const maxRatio   = config.learning.max_correction_sample ?? 4.0;
+
+  const byCell = new Map();
+  const byBand = new Map();
+  const all = [];
+  for (const row of getCorrectionSamples(minIrr)) {
+    const ratio = Math.max(0, Math.min(maxRatio, row.correction));
+    const { month } = parseTs(row.hour_ts);
+    const band = cloudBand(row.cloud_cover);
+    const key = `${month}|${band}`;
+    if (!byCell.has(key)) byCell.set(key, []);
+    if (!byBand.has(band)) byBand.set(band, []);
+    byCell.get(key).push(ratio);
+    byBand.get(band).push(ratio);
+    all.push(ratio);
+  }
+
+  const keep = map => new Map([...map].filter(([, v]) => v.length >= minSamples).map(([k, v]) => [k, summarize(v)]));
+  return {
+    cells: keep(byCell),
+    bands: keep(byBand),
+    all: all.length >= minSamples ? summarize(all) : null,
+    minSamples,
+  };
+}
+
+/**
+ * Ratio quantiles for one hour, from the most specific cell with enough samples.
+ * `sorted` holds the ratios themselves, for other quantile levels.
+ * @returns {{ p10: number, p50: number, p90: number, samples: number, sorted: number[], source: 'month_band'|'band'|'all' } | null}
+ */
+export function ratioQuantiles(table, month, cloudCover) {
+  const band = cloudBand(cloudCover);
+  const cell = table.cells.get(`${month}|${band}`);
+  if (cell) return { ...cell, source: 'month_band' };
+  const byBand = table.bands.get(band);
+  if (byBand) return { ...byBand, source: 'band' };
+  return table.all ? { ...table.all, source: 'all' } : null;
+}
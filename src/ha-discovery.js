@@ -0,0 +1,103 @@
+/**
+ * Home Assistant MQTT discovery.
+ *
+ * Builds the retained config messages that make Home Assistant create
+ * SolarForecast entities automatically. Entities read the JSON topics
+ * published by mqtt.js; the select and number entities write to the
+ * command topics handled by mqtt-commands.js.
+ *
+ * Discovery topic: <discovery_prefix>/<component>/<node_id>/<object_id>/config
+ * where node_id is the MQTT topic prefix with non-alphanumerics replaced by "_".
+ */
+
+import config from '../config.js';
+import { OVERRIDE_OPTIONS } from './mqtt-commands.js';
+
+/**
+ * @param {(suffix: string) => string} topic  full-topic builder from mqtt.js
+ * @returns {Array<{ topic: string, payload: object }>}
+ */
+export function buildDiscoveryMessages(topic) {
+  const discoveryPrefix = config.mqtt?.ha_discovery_prefix ?? 'homeassistant';
+  const nodeId = topic('').replace(/\/$/, '').replace(/[^a-zA-Z0-9_-]/g, '_');
+  const currency = config.price.currency;
+
+  const device = {
+    identifiers: [nodeId],
+    name: 'SolarForecast',
+    manufacturer: 'SolarForecast',
+    model: config.inverter?.brand ? `Battery optimizer (${config.inverter.brand})` : 'Battery optimizer',
+  };
+  const availability = [{ topic: topic('status'), payload_available: 'online', payload_not_available: 'offline' }];
+
+  const entities = [
+    ['sensor', 'soc', {
+      name: 'Battery SOC', state_topic: topic('inverter/metrics'), value_template: '{{ value_json.soc }}',
+      unit_of_measurement: '%', device_class: 'battery', state_class: 'measurement',
+    }],
+    ['sensor', 'pv_power', {
+      name: 'PV power', state_topic: topic('inverter/metrics'), value_template: '{{ value_json.solar_w }}',
+      unit_of_measurement: 'W', device_class: 'power', state_class: 'measurement',
+    }],
+    // Positive = import, negative = export
+    ['sensor', 'grid_power', {
+      name: 'Grid power', state_topic: topic('inverter/metrics'),
+      value_template: '{{ value_json.grid_import_w - value_json.grid_export_w }}',
+      unit_of_measurement: 'W', device_class: 'power', state_class: 'measurement',
+    }],
+    ['sensor', 'battery_power', {
+      name: 'Battery power', state_topic: topic('inverter/metrics'), value_template: '{{ value_json.battery_w }}',
+      unit_of_measurement: 'W', device_class: 'power', state_class: 'measurement',
+    }],
+    ['sensor', 'load_power', {
+      name: 'Load power', state_topic: topic('inverter/metrics'), value_template: '{{ value_json.consumption_w }}',
+      unit_of_measurement: 'W', device_class: 'power', state_class: 'measurement',
+    }],
+    ['sensor', 'planned_action', {
+      name: 'Planned action', state_topic: topic('schedule/current'),
+      value_template: "{{ value_json.effective_action or 'none' }}",
+      json_attributes_topic: topic('schedule/current'), icon: 'mdi:battery-clock',
+    }],
+    ['sensor', 'savings_today', {
+      name: 'Savings today', state_topic: topic('savings/today'), value_template: '{{ value_json.savings }}',
+      unit_of_measurement: currency, device_class: 'monetary', state_class: 'total',
+      json_attributes_topic: topic('savings/today'),
+    }],
+    ['sensor', 'forecast_24h', {
+      name: 'Solar forecast next 24 h', state_topic: topic('forecast'), value_template: '{{ value_json.total_kwh }}',
+      unit_of_measurement: 'kWh', device_class: 'energy', icon: 'mdi:solar-power',
+      json_attributes_topic: topic('forecast'),
+    }],
+    ['sensor', 'spot_price', {
+      name: 'Spot price', state_topic: topic('prices'), value_template: '{{ value_json.current }}',
+      unit_of_measurement: `${currency}/kWh`, icon: 'mdi:cash',
+    }],
+    ['binary_sensor', 'pipeline_problem', {
+      name: 'Pipeline problem', state_topic: topic('health'),
+      value_template: "{{ 'OFF' if value_json.ok else 'ON' }}", device_class: 'problem',
+      json_attributes_topic: topic('health'),
+    }],
+    ['select', 'override', {
+      name: 'Override', command_topic: topic('command/override'), options: OVERRIDE_OPTIONS,
+      state_topic: topic('schedule/current'),
+      value_template: "{{ value_json.override.action if value_json.override else 'auto' }}",
+      icon: 'mdi:hand-back-right',
+    }],
+    // No state topic: the limit is a one-shot write, replaced at the next schedule boundary
+    ['number', 'peak_shaving_limit', {
+      name: 'Peak shaving limit', command_topic: topic('command/peak_shaving'),
+      min: 0.5, max: 50, step: 0.1, mode: 'box', unit_of_measurement: 'kW', icon: 'mdi:transmission-tower',
+    }],
+  ];
+
+  return entities.map(([component, objectId, fields]) => ({
+    topic: `${discoveryPrefix}/${component}/${nodeId}/${objectId}/config`,
+    payload: {
+      ...fields,
+      unique_id: `${nodeId}_${objectId}`,
+      object_id: `${nodeId}_${objectId}`,
+      availability,
+      device,
+    },
+  }));
+}
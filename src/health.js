@@ -0,0 +1,51 @@
+/**
+ * Pipeline health — last run per pipeline vs its expected interval.
+ * Shared by GET /health and the MQTT health topic.
+ */
+
+import config from '../config.js';
+import { getAllPipelineRuns } from './db.js';
+
+// Expected maximum interval (minutes) between successful runs per pipeline
+const PIPELINE_INTERVALS = {
+  fetch:       6 * 60,
+  learn:       60,
+  smooth:      24 * 60,
+  battery:     60,
+  consumption: 60,
+  snapshot:    15,
+  savings:     60,
+  execute:     15,
+};
+
+/**
+ * @returns {{ ok: boolean, pipelines: Object<string, { last_run?: string, status: string, age_min?: number, overdue: boolean }> }}
+ */
+export function getPipelineHealth() {
+  const intervals = {
+    ...PIPELINE_INTERVALS,
+    ...(config.mqtt?.enabled && { mqtt: 5 }),
+    ...(config.hot_water?.enabled && { hot_water: 5 }),
+  };
+  const runs = getAllPipelineRuns();
+  const now = Date.now();
+  const pipelines = {};
+  let allOk = true;
+
+  for (const [name, maxMinutes] of Object.entries(intervals)) {
+    const row = runs.find(r => r.pipeline === name);
+    if (!row) {
+      pipelines[name] = { status: 'never_run', overdue: true };
+      allOk = false;
+      continue;
+    }
+    const ageMs = now - new Date(row.last_run_ts + 'Z').getTime();
+    const ageMin = Math.round(ageMs / 60000);
+    const overdue = ageMin > maxMinutes * 1.5; // 50% grace period
+    const ok = row.last_status === 'ok' && !overdue;
+    if (!ok) allOk = false;
+    pipelines[name] = { last_run: row.last_run_ts, status: row.last_status, age_min: ageMin, overdue };
+  }
+
+  return { ok: allOk, pipelines };
+}
@@ -0,0 +1,119 @@
+import config from '../config.js';
+import { getPricesForRange, getLatestPriceSlot } from './db.js';
+import { localTs, fromLocalTs } from './timeutils.js';
+
+/**
+ * Rolling optimizer horizon.
+ *
+ * The window runs from the current 15-min slot to the end of the last known
+ * day-ahead price slot — about 35 h once tomorrow's prices are published — but
+ * never shorter than 24 h and never longer than optimizer.max_horizon_hours.
+ * Before tomorrow's prices arrive, the part of the 24 h without prices is
+ * filled from a historical price profile, so stored energy at the end of the
+ * known prices is still worth something to the optimizer.
+ */
+
+const SLOT_MS = 15 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Optimizer window for "now".
+ * @param {Date} [now]
+ * @returns {{ currentSlot: Date, fromTs: string, toTs: string, hours: number }}
+ *   hours = whole hours from the start of the current hour to toTs (for consumption/solar estimates)
+ */
+export function planningWindow(now = new Date()) {
+  const tz = config.location.timezone;
+  const currentSlot = new Date(now);
+  currentSlot.setMinutes(Math.floor(now.getMinutes() / 15) * 15, 0, 0);
+
+  const minEnd = currentSlot.getTime() + 24 * HOUR_MS;
+  const maxEnd = currentSlot.getTime() + (config.optimizer?.max_horizon_hours ?? 48) * HOUR_MS;
+  let endMs = minEnd;
+  const lastPrice = getLatestPriceSlot();
+  if (lastPrice) {
+    const lastPriceEnd = fromLocalTs(lastPrice, tz).getTime() + SLOT_MS;
+    endMs = Math.max(minEnd, Math.min(maxEnd, lastPriceEnd));
+  }
+
+  const hourStart = Math.floor(currentSlot.getTime() / HOUR_MS) * HOUR_MS;
+  return {
+    currentSlot,
+    fromTs: localTs(currentSlot, tz),
+    toTs:   localTs(new Date(endMs), tz),
+    hours:  Math.ceil((endMs - hourStart) / HOUR_MS),
+  };
+}
+
+/** Local 15-min slot timestamps in [fromTs, toTs). */
+function slotRange(fromTs, toTs) {
+  const tz = config.location.timezone;
+  const slots = [];
+  for (let ms = fromLocalTs(fromTs, tz).getTime(); ; ms += SLOT_MS) {
+    const ts = localTs(new Date(ms), tz);
+    if (ts >= toTs) break;
+    // The repeated hour of the autumn DST switch maps onto the same keys — keep one
+    if (!slots.includes(ts)) slots.push(ts);
+  }
+  return slots;
+}
+
+function isWeekend(ts) {
+  const dow = new Date(`${ts.slice(0, 10)}T12:00:00Z`).getUTCDay();
+  return dow === 0 || dow === 6;
+}
+
+/**
+ * Mean spot price per time of day ("HH:MM") over the last optimizer.price_fill_days
+ * before fromTs, separately for weekdays and weekends.
+ * @returns {{ weekday: Map<string, number>, weekend: Map<string, number>, all: Map<string, number> }}
+ */
+function priceProfile(fromTs) {
+  const days = config.optimizer?.price_fill_days ?? 14;
+  const start = new Date(`${fromTs.slice(0, 10)}T00:00:00Z`);
+  start.setUTCDate(start.getUTCDate() - days);
+  const rows = getPricesForRange(`${start.toISOString().slice(0, 10)}T00:00`, fromTs);
+
+  const sums = { weekday: new Map(), weekend: new Map(), all: new Map() };
+  const add = (map, key, v) => {
+    const s = map.get(key) ?? { sum: 0, n: 0 };
+    s.sum += v;
+    s.n++;
+    map.set(key, s);
+  };
+  for (const r of rows) {
+    const key = r.slot_ts.slice(11, 16);
+    add(sums[isWeekend(r.slot_ts) ? 'weekend' : 'weekday'], key, r.spot_price);
+    add(sums.all, key, r.spot_price);
+  }
+  const mean = map => new Map([...map].map(([k, s]) => [k, s.sum / s.n]));
+  return { weekday: mean(sums.weekday), weekend: mean(sums.weekend), all: mean(sums.all) };
+}
+
+/**
+ * Add estimated prices for slots in [fromTs, toTs) that have no day-ahead price.
+ * Estimated rows carry `estimated: true`. Slots the profile cannot cover are left out.
+ *
+ * @param {Array<{ slot_ts: string, spot_price: number, region: string }>} prices  known prices in the window
+ * @returns {{ prices: Array, filled: number }}
+ */
+export function fillMissingPrices(prices, fromTs, toTs) {
+  if ((config.optimizer?.price_fill_days ?? 14) <= 0) return { prices, filled: 0 };
+
+  const known = new Set(prices.map(p => p.slot_ts));
+  const missing = slotRange(fromTs, toTs).filter(ts => !known.has(ts));
+  if (missing.length === 0) return { prices, filled: 0 };
+
+  const profile = priceProfile(fromTs);
+  const region = prices[0]?.region ?? config.price.region;
+  const filled = [];
+  for (const ts of missing) {
+    const key = ts.slice(11, 16);
+    const price = profile[isWeekend(ts) ? 'weekend' : 'weekday'].get(key) ?? profile.all.get(key);
+    if (price != null) filled.push({ slot_ts: ts, spot_price: price, region, estimated: true });
+  }
+  return {
+    prices: [...prices, ...filled].sort((a, b) => a.slot_ts.localeCompare(b.slot_ts)),
+    filled: filled.length,
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Electric hot-water tank as a second storage next to the battery (hot_water.enabled).
+ *
+ * The tank stores heat between min_temp_c and max_temp_c:
+ *   capacity (Wh) = volume_l × 1.163 Wh/(l·K) × (max_temp_c − min_temp_c)
+ * It loses standing_loss_w through the insulation and daily_use_kwh to hot water use
+ * (spread evenly over the day). The consumption history already includes the tank's
+ * thermostat, so runOptimizer takes this drain out of the house load estimate and plans
+ * the element's mean power per slot together with the battery: in cheap slots, and on
+ * solar surplus that the battery cannot take or the export cap would clip. The plan and
+ * the tank temperature per slot go to battery_schedule (hot_water_w, hot_water_temp_c).
+ *
+ * There is no tank sensor: each run starts from the temperature the previous plan
+ * reached, or from min_temp_c when there is none.
+ *
+ * The element is on/off, so a slot's mean power becomes minutes on at the start of the
+ * slot: round(hot_water_w / element_w × 15). Every minute the scheduler works out the
+ * current state and sends the command to the configured output (src/outputs/<type>.js —
+ * 'webhook' or 'mqtt') when it changes, and at every slot start as a refresh:
+ *   { on, slot, until, temp_c }
+ * until is when the state is planned to change next, temp_c the planned tank
+ * temperature at the end of the current slot.
+ */
+
+import config from '../config.js';
+import { getScheduleForRange } from './db.js';
+import { localTs, localSlotTs, fromLocalTs } from './timeutils.js';
+
+const WH_PER_LITRE_K = 1.163;   // heat capacity of water
+const SLOT_MIN = 15;
+const SLOT_MS = SLOT_MIN * 60 * 1000;
+
+/** Wh per °C of the whole tank. */
+function whPerK(hw) {
+  return hw.volume_l * WH_PER_LITRE_K;
+}
+
+/**
+ * Tank parameters for the optimizer window starting at fromTs, or null when
+ * hot_water is disabled.
+ * @param {string} fromTs  local "YYYY-MM-DDTHH:MM", first slot of the window
+ * @returns {{ element_w, drain_w, capacity_wh, start_wh, wh_per_k, min_temp_c }|null}
+ *   energies are Wh above min_temp_c; drain_w = standing loss + average use
+ */
+export function hotWaterForPlanning(fromTs) {
+  const hw = config.hot_water;
+  if (!hw?.enabled) return null;
+
+  const tz = config.location.timezone;
+  const prevTs = localSlotTs(new Date(fromLocalTs(fromTs, tz).getTime() - SLOT_MS), tz);
+  const prevTemp = getScheduleForRange(prevTs, fromTs)[0]?.hot_water_temp_c ?? hw.min_temp_c;
+  const capacityWh = whPerK(hw) * (hw.max_temp_c - hw.min_temp_c);
+
+  return {
+    element_w:   hw.element_w,
+    drain_w:     (hw.standing_loss_w ?? 0) + (hw.daily_use_kwh ?? 0) * 1000 / 24,
+    capacity_wh: capacityWh,
+    start_wh:    Math.min(capacityWh, Math.max(0, (prevTemp - hw.min_temp_c) * whPerK(hw))),
+    wh_per_k:    whPerK(hw),
+    min_temp_c:  hw.min_temp_c,
+  };
+}
+
+/** Minutes the element runs at the start of a planned slot. */
+function onMinutes(row) {
+  const elementW = config.hot_water.element_w;
+  return Math.min(SLOT_MIN, Math.max(0, Math.round(row.hot_water_w / elementW * SLOT_MIN)));
+}
+
+/**
+ * The command for the current minute, from the stored plan.
+ * @returns {{ on: boolean, slot: string, until: string|null, temp_c: number|null }}
+ *   until: local "YYYY-MM-DDTHH:MM" of the next planned change (null = none planned);
+ *   without a plan the element is off
+ */
+export function currentHotWaterCommand(now = new Date()) {
+  const tz = config.location.timezone;
+  const nowTs = localSlotTs(now, tz);
+  const rows = getScheduleForRange(nowTs, '9999-12-31T00:00').filter(r => r.hot_water_w != null);
+  if (rows.length === 0 || rows[0].slot_ts !== nowTs) return { on: false, slot: nowTs, until: null, temp_c: null };
+
+  // The element runs for the first onMinutes(r) of each slot: when on, it switches off in the
+  // first slot that is not fully on; when off, it switches on at the next slot with a run
+  const minute = Math.floor((now.getTime() - fromLocalTs(nowTs, tz).getTime()) / 60_000);
+  const on = minute < onMinutes(rows[0]);
+  const next = on
+    ? rows.find(r => onMinutes(r) < SLOT_MIN)
+    : rows.slice(1).find(r => onMinutes(r) > 0);
+  const until = next
+    ? localTs(new Date(fromLocalTs(next.slot_ts, tz).getTime() + (on ? onMinutes(next) : 0) * 60_000), tz)
+    : null;
+  return { on, slot: nowTs, until, temp_c: rows[0].hot_water_temp_c };
+}
+
+/**
+ * The planned element power and tank temperature from the current slot on.
+ * @returns {Array<{ slot: string, element_w: number, temp_c: number }>}
+ */
+export function hotWaterPlan(now = new Date()) {
+  const nowTs = localSlotTs(now, config.location.timezone);
+  return getScheduleForRange(nowTs, '9999-12-31T00:00')
+    .filter(r => r.hot_water_w != null)
+    .map(r => ({ slot: r.slot_ts, element_w: r.hot_water_w, temp_c: r.hot_water_temp_c }));
+}
+
+let lastSent = null;   // { on, slot } of the last command sent
+
+/**
+ * Send the current command to hot_water.output when the state changed or a new slot
+ * started. Called every minute by the scheduler.
+ * @returns {Promise<object|null>} the command sent, or null when nothing was sent
+ */
+export async function publishHotWaterCommand(now = new Date()) {
+  const hw = config.hot_water;
+  if (!hw?.enabled) return null;
+
+  const command = currentHotWaterCommand(now);
+  if (lastSent && lastSent.on === command.on && lastSent.slot === command.slot) return null;
+
+  const type = hw.output?.type;
+  let output;
+  try {
+    output = await import(`./outputs/${type}.js`);
+  } catch {
+    throw new Error(`Unknown hot_water.output.type '${type}': no file found at src/outputs/${type}.js`);
+  }
+  await output.sendCommand(command, hw.output);
+  lastSent = { on: command.on, slot: command.slot };
+  return command;
+}
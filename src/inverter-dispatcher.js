@@ -8,11 +8,13 @@
 import config from '../config.js';
 import * as growatt from './inverters/growatt.js';
 import * as growattModbus from './inverters/growatt-modbus.js';
+import * as simulator from './inverters/simulator.js';
 
-const drivers = { growatt, 'growatt-modbus': growattModbus };
+const drivers = { growatt, 'growatt-modbus': growattModbus, simulator };
 
 /**
- * @returns {{ getState: Function, applySchedule: Function, resetToDefault: Function,
+ * @returns {{ getState: Function, getMetrics: Function, getEnergyTotals: Function,
+ *             applySchedule: Function, resetToDefault: Function,
  *             charge: Function, discharge: Function, idle: Function,
  *             setPeakShavingTarget: Function } | null}
  */
@@ -94,6 +94,7 @@ const MODBUS_RETRIES   = config.inverter?.modbus_retries      ?? 3;
 const MODBUS_RETRY_MS  = config.inverter?.modbus_retry_delay_ms ?? 4000;
 
 let client = null;
+let clientTarget = null;  // "host:port" the open client is connected to
 let lastCmd = 0;
 
 function timeout(ms, label) {
@@ -108,7 +109,9 @@ function destroyClient() {
 }
 
 async function getConnection(cfg) {
-  if (client?.isOpen) return client;
+  // Reconnect when host/port changed through a live config reload
+  const target = `${cfg.host}:${cfg.port || 502}`;
+  if (client?.isOpen && clientTarget === target) return client;
   destroyClient();
   client = new ModbusRTU();
   const connPromise = client.connectTCP(cfg.host, { port: cfg.port || 502 });
@@ -127,6 +130,7 @@ async function getConnection(cfg) {
   }
   client.setID(cfg.unit_id || 1);
   client.setTimeout(cfg.timeout_ms || 5000);
+  clientTarget = target;
   return client;
 }
 
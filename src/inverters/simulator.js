@@ -0,0 +1,334 @@
+/**
+ * Simulated inverter driver — runs the whole pipeline offline without hardware.
+ *
+ * Models a load-first hybrid inverter with SOC buffer control, mirroring the
+ * semantics of growatt-modbus.js:
+ *   - a discharge floor (LoadFirstStopSoc): the battery serves the house down to
+ *     this SOC and is grid-charged back up to it when SOC is below it
+ *   - Grid First (sell) mode: battery exports to the grid at max discharge rate
+ *   - a grid import cap (peak shaving) that limits grid charging
+ *
+ * Solar and house load for each simulated step come from the database:
+ *   - solar:       solar_readings.prod_forecast for the hour (falls back to the
+ *                  schedule's solar_watts, then 0)
+ *   - consumption: battery_schedule.consumption_watts for the slot (falls back
+ *                  to consumption_readings for the hour, then consumption.flat_watts)
+ *
+ * State (SOC, daily energy counters, floor) lives in memory and is integrated
+ * forward in wall-clock time on every driver call. Daily counters reset at local
+ * midnight exactly like the real inverter's "today" registers.
+ *
+ * Same interface as growatt-modbus.js:
+ *   getState, getMetrics, getEnergyTotals, applySchedule, charge, discharge, idle,
+ *   setPeakShavingTarget, resetToDefault
+ *
+ * Config (inverter section):
+ *   brand: 'simulator'
+ *   sim_start_soc: 50      — initial SOC % (default: last stored snapshot SOC, else 50)
+ *   charge_soc / discharge_soc / dry_run — same meaning as for growatt-modbus
+ */
+
+import config from '../../config.js';
+import { getScheduleForRange, getSolarReadingsForRange, getConsumptionForRange, getSnapshotAtOrBefore } from '../db.js';
+import { localTs } from '../timeutils.js';
+
+const STEP_MS = 60_000;  // integration step — 1 min keeps slot/midnight boundaries exact enough
+
+let sim = null;
+
+function initState(cfg) {
+  const tz = config.location.timezone;
+  const nowTs = localTs(new Date(), tz);
+  const lastSnap = getSnapshotAtOrBefore(nowTs);
+  const startSoc = cfg.sim_start_soc ?? lastSnap?.battery_soc ?? 50;
+  sim = {
+    lastTickMs:            Date.now(),
+    date:                  nowTs.slice(0, 10),
+    soc:                   startSoc,
+    floorSoc:              cfg.discharge_soc ?? 20,
+    gridFirst:             false,
+    peakShavingKw:         config.peak_shaving?.default_kw ?? null,
+    solar_w:               0,
+    consumption_w:         0,
+    battery_w:             0,   // positive = discharging (same sign as growatt-modbus)
+    grid_w:                0,   // positive = import
+    pv_today_kwh:          0,
+    load_today_kwh:        0,
+    grid_import_today_kwh: 0,
+    grid_export_today_kwh: 0,
+  };
+  console.log(`[simulator] Initialised: SOC=${startSoc}%, floor=${sim.floorSoc}%`);
+}
+
+// Exclusive upper bound that matches exactly one "YYYY-MM-DDTHH:MM" key in a range query.
+function justAfter(ts) {
+  return `${ts}:59`;
+}
+
+// Per-hour / per-slot input lookups, cached for the duration of one advance() call.
+function makeInputs() {
+  const solarCache = new Map();
+  const loadCache = new Map();
+  const slotCache = new Map();
+
+  function slotRow(slotTs) {
+    if (!slotCache.has(slotTs)) {
+      const [row] = getScheduleForRange(slotTs, justAfter(slotTs));
+      slotCache.set(slotTs, row ?? null);
+    }
+    return slotCache.get(slotTs);
+  }
+
+  function solarW(hourTs, slot) {
+    if (!solarCache.has(hourTs)) {
+      const [row] = getSolarReadingsForRange(hourTs, justAfter(hourTs));
+      solarCache.set(hourTs, row?.prod_forecast != null ? row.prod_forecast * 1000 : null);
+    }
+    return solarCache.get(hourTs) ?? slot?.solar_watts ?? 0;
+  }
+
+  function loadW(hourTs, slot) {
+    if (slot?.consumption_watts != null) return slot.consumption_watts;
+    if (!loadCache.has(hourTs)) {
+      const [row] = getConsumptionForRange(hourTs, justAfter(hourTs));
+      loadCache.set(hourTs, row?.consumption_w ?? null);
+    }
+    return loadCache.get(hourTs) ?? config.consumption.flat_watts;
+  }
+
+  return { slotRow, solarW, loadW };
+}
+
+/**
+ * Integrate the battery and energy counters from the last tick up to now.
+ */
+function advance(cfg) {
+  if (!sim) initState(cfg);
+
+  const bat = config.battery;
+  const tz = config.location.timezone;
+  const capacityWh = bat.capacity_kwh * 1000;
+  const maxSoc = bat.max_soc;
+  const exportCapW = config.grid?.max_export_w ?? Infinity;
+  const inputs = makeInputs();
+
+  const nowMs = Date.now();
+  while (sim.lastTickMs < nowMs) {
+    const stepMs = Math.min(STEP_MS, nowMs - sim.lastTickMs);
+    const h = stepMs / 3_600_000;
+    const ts = localTs(new Date(sim.lastTickMs), tz);
+
+    // Midnight reset of the daily counters
+    if (ts.slice(0, 10) !== sim.date) {
+      sim.date = ts.slice(0, 10);
+      sim.pv_today_kwh = 0;
+      sim.load_today_kwh = 0;
+      sim.grid_import_today_kwh = 0;
+      sim.grid_export_today_kwh = 0;
+    }
+
+    const slotTs = ts.slice(0, 14) + String(Math.floor(parseInt(ts.slice(14, 16), 10) / 15) * 15).padStart(2, '0');
+    const hourTs = ts.slice(0, 14) + '00';
+    const slot = inputs.slotRow(slotTs);
+    const solar = Math.max(0, inputs.solarW(hourTs, slot));
+    const load  = Math.max(0, inputs.loadW(hourTs, slot));
+    const surplus = solar - load;
+
+    // Battery power: positive = charging (W)
+    let chargeW = 0;
+    if (sim.gridFirst && sim.soc > sim.floorSoc) {
+      // Grid First: export battery at full rate, bounded by the export cap
+      const exportRoom = Math.max(0, exportCapW - Math.max(0, surplus));
+      chargeW = -Math.min(bat.max_discharge_w, exportRoom + Math.max(0, -surplus));
+    } else if (sim.soc < sim.floorSoc) {
+      // Below the floor: inverter pulls from grid (and solar) to reach it
+      const capW = sim.peakShavingKw != null ? sim.peakShavingKw * 1000 : Infinity;
+      chargeW = Math.max(0, Math.min(bat.max_charge_w, capW - load + solar));
+    } else if (surplus > 0) {
+      chargeW = Math.min(bat.max_charge_w, surplus);
+    } else if (sim.soc > sim.floorSoc) {
+      chargeW = -Math.min(bat.max_discharge_w, -surplus);
+    }
+
+    // Apply to SOC with charge efficiency; clamp to the floor / max_soc
+    let socDelta = chargeW > 0
+      ? (chargeW * h * bat.efficiency) / capacityWh * 100
+      : (chargeW * h) / capacityWh * 100;
+    if (chargeW > 0) {
+      const ceiling = Math.max(sim.soc, sim.soc < sim.floorSoc ? sim.floorSoc : maxSoc);
+      socDelta = Math.min(socDelta, ceiling - sim.soc);
+      chargeW = socDelta * capacityWh / 100 / bat.efficiency / h;
+    } else if (chargeW < 0) {
+      socDelta = Math.max(socDelta, Math.min(0, sim.floorSoc - sim.soc));
+      chargeW = socDelta * capacityWh / 100 / h;
+    }
+    sim.soc += socDelta;
+
+    const gridW = load - solar + chargeW;
+    sim.solar_w = solar;
+    sim.consumption_w = load;
+    sim.battery_w = -chargeW;
+    sim.grid_w = gridW;
+    sim.pv_today_kwh          += solar * h / 1000;
+    sim.load_today_kwh        += load * h / 1000;
+    sim.grid_import_today_kwh += Math.max(0, gridW) * h / 1000;
+    sim.grid_export_today_kwh += Math.max(0, -gridW) * h / 1000;
+
+    sim.lastTickMs += stepMs;
+  }
+}
+
+/** Round to the 0.1 kWh resolution of the real inverter's daily counters. */
+function kwh(v) {
+  return Math.round(v * 10) / 10;
+}
+
+// --- Driver interface ---
+
+/**
+ * @param {object} cfg — inverter config from config.js
+ * @returns {Promise<{ soc: number, power_w: number, mode: string }>}
+ */
+export async function getState(cfg) {
+  advance(cfg);
+  return {
+    soc: Math.round(sim.soc),
+    power_w: Math.round(sim.battery_w),
+    mode: sim.gridFirst ? 'simulated_grid_first' : 'simulated_load_first',
+  };
+}
+
+/**
+ * @param {object} cfg — inverter config from config.js
+ * @returns {Promise<{ soc, battery_w, grid_import_w, grid_export_w, solar_w, consumption_w,
+ *                     pv_today_kwh, load_today_kwh, grid_import_today_kwh, grid_export_today_kwh }>}
+ */
+export async function getMetrics(cfg) {
+  advance(cfg);
+  return {
+    soc:           Math.round(sim.soc),
+    battery_w:     Math.round(sim.battery_w),
+    grid_import_w: Math.round(Math.max(0, sim.grid_w)),
+    grid_export_w: Math.round(Math.max(0, -sim.grid_w)),
+    solar_w:       Math.round(sim.solar_w),
+    consumption_w: Math.round(sim.consumption_w),
+    pv_today_kwh:          kwh(sim.pv_today_kwh),
+    load_today_kwh:        kwh(sim.load_today_kwh),
+    grid_import_today_kwh: kwh(sim.grid_import_today_kwh),
+    grid_export_today_kwh: kwh(sim.grid_export_today_kwh),
+  };
+}
+
+/**
+ * @returns {Promise<{ pv_today_kwh, load_today_kwh, grid_import_today_kwh, grid_export_today_kwh }>}
+ */
+export async function getEnergyTotals(cfg) {
+  advance(cfg);
+  return {
+    pv_today_kwh:          kwh(sim.pv_today_kwh),
+    load_today_kwh:        kwh(sim.load_today_kwh),
+    grid_import_today_kwh: kwh(sim.grid_import_today_kwh),
+    grid_export_today_kwh: kwh(sim.grid_export_today_kwh),
+  };
+}
+
+/**
+ * Apply the current slot's action as a floor / Grid First setting, using the
+ * same mapping as growatt-modbus.js.
+ * @param {Array<{ slot_ts: string, action: string, soc_start?: number }>} slots
+ * @param {object} cfg — inverter config
+ * @returns {Promise<{ applied: number, skipped: number }>}
+ */
+export async function applySchedule(slots, cfg) {
+  if (!slots.length) return { applied: 0, skipped: 0 };
+  advance(cfg);
+
+  const now = localTs(new Date(), config.location.timezone);
+  const currentSlot = [...slots]
+    .filter(s => s.slot_ts <= now)
+    .sort((a, b) => b.slot_ts.localeCompare(a.slot_ts))[0]
+    ?? slots[0];
+
+  const action = currentSlot.action;
+  const chargeSoc    = cfg.charge_soc    ?? 90;
+  const dischargeSoc = cfg.discharge_soc ?? 20;
+
+  let targetSoc;
+  if (action === 'charge_grid') {
+    targetSoc = chargeSoc;
+  } else if (action === 'discharge' || action === 'sell') {
+    targetSoc = dischargeSoc;
+  } else {
+    const plannedSoc = currentSlot.soc_start;
+    targetSoc = plannedSoc != null ? Math.max(plannedSoc, dischargeSoc) : dischargeSoc;
+  }
+  const gridFirst = action === 'sell' && !!config.grid?.sell_enabled;
+
+  if (cfg.dry_run) {
+    console.log(`[simulator] DRY-RUN: would set GridFirst=${gridFirst}, floor=${targetSoc}% (action=${action})`);
+    return { applied: 1, skipped: 0 };
+  }
+
+  sim.floorSoc = targetSoc;
+  sim.gridFirst = gridFirst;
+  console.log(`[simulator] Set GridFirst=${gridFirst}, floor=${targetSoc}% (action=${action}, SOC=${sim.soc.toFixed(1)}%)`);
+  return { applied: 1, skipped: 0 };
+}
+
+async function setFloor(label, cfg, targetFn) {
+  advance(cfg);
+  const soc = Math.round(sim.soc);
+  const target = targetFn(soc);
+  if (cfg.dry_run) {
+    console.log(`[simulator] DRY-RUN: ${label} would set floor=${target}%`);
+    return { soc, target };
+  }
+  sim.floorSoc = target;
+  sim.gridFirst = false;
+  console.log(`[simulator] ${label}: SOC=${soc}% → floor=${target}%`);
+  return { soc, target };
+}
+
+/** Force charge: floor = charge_soc. */
+export async function charge(cfg) {
+  return setFloor('charge', cfg, () => cfg.charge_soc ?? 90);
+}
+
+/** Allow discharge: floor = discharge_soc. */
+export async function discharge(cfg) {
+  return setFloor('discharge', cfg, () => cfg.discharge_soc ?? 20);
+}
+
+/** Hold current SOC: floor = max(current SOC, discharge_soc). */
+export async function idle(cfg) {
+  return setFloor('idle', cfg, soc => Math.max(soc, cfg.discharge_soc ?? 20));
+}
+
+/**
+ * Set the simulated grid import cap.
+ * @returns {Promise<{ target_kw: number, reg_value: number }>}
+ */
+export async function setPeakShavingTarget(targetKw, cfg) {
+  advance(cfg);
+  const regValue = Math.round(targetKw * 10);
+  if (cfg.dry_run) {
+    console.log(`[simulator] DRY-RUN: would set import cap ${targetKw} kW`);
+    return { target_kw: targetKw, reg_value: regValue };
+  }
+  sim.peakShavingKw = targetKw;
+  console.log(`[simulator] Set import cap ${targetKw} kW`);
+  return { target_kw: targetKw, reg_value: regValue };
+}
+
+/** Reset to load-first with the default discharge floor. */
+export async function resetToDefault(cfg) {
+  advance(cfg);
+  const defaultSoc = cfg.discharge_soc ?? 20;
+  if (cfg.dry_run) {
+    console.log(`[simulator] DRY-RUN: would reset GridFirst=false, floor=${defaultSoc}%`);
+    return;
+  }
+  sim.floorSoc = defaultSoc;
+  sim.gridFirst = false;
+  console.log(`[simulator] Reset GridFirst=false, floor=${defaultSoc}%`);
+}
@@ -39,6 +39,9 @@ export function runLearner() {
 
   let count = 0;
   let skippedCloud = 0;
+  // Relative error |actual − forecast| / forecast per POA method (model.js poa_method),
+  // so the log shows how the feed's DNI/DHI compare with the Erbs split
+  const errByMethod = new Map();
   // Maximum correction we'll store. A ratio above this means the irradiance forecast
   // was so badly wrong that the sample would corrupt the matrix (e.g., Open-Meteo
   // predicted 10 W/m² but actual was clear-sky — the panel can't really produce 20×
@@ -53,6 +56,12 @@ export function runLearner() {
     // Always mark the reading as processed so we don't revisit it next hour.
     updateCorrection(row.hour_ts, correction);
 
+    const method = row.poa_method ?? 'unknown';
+    const err = errByMethod.get(method) ?? { sum: 0, n: 0 };
+    err.sum += Math.abs(correction - 1);
+    err.n++;
+    errByMethod.set(method, err);
+
     // Skip matrix update for heavy-overcast readings — the forecast was already
     // cloud-suppressed, so the correction here is artificially close to 1.0 and
     // would inflate the matrix for that (month, day, hour) cell.
@@ -93,6 +102,7 @@ export function runLearner() {
   }
 
   const skippedMsg = skippedCloud > 0 ? `, skipped ${skippedCloud} high-cloud` : '';
-  console.log(`[learner] Processed ${count} actuals${skippedMsg}`);
+  const methodMsg = [...errByMethod].map(([m, e]) => `${m} ${e.n}× ±${(e.sum / e.n * 100).toFixed(0)}%`).join(', ');
+  console.log(`[learner] Processed ${count} actuals${skippedMsg} (${methodMsg})`);
   return count;
 }
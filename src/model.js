@@ -1,23 +1,36 @@
 import config from '../config.js';
-import { getReadingsWithoutForecast, getCorrectionCell, getSmoothCell, updateForecast, getLastActualForHour, getRecentActualsForBias } from './db.js';
+import { getReadingsWithoutForecast, getCorrectionCell, getSmoothCell, updateForecast, upsertArrayForecasts, getLastActualForHour, getRecentActualsForBias } from './db.js';
 import { parseTs, dayOfYear } from './timeutils.js';
+import { getPanelArrays, totalPeakKw } from './panels.js';
+import { buildQuantileTable, ratioQuantiles } from './forecast-quantiles.js';
 
 // Half-saturation constant for irradiance weighting — matches learner.js
 const WEIGHT_K = 50;
 
 /**
- * Convert GHI (W/m², horizontal) to POA (W/m², plane-of-array) for the configured
- * panel tilt and azimuth using:
+ * Whether a reading's beam/diffuse split comes from the weather feed ('feed': DNI and
+ * DHI both present) or is estimated from GHI with Erbs ('erbs').
+ */
+function poaMethod(row) {
+  return row.dni_forecast != null && row.dhi_forecast != null ? 'feed' : 'erbs';
+}
+
+/**
+ * Convert GHI (W/m², horizontal) to POA (W/m², plane-of-array) for one PV array's
+ * tilt and azimuth using:
  *   1. Spencer solar position (declination + equation of time)
- *   2. Erbs beam/diffuse decomposition
+ *   2. Beam/diffuse split: DNI/DHI from the weather feed when given, else Erbs decomposition
  *   3. Hay–Davies transposition (beam + isotropic diffuse + ground-reflected)
  *
  * @param {number} ghiWm2   Horizontal global irradiance (W/m²)
  * @param {number} month    1–12
  * @param {number} dom      Day of month 1–31
  * @param {number} hour     Local clock hour 0–23 (centre of the averaging interval)
+ * @param {{ tilt: number, azimuth: number }} array  Panel orientation (degrees; azimuth 180 = south)
+ * @param {{ dni: number|null, dhi: number|null }} [feed]  Direct normal and diffuse
+ *   horizontal irradiance from the weather feed (W/m²); Erbs is used unless both are set
  */
-function ghiToPoa(ghiWm2, month, dom, hour) {
+function ghiToPoa(ghiWm2, month, dom, hour, array, feed = null) {
   if (ghiWm2 <= 0) return 0;
 
   const doy = dayOfYear(month, dom);
@@ -53,21 +66,32 @@ function ghiToPoa(ghiWm2, month, dom, hour) {
   const sunAzRad = Math.atan2(sinAzNum / cosAlt, cosAzNum / (cosAlt * Math.cos(latRad)));
 
   // --- Panel geometry ---
-  const tiltRad = config.panel.tilt * Math.PI / 180;
+  const tiltRad = array.tilt * Math.PI / 180;
   // Config azimuth is geographic (0=N, 180=S); convert to south-zero convention
-  const panelAzRad = (config.panel.azimuth - 180) * Math.PI / 180;
+  const panelAzRad = (array.azimuth - 180) * Math.PI / 180;
   const cosAoi = sinAlt * Math.cos(tiltRad) + cosAlt * Math.cos(sunAzRad - panelAzRad) * Math.sin(tiltRad);
 
-  // --- Erbs diffuse-fraction decomposition ---
-  const GHI_ext = 1361 * sinAlt; // extraterrestrial horizontal (W/m²)
-  const Kt = Math.min(1, ghiWm2 / Math.max(1, GHI_ext)); // clearness index
-  let diffFrac;
-  if (Kt <= 0.22)      diffFrac = 1 - 0.09 * Kt;
-  else if (Kt <= 0.80) diffFrac = 0.9511 - 0.1604 * Kt + 4.388 * Kt ** 2 - 16.638 * Kt ** 3 + 12.336 * Kt ** 4;
-  else                 diffFrac = 0.165;
-
-  const DHI = ghiWm2 * diffFrac;
-  const DNI = (ghiWm2 - DHI) / sinAlt;
+  let DHI, DNI;
+  if (feed?.dni != null && feed?.dhi != null) {
+    // --- Beam and diffuse from the weather feed ---
+    // The feed's values are hour means with its own sun position; cap the beam so that
+    // DNI × sin(alt) + DHI does not exceed GHI at the position used here — otherwise an
+    // hour near sunrise, with the sun low in this model's geometry, gets a beam the GHI
+    // never had.
+    DHI = Math.min(feed.dhi, ghiWm2);
+    DNI = Math.min(feed.dni, (ghiWm2 - DHI) / sinAlt);
+  } else {
+    // --- Erbs diffuse-fraction decomposition ---
+    const GHI_ext = 1361 * sinAlt; // extraterrestrial horizontal (W/m²)
+    const Kt = Math.min(1, ghiWm2 / Math.max(1, GHI_ext)); // clearness index
+    let diffFrac;
+    if (Kt <= 0.22)      diffFrac = 1 - 0.09 * Kt;
+    else if (Kt <= 0.80) diffFrac = 0.9511 - 0.1604 * Kt + 4.388 * Kt ** 2 - 16.638 * Kt ** 3 + 12.336 * Kt ** 4;
+    else                 diffFrac = 0.165;
+
+    DHI = ghiWm2 * diffFrac;
+    DNI = (ghiWm2 - DHI) / sinAlt;
+  }
 
   // --- Hay–Davies transposition ---
   const beam      = Math.max(0, DNI * Math.max(0, cosAoi));
@@ -170,7 +194,10 @@ export function runModel() {
   }
 
   const biasScalar = computeRecencyBias();
+  const arrays = getPanelArrays();
   const suppressionMax = config.learning.cloud_suppression_max ?? 0.65;
+  const quantileTable = buildQuantileTable();
+  const peakKw = totalPeakKw();
 
   // Pre-load last actuals for all hours so the fallback lookup inside the loop
   // is a Map.get() rather than a DB query per row.
@@ -181,6 +208,7 @@ export function runModel() {
   }
 
   let count = 0;
+  let feedCount = 0;
   for (const row of rows) {
     const { month, day, hour } = parseTs(row.hour_ts);
 
@@ -196,12 +224,17 @@ export function runModel() {
     // Blend empirical vs fallback based on observation count
     const empiricalWeight = Math.min(1.0, sampleCount / config.learning.empirical_blend_threshold);
 
-    // Convert stored GHI to Plane-of-Array (POA) irradiance for the configured panel tilt/azimuth.
+    // Convert stored GHI to Plane-of-Array (POA) irradiance for each array's tilt/azimuth.
     // Open-Meteo returns shortwave_radiation as GHI (horizontal), but tilted panels receive
     // significantly more irradiance in spring/autumn when the sun is low. Using POA means
     // the correction matrix only needs to capture real deviations (shading, temperature,
-    // soiling) rather than the large geometry effect.
-    const poaWm2 = ghiToPoa(row.irr_forecast, month, day, hour);
+    // soiling) rather than the large geometry effect. An east/west roof gets one POA per
+    // plane, so the morning and afternoon peaks are shaped correctly before summing.
+    // The feed's DNI/DHI are used when present; poa_method records which split was used so
+    // /api/metrics can compare the accuracy of the two.
+    const method = poaMethod(row);
+    const feed = method === 'feed' ? { dni: row.dni_forecast, dhi: row.dhi_forecast } : null;
+    const poaByArray = arrays.map(a => ghiToPoa(row.irr_forecast, month, day, hour, a, feed));
 
     // Fallback correction when the matrix has no data for this cell.
     // With POA irradiance the "ideal physics" baseline is 1.0 — POA already
@@ -211,8 +244,10 @@ export function runModel() {
     if (sampleCount === 0) {
       const lastActual = lastActualByHour.get(hour);
       if (lastActual && lastActual.irr_forecast > 0) {
-        const lastPoa = ghiToPoa(lastActual.irr_forecast, month, day, hour);
-        const base = config.panel.peak_kw * (lastPoa / 1000);
+        const lastFeed = poaMethod(lastActual) === 'feed'
+          ? { dni: lastActual.dni_forecast, dhi: lastActual.dhi_forecast } : null;
+        const base = arrays.reduce((s, a) =>
+          s + a.peak_kw * (ghiToPoa(lastActual.irr_forecast, month, day, hour, a, lastFeed) / 1000), 0);
         const implied = base > 0 ? lastActual.prod_actual / base : null;
         if (implied > 0 && implied < 5) fallbackCorrection = implied;
       }
@@ -228,20 +263,39 @@ export function runModel() {
       ? 1 - (row.cloud_cover / 100) * suppressionMax
       : 1.0;
 
-    // Core formula: prod_forecast = peak_kw × (poa / 1000) × correction × biasScalar × cloudFactor
-    // Capped at peak_kw — panels cannot exceed rated capacity regardless of correction.
-    const prodForecast = Math.min(
-      config.panel.peak_kw,
-      config.panel.peak_kw * (poaWm2 / 1000) * correction * biasScalar * cloudFactor
-    );
+    // Core formula per array: peak_kw × (poa / 1000) × correction × biasScalar × cloudFactor
+    // Each array is capped at its own peak_kw — panels cannot exceed rated capacity
+    // regardless of correction. The correction matrix is learned on the summed production
+    // (prod_actual is only metered in total), so the same correction applies to every array.
+    const perArray = arrays.map((a, i) => ({
+      name: a.name,
+      prod_forecast: Math.max(0, Math.min(
+        a.peak_kw,
+        a.peak_kw * (poaByArray[i] / 1000) * correction * biasScalar * cloudFactor
+      )),
+    }));
+    const prodForecast = perArray.reduce((s, a) => s + a.prod_forecast, 0);
 
     // Confidence based on irradiance level
     const confidence = Math.min(1.0, row.irr_forecast / config.learning.min_irradiance_weight);
 
-    updateForecast(row.hour_ts, Math.max(0, prodForecast), confidence, correction);
+    // P10/P50/P90 from the historical actual/forecast spread in similar conditions
+    const q = ratioQuantiles(quantileTable, month, row.cloud_cover);
+    const quantiles = q && {
+      p10: Math.min(peakKw, prodForecast * q.p10),
+      p50: Math.min(peakKw, prodForecast * q.p50),
+      p90: Math.min(peakKw, prodForecast * q.p90),
+    };
+
+    updateForecast(row.hour_ts, prodForecast, confidence, correction, quantiles, method);
+    upsertArrayForecasts(row.hour_ts, perArray);
     count++;
+    if (method === 'feed') feedCount++;
   }
 
-  console.log(`[model] Forecasted ${count} hours`);
+  const qMsg = quantileTable.all
+    ? `, quantiles from ${quantileTable.all.samples} samples (${quantileTable.cells.size} month/cloud cells)`
+    : `, no quantiles (<${quantileTable.minSamples} learned hours)`;
+  console.log(`[model] Forecasted ${count} hours (${feedCount} with feed DNI/DHI, ${count - feedCount} Erbs)${qMsg}`);
   return count;
 }
@@ -0,0 +1,66 @@
+/**
+ * MQTT command topics — the MQTT counterpart of /battery/override and
+ * /battery/control/peak-shaving. Validation and inverter writes go through
+ * the same functions as the HTTP routes.
+ *
+ *   <prefix>/command/override
+ *     {"action": "charge", "duration_minutes": 90}       JSON, same body as POST /battery/override
+ *     charge | discharge | idle                          plain, mqtt.override_minutes long (default 60)
+ *     charge 90                                          plain with duration in minutes
+ *     auto | cancel                                      cancel the override running now
+ *
+ *   <prefix>/command/peak_shaving
+ *     4.5 | {"limit_kw": 4.5}                            one-shot import limit, like the HTTP route
+ */
+
+import config from '../config.js';
+import { requestOverride, requestPeakShaving } from './battery-api.js';
+import { clearOverride } from './override.js';
+
+/** Options of the Home Assistant override select; 'auto' = follow the schedule. */
+export const OVERRIDE_OPTIONS = ['auto', 'charge', 'discharge', 'idle'];
+
+/** Command topic suffixes (below the prefix) to subscribe to. */
+export const COMMAND_TOPICS = ['command/override', 'command/peak_shaving'];
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+async function overrideCommand(text) {
+  const json = parseJson(text);
+  if (json !== null && typeof json === 'object') return requestOverride(json);
+
+  const [action, minutes] = text.trim().toLowerCase().split(/\s+/);
+  if (action === 'auto' || action === 'cancel') {
+    const was = clearOverride();
+    return { status: 200, body: { cancelled: was !== null, previous_action: was?.action ?? null, id: was?.id ?? null } };
+  }
+  return requestOverride({
+    action,
+    duration_minutes: minutes !== undefined ? Number(minutes) : (config.mqtt?.override_minutes ?? 60),
+  });
+}
+
+async function peakShavingCommand(text) {
+  const json = parseJson(text);
+  return requestPeakShaving(json !== null && typeof json === 'object' ? json.limit_kw : json);
+}
+
+/**
+ * Run one command.
+ * @param {string} suffix   topic below the prefix, e.g. "command/override"
+ * @param {string} text     message payload
+ * @returns {Promise<{ status: number, body: object }>} same shape as the HTTP handlers
+ */
+export async function handleCommand(suffix, text) {
+  switch (suffix) {
+    case 'command/override':     return overrideCommand(text);
+    case 'command/peak_shaving': return peakShavingCommand(text);
+    default:                     return { status: 404, body: { error: `Unknown command topic ${suffix}` } };
+  }
+}
@@ -0,0 +1,312 @@
+/**
+ * MQTT publisher — pushes live state, the current schedule slot, the solar
+ * forecast, prices and pipeline health to a broker for home automation hubs.
+ *
+ * Topics (under mqtt.topic_prefix, JSON payloads, retained unless mqtt.retain = false):
+ *   <prefix>/status             "online" / "offline" (last will — always retained)
+ *   <prefix>/inverter/state     soc and power_w (battery_w from getMetrics; getState — with
+ *                               mode — only for a driver without getMetrics)
+ *   <prefix>/inverter/metrics   driver.getMetrics(): power flows + daily energy totals
+ *   <prefix>/schedule/current   current 15-min slot from battery_schedule + active override
+ *   <prefix>/forecast           solar forecast for the next 24 h, hourly
+ *   <prefix>/prices             spot prices for the next 24 h
+ *   <prefix>/savings/today      realized savings so far today (savings_ledger)
+ *   <prefix>/health             pipeline health (same body as GET /health)
+ *   <prefix>/command/result     outcome of each command (not retained)
+ *
+ * Command topics (mqtt.commands) are handled in mqtt-commands.js; Home Assistant
+ * discovery (mqtt.ha_discovery) is built in ha-discovery.js and re-sent whenever
+ * Home Assistant announces itself online.
+ *
+ * The client is created lazily and recreated when broker, prefix, command or
+ * discovery settings change on a config reload.
+ *
+ * Topics are published every minute, but the inverter is read only every
+ * mqtt.inverter_interval_s (default 60 s, 300 s for the rate-limited Growatt cloud
+ * API); in between the last reading is published again with its own updated_at.
+ */
+
+import mqtt from 'mqtt';
+import config from '../config.js';
+import { getReadingsForForecast, getPricesForRange, getScheduleForRange, getSavingsRollup } from './db.js';
+import { getDriver, getDriverConfig } from './inverter-dispatcher.js';
+import { getOverride } from './override.js';
+import { getPipelineHealth } from './health.js';
+import { handleCommand, COMMAND_TOPICS } from './mqtt-commands.js';
+import { buildDiscoveryMessages } from './ha-discovery.js';
+import { localTs } from './timeutils.js';
+import log from './logger.js';
+
+const CONNECT_TIMEOUT_MS = 5000;
+const DEFAULT_INVERTER_INTERVAL_S = { growatt: 300 };   // by brand; others 60
+
+let lastInverterRead = null;   // { at, brand, payloads } — payloads empty after a failed read
+
+let client = null;
+let clientTarget = null;
+
+/** Full topic for a suffix, e.g. topic('forecast') → "solarforecast/forecast". */
+export function topic(suffix) {
+  const prefix = (config.mqtt?.topic_prefix ?? 'solarforecast').replace(/\/+$/, '');
+  return `${prefix}/${suffix}`;
+}
+
+/**
+ * Return the connected (or connecting) client, or null when MQTT is disabled.
+ * Reconnects if the broker settings changed since the client was created.
+ */
+export function getMqttClient() {
+  const cfg = config.mqtt;
+  if (!cfg?.enabled) {
+    if (client) closeMqtt().catch(() => {});
+    return null;
+  }
+
+  const target = JSON.stringify([
+    cfg.url, cfg.username ?? '', cfg.password ?? '', topic(''),
+    cfg.commands ?? false, cfg.ha_discovery ?? false, cfg.ha_discovery_prefix ?? 'homeassistant',
+  ]);
+  if (client && clientTarget === target) return client;
+  if (client) {
+    log.info('mqtt', 'Broker settings changed — reconnecting');
+    client.end(true);
+  }
+
+  const statusTopic = topic('status');
+  client = mqtt.connect(cfg.url, {
+    clientId: cfg.client_id || `solarforecast-${Math.random().toString(16).slice(2, 10)}`,
+    username: cfg.username || undefined,
+    password: cfg.password || undefined,
+    reconnectPeriod: 10_000,
+    will: { topic: statusTopic, payload: 'offline', qos: 1, retain: true },
+  });
+  const c = client;
+  const haStatusTopic = `${cfg.ha_discovery_prefix ?? 'homeassistant'}/status`;
+  c.on('connect', () => {
+    log.info('mqtt', `Connected to ${cfg.url}`);
+    c.publish(statusTopic, 'online', { qos: 1, retain: true });
+    const subscriptions = [
+      ...(cfg.commands ? COMMAND_TOPICS.map(topic) : []),
+      ...(cfg.ha_discovery ? [haStatusTopic] : []),
+    ];
+    if (subscriptions.length > 0) c.subscribe(subscriptions, { qos: 1 });
+    if (cfg.ha_discovery) publishDiscovery(c);
+  });
+  c.on('message', (msgTopic, payload, packet) => {
+    if (msgTopic === haStatusTopic) {
+      if (payload.toString() === 'online') publishDiscovery(c);
+      return;
+    }
+    // A retained command would be re-run on every reconnect — ignore it
+    if (packet.retain) {
+      log.warn('mqtt', `Ignoring retained command on ${msgTopic}`);
+      return;
+    }
+    runCommand(msgTopic.slice(topic('').length), payload.toString());
+  });
+  c.on('error', err => log.warn('mqtt', `Client error: ${err.message}`));
+  clientTarget = target;
+  return c;
+}
+
+function publishDiscovery(c) {
+  const messages = buildDiscoveryMessages(topic);
+  for (const m of messages) {
+    c.publish(m.topic, JSON.stringify(m.payload), { qos: 1, retain: true });
+  }
+  log.info('mqtt', `Published Home Assistant discovery for ${messages.length} entities`);
+}
+
+async function runCommand(suffix, text) {
+  let result;
+  try {
+    result = await handleCommand(suffix, text);
+  } catch (err) {
+    result = { status: 500, body: { error: err.message } };
+  }
+  const level = result.status === 200 ? 'info' : 'warn';
+  log[level]('mqtt', `Command ${suffix} "${text}" → ${result.status}${result.body.error ? ` ${result.body.error}` : ''}`);
+  try {
+    const c = getMqttClient();
+    if (!c) return;
+    await c.publishAsync(topic('command/result'),
+      JSON.stringify({ command: suffix, payload: text, status: result.status, ...result.body }), { qos: 0 });
+    // Refresh the schedule/override state so Home Assistant reflects the change now
+    for (const [s, p] of Object.entries(buildPayloads())) await publishJson(s, p);
+  } catch (err) {
+    log.warn('mqtt', `Could not publish command result: ${err.message}`);
+  }
+}
+
+/** Publish "offline" and disconnect. */
+export async function closeMqtt() {
+  if (!client) return;
+  const c = client;
+  client = null;
+  clientTarget = null;
+  if (c.connected) {
+    try {
+      await c.publishAsync(topic('status'), 'offline', { qos: 1, retain: true });
+    } catch { /* broker gone — the last will covers it */ }
+  }
+  await c.endAsync();
+}
+
+function waitForConnect(c) {
+  if (c.connected) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      c.off('connect', onConnect);
+      reject(new Error(`not connected to ${config.mqtt.url} after ${CONNECT_TIMEOUT_MS / 1000}s`));
+    }, CONNECT_TIMEOUT_MS);
+    const onConnect = () => { clearTimeout(timer); resolve(); };
+    c.once('connect', onConnect);
+  });
+}
+
+/**
+ * Publish one JSON payload under the prefix.
+ * @param {string} suffix  topic below the prefix
+ * @param {any} payload
+ */
+export async function publishJson(suffix, payload) {
+  const c = getMqttClient();
+  if (!c) return;
+  await waitForConnect(c);
+  await c.publishAsync(topic(suffix), JSON.stringify(payload), { qos: 0, retain: config.mqtt.retain ?? true });
+}
+
+function round(v, digits = 3) {
+  if (v == null) return null;
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
+
+// Current 15-min slot start plus 24 h, as local timestamps
+function window24h(now) {
+  const tz = config.location.timezone;
+  const slot = new Date(now);
+  slot.setMinutes(Math.floor(now.getMinutes() / 15) * 15, 0, 0);
+  const hour = new Date(now);
+  hour.setMinutes(0, 0, 0);
+  const end = new Date(slot.getTime() + 24 * 60 * 60 * 1000);
+  return { slotTs: localTs(slot, tz), hourTs: localTs(hour, tz), toTs: localTs(end, tz) };
+}
+
+/**
+ * Build the database-backed payloads (everything except live inverter reads).
+ * @returns {Object<string, object>} topic suffix → payload
+ */
+export function buildPayloads(now = new Date()) {
+  const { slotTs, hourTs, toTs } = window24h(now);
+  const timezone = config.location.timezone;
+
+  const slot = getScheduleForRange(slotTs, toTs)[0] ?? null;
+  const override = getOverride();
+  const current = {
+    slot_ts:           slot?.slot_ts ?? null,
+    action:            slot?.action ?? null,
+    watts:             slot ? Math.round(slot.watts) : null,
+    soc_start:         round(slot?.soc_start, 1),
+    soc_end:           round(slot?.soc_end, 1),
+    price_kwh:         round(slot?.price_kwh, 4),
+    solar_watts:       slot?.solar_watts != null ? Math.round(slot.solar_watts) : null,
+    consumption_watts: slot?.consumption_watts != null ? Math.round(slot.consumption_watts) : null,
+    override:          override ? { action: override.action, expires_at: override.expires_at } : null,
+    effective_action:  override?.action ?? slot?.action ?? null,
+  };
+
+  const hours = getReadingsForForecast(hourTs, toTs).map(r => ({
+    hour: r.hour_ts,
+    avg_watts: r.prod_forecast != null ? Math.round(r.prod_forecast * 1000) : null,
+    confidence: round(r.confidence, 2),
+    p10_watts: r.prod_p10 != null ? Math.round(r.prod_p10 * 1000) : null,
+    p90_watts: r.prod_p90 != null ? Math.round(r.prod_p90 * 1000) : null,
+  }));
+  const forecast = {
+    timezone,
+    total_kwh: round(hours.reduce((s, h) => s + (h.avg_watts ?? 0), 0) / 1000, 2),
+    hours,
+  };
+
+  const priceRows = getPricesForRange(hourTs, toTs);
+  const currentPrice = priceRows.filter(p => p.slot_ts <= slotTs).at(-1) ?? null;
+  const prices = {
+    timezone,
+    currency: config.price.currency,
+    current: currentPrice ? currentPrice.spot_price : null,
+    prices: priceRows.map(p => ({ slot_ts: p.slot_ts, spot_price: p.spot_price })),
+  };
+
+  const today = slotTs.slice(0, 10);
+  const savingsRow = getSavingsRollup('daily', `${today}T00:00`, `${today}T24:00`)[0];
+  const savings = {
+    date: today,
+    currency: config.price.currency,
+    slots: savingsRow?.slots ?? 0,
+    actual_cost: round(savingsRow?.actual_cost ?? 0, 2),
+    baseline_cost: round(savingsRow?.baseline_cost ?? 0, 2),
+    savings: round(savingsRow?.savings ?? 0, 2),
+  };
+
+  const stamp = now.toISOString();
+  return {
+    'schedule/current': { ...current, updated_at: stamp },
+    forecast:           { ...forecast, updated_at: stamp },
+    prices:             { ...prices, updated_at: stamp },
+    'savings/today':    { ...savings, updated_at: stamp },
+    health:             { ...getPipelineHealth(), updated_at: stamp },
+  };
+}
+
+/**
+ * The inverter topics, read at most once per mqtt.inverter_interval_s. One driver call
+ * per read: getMetrics when the driver has it (the state topic is derived from it),
+ * else getState. A failed read publishes no inverter topics until the next interval.
+ * @returns {Promise<Object<string, object>>} topic suffix → payload
+ */
+async function inverterPayloads(now) {
+  const driver = getDriver();
+  if (!driver) return {};
+  const brand = config.inverter.brand;
+  const intervalS = config.mqtt.inverter_interval_s ?? DEFAULT_INVERTER_INTERVAL_S[brand] ?? 60;
+  if (lastInverterRead && lastInverterRead.brand === brand && now - lastInverterRead.at < intervalS * 1000) {
+    return lastInverterRead.payloads;
+  }
+
+  const cfg = getDriverConfig();
+  const updated_at = now.toISOString();
+  let payloads = {};
+  try {
+    if (typeof driver.getMetrics === 'function') {
+      const metrics = await driver.getMetrics(cfg);
+      payloads = {
+        'inverter/state':   { soc: metrics.soc, power_w: metrics.battery_w, updated_at },
+        'inverter/metrics': { ...metrics, updated_at },
+      };
+    } else {
+      payloads = { 'inverter/state': { ...await driver.getState(cfg), updated_at } };
+    }
+  } catch (err) {
+    log.warn('mqtt', `Inverter read failed — publishing without inverter topics: ${err.message}`);
+  }
+  lastInverterRead = { at: now, brand, payloads };
+  return payloads;
+}
+
+/**
+ * Publish every topic; the inverter ones from the last reading when it is recent enough.
+ * An inverter read failure skips the inverter topics only.
+ * @returns {Promise<number|null>} topics published, or null when MQTT is disabled
+ */
+export async function publishAll() {
+  if (!getMqttClient()) return null;
+
+  const now = new Date();
+  const payloads = { ...buildPayloads(now), ...await inverterPayloads(now) };
+
+  for (const [suffix, payload] of Object.entries(payloads)) {
+    await publishJson(suffix, payload);
+  }
+  return Object.keys(payloads).length;
+}
@@ -2,7 +2,8 @@
  * LP-based battery optimizer.
  * Sole battery optimizer — replaces the former greedy optimizer.js.
  *
- * Formulation (96 × 15-min slots, N slots total):
+ * Formulation (15-min slots from now to the end of the horizon, N slots total —
+ * 96 for 24 h, up to ~140 once tomorrow's prices are known; see horizon.js):
  *   Variables per slot t:
  *     cg_t   — grid charge power (W)
  *     d_t    — discharge to house (W)   [bounded by grid deficit]
@@ -15,6 +16,7 @@
  *                       − Σ buy_price[t]  * d_t    * h/1000
  *                       − Σ sell_price[t] * sell_t * h/1000   [when sell_enabled]
  *                       + Σ sell_price[t] * clip_t * h/1000   [lost revenue; drives pre-emptive discharge]
+ *                       + Σ wear * (d_t + sell_t) * h/1000     [battery wear per kWh discharged]
  *     (h = 0.25 h per slot; /1000 converts W→kW)
  *
  *   Constraints:
@@ -28,6 +30,69 @@
  *     Joint discharge: d_t + sell_t ≤ max_discharge_w                   [when sell_enabled]
  *     Export cap:      −cs_t + sell_t − clip_t ≤ max_export_w − surplus_t  [surplus slots only]
  *
+ * Stochastic mode (optimizer.mode = 'stochastic', see scenarios.js):
+ *   The battery is copied per solar × load scenario k with probability p_k.
+ *   cg_t and sell_t are first-stage (shared); d, cs, clip and s are per scenario,
+ *   and every constraint above holds in every scenario. With cost_k the grid
+ *   cost of scenario k, the objective becomes
+ *     (1 − λ) · Σ p_k cost_k + λ · CVaR_α(cost)
+ *   (λ = optimizer.risk_aversion, α = optimizer.cvar_alpha), with CVaR in the
+ *   Rockafellar–Uryasev form  η + 1/(1 − α) · Σ p_k z_k,  z_k ≥ cost_k − η,  z_k ≥ 0.
+ *   The schedule takes cg/sell directly and the probability-weighted d, cs and SOC.
+ *
+ * Capacity tariff (grid.capacity_tariff.enabled, see capacity-tariff.js):
+ *   imp_t ≥ 0 and imp_t ≥ consumption_t − solar_t + cg_t + cs_t + clip_t − d_t − sell_t
+ *   in billable slots; one peak variable pk_d per calendar day with
+ *     pk_d ≥ mean(imp over each billable window of day d),  pk_d ≥ month-to-date N-th peak
+ *   and objective term  fee_per_kw / top_n · pk_d / 1000.  The lower bound makes
+ *   import below the already-billed peaks free — only new peaks above it cost.
+ *
+ * EV sessions (ev.js):
+ *   ev_j_t (W, first-stage) is the charger draw of session j in the slots between
+ *   plug-in and departure, 0 ≤ ev_j_t ≤ max_power_w, bought at buy_price[t]:
+ *     η_ev·h·Σ_t ev_j_t + short_j ≥ energy still needed by departure
+ *     η_ev·h·Σ_t ev_j_t ≤ energy still missing
+ *     cg_t + Σ_j ev_j_t ≤ import cap − consumption_t     [when peak_shaving.default_kw]
+ *   short_j is a slack priced far above any buy price, so an impossible target
+ *   (too little time or import headroom) still yields a plan that gets as close as
+ *   it can. Energy that can still be charged after the horizon ends at full power
+ *   is not required now. EV draw also counts as grid import for the capacity tariff.
+ *
+ * Flexible loads (flex-loads.js) — makes the problem a MILP:
+ *   fy_j_τ ∈ {0,1} starts job j in slot τ (first-stage; τ the first fitting slot and
+ *   then whole hours, coarser when there are many jobs); the job draws P_j in slots
+ *   τ … τ+L_j−1, so flex_t = Σ P_j · fy_j_τ over starts covering t, at buy_price[t]:
+ *     Σ_τ fy_j_τ + defer_j + skip_j = 1
+ *   defer_j (allowed when the run still fits between the horizon end and the deadline)
+ *   costs the average buy price; skip_j is priced like the EV shortfall. Per scenario,
+ *   fs_t (flex load served from solar surplus, avoided purchase) shares the surplus
+ *   with cs_t, and the battery may cover flex load:  d_t ≤ deficit_t + flex_t − fs_t.
+ *   Flex load shares the import cap with cg_t and ev_t and counts as capacity-tariff
+ *   import. Jobs already running are fixed house load.
+ *
+ * Heat pump (thermal-model.js, heat_pump.enabled):
+ *   The house is a thermal storage; th_t is the indoor temperature's offset from the
+ *   setpoint. The heat pump's baseline is the model's heating demand at the forecast outdoor
+ *   temperature, slope · max(0, base_temp − T_out), capped by the slot's estimated load;
+ *   hpu_t (first-stage) adds power on top of it, hpd_t takes power off it:
+ *     th_{t+1} = e^(−h/τ) · th_t + g · (hpu_t − hpd_t),   comfort_min ≤ setpoint + th_t ≤ comfort_max
+ *   with th_0 the offset the previous plan reached and th_N ≥ min(0, th_0), so heat is
+ *   never borrowed from the next window. hpu_t is flexible load like a flex run (solar
+ *   surplus, battery, import cap, capacity tariff); hpd_t saves its buy price and counts
+ *   against the grid deficit:  d_t + hpd_t ≤ deficit_t + flex_t − fs_t.
+ *
+ * Hot-water tank (hot-water.js, hot_water.enabled):
+ *   hwp_t ∈ [0, P_e] is the element's mean power in slot t (first-stage; hot-water.js turns
+ *   it into minutes on); hwe_t is the stored heat in Wh above min_temp_c, drained by
+ *   standing loss and average use. The consumption history already contains the tank's
+ *   thermostat, so the LP plans on the house load estimate minus the drain:
+ *     hwe_{t+1} = hwe_t + h · hwp_t − h · drain,   hwe_t ≤ capacity,  hwe_t + hwlow_t ≥ 0
+ *   hwlow_t (heat missing below min_temp_c) is priced like the EV shortfall; heat left at
+ *   the end is worth 80 % of the average buy price. The element is flexible load like a
+ *   flex run, so it takes solar surplus the battery cannot and that the export cap would clip.
+ *   (A binary per slot would be exact for an on/off element, but the HiGHS WASM build
+ *   becomes unreliable from about 80 binaries.)
+ *
  * Mutual exclusion (charge + discharge same slot) is not needed explicitly —
  * efficiency < 1 makes round-tripping always net-negative, so the solver
  * never charges and discharges in the same slot.
@@ -40,10 +105,26 @@ import {
   upsertScheduleBatch,
   deleteScheduleForRange,
 } from './db.js';
+import { totalPeakKw } from './panels.js';
+import { buildScenarios } from './scenarios.js';
+import { fillMissingPrices } from './horizon.js';
+import { wearCostPerKwh } from './degradation.js';
+import { capacityTariff, isBillable, windowOf, monthToDatePeaks } from './capacity-tariff.js';
+import { slotPrices } from './tariff.js';
+import { evSessionsForPlanning, saveEvPlan, evEfficiency } from './ev.js';
+import { flexJobsForPlanning, saveFlexJobPlan } from './flex-loads.js';
+import { heatPumpForPlanning } from './thermal-model.js';
+import { hotWaterForPlanning } from './hot-water.js';
+import { fromLocalTs } from './timeutils.js';
 import Highs from 'highs';
 
 const currency = config.price.currency;
 
+// Flex-job start binaries across all jobs. The HiGHS WASM build becomes unreliable
+// from about 80 binaries, so candidate starts are thinned (hourly, then every 2 or 4 h)
+// to keep the total under this.
+const MAX_FLEX_BINARIES = 60;
+
 // Module-level HiGHS instance (loaded once, reused across calls).
 // output_flag: false suppresses solver log lines on stdout.
 let _highs = null;
@@ -65,6 +146,20 @@ function interpolateTo15Min(hourlyData) {
   return slots;
 }
 
+/** Mean of the worst (1 − alpha) probability mass of costs. */
+function conditionalValueAtRisk(costs, probs, alpha) {
+  const order = costs.map((c, i) => i).sort((a, b) => costs[b] - costs[a]);
+  let remaining = 1 - alpha;
+  let total = 0;
+  for (const i of order) {
+    const take = Math.min(probs[i], remaining);
+    total += take * costs[i];
+    remaining -= take;
+    if (remaining <= 1e-12) break;
+  }
+  return total / (1 - alpha);
+}
+
 /** Log contiguous charge/discharge windows with kWh and avg price. */
 function logWindows(label, actionSlots, priceFn) {
   if (actionSlots.length === 0) return;
@@ -100,29 +195,38 @@ function logWindows(label, actionSlots, priceFn) {
  * @param {number} [options.startSoc]    Live battery SOC % (0–100)
  * @param {number} [options.intradayScalar]
  * @param {boolean}[options.dryRun]      If true, skip writing to DB
+ * @param {boolean}[options.deterministic] Plan on the point forecast even when optimizer.mode = 'stochastic'
  * @returns {Promise<{schedule: Array, summary: Object}>}
  */
 export async function runOptimizer(fromTs, toTs, consumptionEstimates, options = {}) {
   const bat  = config.battery;
   const grid = config.grid;
+  const log  = options.quiet ? () => {} : console.log;
+  const warn = options.quiet ? () => {} : console.warn;
 
   // options.sellEnabled overrides config.grid.sell_enabled (used for shadow runs)
   const effectiveSellEnabled = options.sellEnabled ?? grid.sell_enabled;
 
   // ── 1. Gather inputs ────────────────────────────────────────────────────────
 
-  const prices = getPricesForRange(fromTs, toTs);
-  if (prices.length === 0) {
-    console.log('[optimizer-lp] No price data available for range');
+  const knownPrices = getPricesForRange(fromTs, toTs);
+  if (knownPrices.length === 0) {
+    log('[optimizer-lp] No price data available for range');
     return { schedule: [], summary: null };
   }
+  // Slots past the last day-ahead price get a historical profile price (horizon.js)
+  const { prices, filled } = fillMissingPrices(knownPrices, fromTs, toTs);
+  if (filled > 0) {
+    log(`[optimizer-lp] ${filled} slots without day-ahead price — using historical profile ` +
+      `(${prices.find(p => p.estimated).slot_ts} → ${toTs})`);
+  }
 
-  const solarRows = getReadingsForForecast(fromTs, toTs);
+  const solarRows = options.solarRows ?? getReadingsForForecast(fromTs, toTs);
 
   const daytimeRows = solarRows.filter(r => r.irr_forecast > 0 && r.cloud_cover != null);
   if (daytimeRows.length > 0) {
     const avgCloud = Math.round(daytimeRows.reduce((s, r) => s + r.cloud_cover, 0) / daytimeRows.length);
-    console.log(`[optimizer-lp] Cloud cover: avg ${avgCloud}% over ${daytimeRows.length} daytime forecast hours`);
+    log(`[optimizer-lp] Cloud cover: avg ${avgCloud}% over ${daytimeRows.length} daytime forecast hours`);
   }
 
   const intradayScalar = (options.intradayScalar != null && isFinite(options.intradayScalar))
@@ -133,7 +237,7 @@ export async function runOptimizer(fromTs, toTs, consumptionEstimates, options =
   // forecast artefacts that would otherwise cause spurious SOC increases.
   const MIN_SOLAR_W = 50;
 
-  const peakWatts = config.panel.peak_kw * 1000;
+  const peakWatts = totalPeakKw() * 1000;
   const solarMap = new Map(
     interpolateTo15Min(solarRows.map(r => {
       // Per-band scalar: match this hour's cloud cover to the band from completed
@@ -165,13 +269,14 @@ export async function runOptimizer(fromTs, toTs, consumptionEstimates, options =
   const slots = prices.map(p => {
     const solar       = solarMap.get(p.slot_ts) ?? 0;
     const consumption = consumptionMap.get(p.slot_ts) ?? config.consumption.flat_watts;
-    const buyPrice    = p.spot_price + grid.transfer_import_kwh + grid.energy_tax_kwh;
-    const sellPrice   = effectiveSellEnabled
-      ? p.spot_price * grid.sell_price_factor - grid.transfer_export_kwh : 0;
+    // Grid fees, tax, VAT and export compensation for this slot (tariff.js)
+    const tariffPrices = slotPrices(p.slot_ts, p.spot_price);
+    const buyPrice    = tariffPrices.buy;
+    const sellPrice   = effectiveSellEnabled ? tariffPrices.sell : 0;
     return {
       slot_ts: p.slot_ts, spot_price: p.spot_price, buy_price: buyPrice,
-      sell_price: sellPrice, solar_watts: solar, consumption_watts: consumption,
-      net_production: solar - consumption,
+      sell_price: sellPrice, solar_watts: solar, consumption_watts: consumption, plan_load_w: consumption,
+      net_production: solar - consumption, price_estimated: p.estimated === true,
       action: 'idle', watts: 0, soc_start: 0, soc_end: 0,
     };
   });
@@ -190,9 +295,9 @@ export async function runOptimizer(fromTs, toTs, consumptionEstimates, options =
     : minSocWh;
 
   if (options.startSoc != null) {
-    console.log(`[optimizer-lp] Starting SOC: ${options.startSoc}% (${Math.round(startSocWh)} Wh)`);
+    log(`[optimizer-lp] Starting SOC: ${options.startSoc}% (${Math.round(startSocWh)} Wh)`);
   } else {
-    console.log(`[optimizer-lp] Starting SOC: ${minSocPct}% (conservative default)`);
+    log(`[optimizer-lp] Starting SOC: ${minSocPct}% (conservative default)`);
   }
 
   // Peak shaving: per-slot grid import cap → limits how fast the battery can charge from grid.
@@ -210,14 +315,36 @@ export async function runOptimizer(fromTs, toTs, consumptionEstimates, options =
     return psConfig.default_kw * 1000;
   }
   if (psConfig?.default_kw) {
-    console.log(`[optimizer-lp] Grid import cap: ${psConfig.default_kw} kW → max charge rate = cap − consumption`);
+    log(`[optimizer-lp] Grid import cap: ${psConfig.default_kw} kW → max charge rate = cap − consumption`);
   }
 
   // EV: when enabled, consumption_watts is house-only so maxDis is bounded to house load.
   // The hardware peak-shaving register (800) enforces the actual grid import cap at runtime;
-  // the optimizer does not attempt to predict EV load for the maxCgW bound.
+  // without a registered session the optimizer does not predict EV load for the maxCgW bound.
   if (config.ev?.enabled) {
-    console.log(`[optimizer-lp] EV-aware: battery discharge bounded to house load only (EV draws from grid)`);
+    log(`[optimizer-lp] EV-aware: battery discharge bounded to house load only (EV draws from grid)`);
+  }
+
+  // EV sessions: the slots each session may charge in, and the energy it must get
+  // within this horizon — what the charger can still add at full power between the
+  // horizon end and departure is left for later runs.
+  const evEta = evEfficiency();
+  const horizonEndMs = fromLocalTs(toTs, config.location.timezone).getTime();
+  const evSessions = (options.evSessions ?? evSessionsForPlanning(fromTs)).map(sess => {
+    const idx = [];
+    for (let t = 0; t < N; t++) {
+      if (slots[t].slot_ts >= sess.plugin_ts && slots[t].slot_ts < sess.departure_ts) idx.push(t);
+    }
+    const afterHorizonH = Math.max(0, Math.floor((Date.parse(sess.departure_at) - horizonEndMs) / 900_000)) * h;
+    const needWh = Math.max(0, sess.remaining_wh - afterHorizonH * sess.max_w * evEta);
+    return { ...sess, idx, needWh };
+  }).filter(sess => sess.idx.length > 0);
+  const evAt = Array.from({ length: N }, () => []);   // t → sessions that may charge in slot t
+  for (const sess of evSessions) for (const t of sess.idx) evAt[t].push(sess);
+  for (const sess of evSessions) {
+    log(`[optimizer-lp] EV session #${sess.id}: ${(sess.remaining_wh / 1000).toFixed(1)} kWh missing, ` +
+      `${(sess.needWh / 1000).toFixed(1)} kWh needed in ${sess.idx.length} slots before ${sess.departure_ts}, ` +
+      `max ${sess.max_w} W`);
   }
 
   // Export cap (W) — limits total grid injection per slot (solar overflow + battery sell).
@@ -225,137 +352,487 @@ export async function runOptimizer(fromTs, toTs, consumptionEstimates, options =
   // Infinite when not configured (no constraint added).
   const exportCapW = grid.max_export_w ?? Infinity;
   if (isFinite(exportCapW)) {
-    console.log(`[optimizer-lp] Export cap: ${exportCapW / 1000} kW — will plan pre-emptive discharge to avoid solar clipping`);
+    log(`[optimizer-lp] Export cap: ${exportCapW / 1000} kW — will plan pre-emptive discharge to avoid solar clipping`);
+  }
+
+  // Capacity tariff: the month-to-date peaks set the floor a new peak has to beat
+  const tariff   = capacityTariff();
+  const mtdPeaks = tariff ? monthToDatePeaks(fromTs) : null;
+  if (tariff) {
+    log(`[optimizer-lp] Capacity tariff: ${tariff.fee_per_kw} ${currency}/kW, top ${mtdPeaks.top_n} ` +
+      `${tariff.window_minutes ?? 60}-min peaks — month to date ${mtdPeaks.billed_kw} kW billed, ` +
+      `new peaks cost above ${mtdPeaks.threshold_kw} kW`);
+  }
+
+  // Hot-water tank: the consumption estimate comes from history that already includes the
+  // tank's own thermostat, so the LP plans on the load without its average draw (plan_load_w)
+  // and supplies the drain through hwp_t instead. consumption_watts keeps the full estimate
+  // for the stored schedule and the cost-without-battery figure.
+  const tank = options.hotWater !== undefined ? options.hotWater : hotWaterForPlanning(fromTs);
+  if (tank) {
+    for (const slot of slots) slot.plan_load_w = Math.max(0, slot.consumption_watts - tank.drain_w);
   }
 
-  // ── 4. Build LP problem string ───────────────────────────────────────────────
+  // Heat pump: its baseline per slot is the thermal model's heating demand at the forecast
+  // outdoor temperature, slope × max(0, base_temp − T_out), capped at max_power_w and at the
+  // slot's estimated load (which includes it) — taken before running flex jobs are added.
+  // An hour without a forecast temperature falls back to the load above the base load.
+  const thermal = options.heatPump !== undefined ? options.heatPump : await heatPumpForPlanning(fromTs);
+  const hpBaseW = thermal
+    ? slots.map(s => {
+      const tOut = thermal.outdoor_temps?.get(s.slot_ts.slice(0, 13) + ':00');
+      const demandW = tOut != null
+        ? thermal.slope_w_per_c * Math.max(0, thermal.base_temp - tOut)
+        : s.plan_load_w - thermal.base_load_w;
+      return Math.min(thermal.max_power_w, s.plan_load_w, Math.max(0, demandW));
+    })
+    : [];
+  if (thermal) {
+    log(`[optimizer-lp] Heat pump: τ ${thermal.tau_h} h, offset ${thermal.min_offset_c}…+${thermal.max_offset_c} °C, ` +
+      `starting at ${thermal.start_offset_c.toFixed(1)} °C, baseline avg ${Math.round(hpBaseW.reduce((a, b) => a + b, 0) / N)} W`);
+  }
+
+  // Flexible loads: a running job is fixed house load in its remaining slots; the others
+  // may start where the whole run fits between earliest start and deadline (or be deferred
+  // when it also fits after the horizon). Candidate starts are the first fitting slot and
+  // then every full hour — every 2 or 4 h when the jobs together would exceed MAX_FLEX_BINARIES.
+  const slotEndTs = t => (t < N ? slots[t].slot_ts : toTs);
+  const flexJobs = [];
+  for (const job of options.flexJobs ?? flexJobsForPlanning(fromTs)) {
+    if (job.started_ts) {
+      for (const slot of slots) {
+        if (slot.slot_ts >= job.started_ts && slot.slot_ts < job.planned_end) {
+          slot.consumption_watts += job.power_w;
+          slot.plan_load_w += job.power_w;
+        }
+      }
+      log(`[optimizer-lp] Flex load #${job.id} ${job.name}: running until ${job.planned_end} (${job.power_w} W fixed)`);
+      continue;
+    }
+    const fits = [];
+    for (let t = 0; t + job.slots <= N; t++) {
+      if (slots[t].slot_ts >= job.earliest_ts && slotEndTs(t + job.slots) <= job.deadline_ts) fits.push(t);
+    }
+    const firstAfterHorizonMs = Math.max(horizonEndMs, fromLocalTs(job.earliest_ts, config.location.timezone).getTime());
+    const canDefer = Date.parse(job.deadline_at) - firstAfterHorizonMs >= job.slots * 900_000;
+    flexJobs.push({ ...job, fits, canDefer });
+  }
+  const startsEvery = strideH => job => job.fits.filter((t, i) =>
+    i === 0 || (slots[t].slot_ts.endsWith(':00') && Number(slots[t].slot_ts.slice(11, 13)) % strideH === 0));
+  let strideH = 1;
+  while (strideH < 4 && flexJobs.reduce((n, job) => n + startsEvery(strideH)(job).length, 0) > MAX_FLEX_BINARIES) {
+    strideH *= 2;
+  }
+  const flexBinaries = flexJobs.reduce((n, job) => n + startsEvery(strideH)(job).length, 0);
+  if (flexBinaries > MAX_FLEX_BINARIES) {
+    warn(`[optimizer-lp] ${flexBinaries} flex-job start binaries even at 4-hourly starts — the solve may fail`);
+  }
+  for (const job of flexJobs) {
+    job.starts = startsEvery(strideH)(job);
+    log(`[optimizer-lp] Flex load #${job.id} ${job.name}: ${job.power_w} W × ${job.slots * 15} min, ` +
+      `${job.starts.length} candidate starts (every ${strideH} h) before ${job.deadline_ts}` +
+      (job.canDefer ? ', may defer past horizon' : ''));
+  }
+  const flexAt = Array.from({ length: N }, () => []);   // t → [{ v: 'fy_j_τ', w: P_j }] runs covering slot t
+  for (const job of flexJobs) {
+    for (const t0 of job.starts) {
+      for (let t = t0; t < t0 + job.slots; t++) flexAt[t].push({ v: `fy_${job.id}_${t0}`, w: job.power_w });
+    }
+  }
+  // Extra heat-pump power is flexible load too
+  if (thermal) for (let t = 0; t < N; t++) flexAt[t].push({ v: `hpu_${t}`, w: 1 });
+  // and so is the hot-water element
+  if (tank) {
+    for (let t = 0; t < N; t++) flexAt[t].push({ v: `hwp_${t}`, w: 1 });
+    log(`[optimizer-lp] Hot-water tank: ${(tank.capacity_wh / 1000).toFixed(1)} kWh between ` +
+      `${tank.min_temp_c} and ${(tank.min_temp_c + tank.capacity_wh / tank.wh_per_k).toFixed(0)} °C, ` +
+      `starting at ${(tank.min_temp_c + tank.start_wh / tank.wh_per_k).toFixed(1)} °C, drain ${Math.round(tank.drain_w)} W (taken out of the load estimate)`);
+  }
+  const flexTerms = (t, sign) => flexAt[t].map(f => ` ${sign} ${f.w.toFixed(4)} ${f.v}`).join('');
+  const hpdTerm = t => (thermal ? ` + hpd_${t}` : '');
+
+  // ── 4. Scenarios ─────────────────────────────────────────────────────────────
   //
-  // Variable index convention (all watts):
-  //   cg_T   charge_grid[T]   T = 0..N-1
-  //   d_T    discharge[T]     T = 0..N-1
-  //   cs_T   charge_solar[T]  T = 0..N-1
-  //   s_T    soc[T]           T = 0..N  (N+1 values; s_0 fixed = startSocWh)
+  // Deterministic mode is a single scenario (the point forecast) with probability 1.
+  // Stochastic mode adds solar × load scenarios from historical forecast errors;
+  // cg_t and sell_t are first-stage (one value for every scenario — they are what the
+  // inverter is told to do), d/cs/clip/s are recourse and get one copy per scenario.
+
+  const opt = config.optimizer ?? {};
+  let scenarioSet = null;
+  if (opt.mode === 'stochastic' && !options.deterministic) {
+    scenarioSet = buildScenarios(fromTs, slots, solarRows, peakWatts);
+    if (!scenarioSet) {
+      log('[optimizer-lp] Stochastic mode: not enough forecast-error history — planning on the point forecast');
+    }
+  }
+  const scenarios = scenarioSet?.scenarios ?? [{
+    prob: 1,
+    label: 'forecast',
+    solar: slots.map(s => s.solar_watts),
+    consumption: slots.map(s => s.plan_load_w),
+  }];
+  const S     = scenarios.length;
+  const multi = S > 1;
+  const sx    = k => (multi ? `_s${k}` : '');   // variable suffix per scenario
+  const riskAversion = multi ? (opt.risk_aversion ?? 0.3) : 0;
+  const cvarAlpha    = opt.cvar_alpha ?? 0.8;
+  if (multi) {
+    log(`[optimizer-lp] Stochastic: ${S} scenarios (${scenarioSet.solarCount} solar × ${scenarioSet.loadCount} load` +
+      `${scenarioSet.loadCount === 1 && scenarioSet.loadSamples > 0 ? `, ${scenarioSet.loadSamples} load samples too few` : ''})` +
+      `, risk aversion ${riskAversion}, CVaR α ${cvarAlpha}`);
+  }
+
+  // Grid charging must respect the import cap in every scenario → highest consumption wins
+  const importHeadroomW = slots.map((slot, t) =>
+    Math.max(0, peakShavingLimitW(slot.slot_ts) - Math.max(...scenarios.map(sc => sc.consumption[t]))));
+
+  // ── 5. Build LP problem string ───────────────────────────────────────────────
+  //
+  // Variable index convention (all watts), k = scenario, suffix _s<k> only when S > 1:
+  //   cg_T        charge_grid[T]   T = 0..N-1   (shared)
+  //   sell_T      sell[T]          T = 0..N-1   (shared)
+  //   d_T_sk      discharge[T]     T = 0..N-1
+  //   cs_T_sk     charge_solar[T]  T = 0..N-1
+  //   clip_T_sk   clipped solar[T] T = 0..N-1
+  //   s_T_sk      soc[T]           T = 0..N  (N+1 values; s_0 fixed = startSocWh)
+  //   eta, z_sk   CVaR threshold and excess cost per scenario (only when risk_aversion > 0)
+  //   imp_T_sk    grid import[T]   billable slots only          (capacity tariff)
+  //   pk_D_sk     peak import (W)  D = calendar day in horizon  (capacity tariff)
+  //   ev_J_T      EV charger draw  J = session id, T in its slots (shared)
+  //   short_J     EV energy short of the target (Wh)              (shared)
+  //   fy_J_T      flex job J starts in slot T (binary)            (shared)
+  //   defer_J, skip_J  flex job J runs after the horizon / not at all (shared)
+  //   fs_T_sk     flex load served from solar surplus (W)
+  //   hpu_T, hpd_T  heat pump above / below its baseline (W)       (shared)
+  //   th_T        indoor offset from the setpoint (°C), T = 0..N   (shared)
+  //   hwp_T       hot-water element mean power (W)                (shared)
+  //   hwe_T, hwlow_T  tank heat above / below min_temp_c (Wh)     (shared)
 
   // Tiebreaker: tiny epsilon added linearly to cg_t coefficients.
   // Breaks LP degeneracy on flat overnight price segments (e.g. all slots 01:00–04:00 same price).
   // ε is ~10–40× smaller than any real price difference the optimizer acts on.
   const avgBuyPrice = slots.reduce((s, sl) => s + sl.buy_price, 0) / slots.length;
   const epsilonPerKwh = avgBuyPrice * 0.005;
-  console.log(`[optimizer-lp] Charge tiebreaker ε=${epsilonPerKwh.toFixed(4)} ${currency}/kWh ` +
+  log(`[optimizer-lp] Charge tiebreaker ε=${epsilonPerKwh.toFixed(4)} ${currency}/kWh ` +
     `(0.5% of avg buy price ${avgBuyPrice.toFixed(3)})`);
 
-  // Objective: minimize Σ coeff_t * cg_t − Σ coeff_t * d_t − endSocBonus * s_N
-  // The end-SOC bonus is a soft incentive to end the 24h window with higher SOC,
+  // The end-SOC bonus is a soft incentive to end the window with higher SOC,
   // preventing the solver from draining the battery in the last expensive slot
   // with no cost for the next optimization window starting depleted.
-  const endSocBonusCoeff = (avgBuyPrice * 0.1 * h / 1000).toFixed(8); // ~10% of avg slot value per Wh
+  const endSocBonus = avgBuyPrice * 0.1 * h / 1000; // ~10% of avg slot value per Wh
 
-  const objLines = [];
-  for (let t = 0; t < N; t++) {
-    const tiebreak = epsilonPerKwh * (t / N) * h / 1000;
-    const coeff    = (slots[t].buy_price * h / 1000 + tiebreak).toFixed(8);
-    objLines.push(`${coeff} cg_${t}`);
+  // Battery wear: every kWh discharged (to the house or the grid) costs wearPerKwh,
+  // so a charge/discharge pair has to earn more than efficiency loss plus wear.
+  const wearPerKwh = wearCostPerKwh();
+  const wearCoeff  = wearPerKwh * h / 1000;
+  if (wearPerKwh > 0) {
+    log(`[optimizer-lp] Battery wear cost: ${wearPerKwh.toFixed(3)} ${currency}/kWh discharged`);
   }
-  for (let t = 0; t < N; t++) {
-    const coeff = (slots[t].buy_price * h / 1000).toFixed(8);
-    objLines.push(`-${coeff} d_${t}`);
-  }
-  // Sell revenue: each kWh exported earns sell_price — subtract from objective (minimise cost)
-  if (effectiveSellEnabled) {
+
+  // Capacity tariff: billable slots grouped into averaging windows, windows into days.
+  // A day in the next month starts from no billed peaks (floor 0).
+  const peakDays = new Map();   // 'YYYY-MM-DD' → { index, floorW, windows: Map<windowTs, t[]> }
+  if (tariff) {
     for (let t = 0; t < N; t++) {
-      if (slots[t].sell_price > 0) {
-        const coeff = (slots[t].sell_price * h / 1000).toFixed(8);
-        objLines.push(`-${coeff} sell_${t}`);
+      const ts = slots[t].slot_ts;
+      if (!isBillable(ts, tariff)) continue;
+      const day = ts.slice(0, 10);
+      if (!peakDays.has(day)) {
+        const floorKw = ts.slice(0, 7) === mtdPeaks.month ? mtdPeaks.threshold_kw : 0;
+        peakDays.set(day, { index: peakDays.size, floorW: floorKw * 1000, windows: new Map() });
       }
+      const windows = peakDays.get(day).windows;
+      const key = windowOf(ts, tariff);
+      if (!windows.has(key)) windows.set(key, []);
+      windows.get(key).push(t);
     }
   }
-  // Clip penalty: each watt of clipped solar costs its sell value (lost export revenue).
-  // Only meaningful when sell is enabled and the price is positive — otherwise there's no
-  // revenue incentive and the LP can't avoid clipping anyway (sell_t = 0).
-  if (effectiveSellEnabled && isFinite(exportCapW)) {
+  // Fee per W of monthly peak: the bill is the mean of top_n peaks, so one peak counts 1/top_n
+  const peakCoeff = tariff ? tariff.fee_per_kw / (mtdPeaks.top_n * 1000) : 0;
+  const slotsPerWindow = (tariff?.window_minutes ?? 60) / 15;
+
+  // EV shortfall: 10× the highest buy price per kWh, so the LP only falls short
+  // when the target cannot be reached at all
+  const evShortCoeff = Math.max(1, ...slots.map(sl => sl.buy_price)) * 10 / 1000;
+
+  // Tank heat left at the end of the window: re-heating it later would cost about the
+  // average price, discounted for the standing loss until it is used
+  const tankEndValue = avgBuyPrice * 0.8 / 1000;   // per Wh
+
+  // Scenario cost = baseCost_k + Σ coeff · var. baseCost_k is the import bill with no
+  // battery; it is constant for the LP but matters for CVaR, which ranks scenarios.
+  const scenarioTerms = scenarios.map((sc, k) => {
+    const terms = [];
+    let baseCost = 0;
+    for (let t = 0; t < N; t++) {
+      const buyCoeff = slots[t].buy_price * h / 1000;
+      const surplusW = sc.solar[t] - sc.consumption[t];
+      baseCost += buyCoeff * Math.max(0, -surplusW);
+      terms.push([`cg_${t}`, buyCoeff + epsilonPerKwh * (t / N) * h / 1000]);
+      terms.push([`d_${t}${sx(k)}`, -buyCoeff + wearCoeff]);
+      // Sell revenue: each kWh exported earns sell_price — subtract from objective (minimise cost)
+      if (effectiveSellEnabled && slots[t].sell_price > 0) {
+        terms.push([`sell_${t}`, -slots[t].sell_price * h / 1000 + wearCoeff]);
+      }
+      // Clip penalty: each watt of clipped solar costs its sell value (lost export revenue).
+      // Only meaningful when sell is enabled and the price is positive — otherwise there's no
+      // revenue incentive and the LP can't avoid clipping anyway (sell_t = 0).
+      if (effectiveSellEnabled && isFinite(exportCapW) && surplusW > 0 && slots[t].sell_price > 0) {
+        terms.push([`clip_${t}${sx(k)}`, slots[t].sell_price * h / 1000]);
+      }
+    }
+    // EV charging is bought like grid charging, with the same tiebreaker (earlier wins ties)
+    for (const sess of evSessions) {
+      for (const t of sess.idx) {
+        terms.push([`ev_${sess.id}_${t}`, slots[t].buy_price * h / 1000 + epsilonPerKwh * (t / N) * h / 1000]);
+      }
+      terms.push([`short_${sess.id}`, evShortCoeff]);
+    }
+    // Flex jobs: the run's energy at each slot's buy price; solar surplus it absorbs is free
+    for (const job of flexJobs) {
+      for (const t0 of job.starts) {
+        let c = 0;
+        for (let t = t0; t < t0 + job.slots; t++) c += slots[t].buy_price * job.power_w * h / 1000;
+        terms.push([`fy_${job.id}_${t0}`, c + epsilonPerKwh * (t0 / N) * job.power_w * job.slots * h / 1000]);
+      }
+      const runKwh = job.power_w * job.slots * h / 1000;
+      if (job.canDefer) terms.push([`defer_${job.id}`, avgBuyPrice * runKwh]);
+      terms.push([`skip_${job.id}`, evShortCoeff * 1000 * runKwh]);
+    }
+    // (plus the tiebreaker, so surplus beats a battery discharge that solar would refill)
     for (let t = 0; t < N; t++) {
-      const surplusW = slots[t].solar_watts - slots[t].consumption_watts;
-      if (surplusW > 0 && slots[t].sell_price > 0) {
-        const coeff = (slots[t].sell_price * h / 1000).toFixed(8);
-        objLines.push(`+${coeff} clip_${t}`);
+      if (flexAt[t].length > 0 && sc.solar[t] > sc.consumption[t]) terms.push([`fs_${t}${sx(k)}`, -(slots[t].buy_price + epsilonPerKwh) * h / 1000]);
+    }
+    // Hot water: the element at the slot's buy price; heat missing below min_temp_c is
+    // priced like the EV shortfall, heat left at the end is worth re-heating cost
+    if (tank) {
+      for (let t = 0; t < N; t++) {
+        terms.push([`hwp_${t}`, (slots[t].buy_price + epsilonPerKwh * (t / N)) * h / 1000]);
+        terms.push([`hwlow_${t + 1}`, evShortCoeff]);
       }
+      terms.push([`hwe_${N}`, -tankEndValue]);
     }
+    // Heat pump: extra power is bought, eased-off power is not
+    if (thermal) {
+      for (let t = 0; t < N; t++) {
+        terms.push([`hpu_${t}`, slots[t].buy_price * h / 1000]);
+        terms.push([`hpd_${t}`, -slots[t].buy_price * h / 1000]);
+      }
+    }
+    // Soft penalty for low terminal SOC (subtract bonus for s_N — minimize means solver prefers high s_N)
+    terms.push([`s_${N}${sx(k)}`, -endSocBonus]);
+    for (const pd of peakDays.values()) terms.push([`pk_${pd.index}${sx(k)}`, peakCoeff]);
+    return { terms, baseCost };
+  });
+
+  // Objective: (1 − λ) · E[cost] + λ · CVaR_α[cost]
+  //   CVaR_α = η + 1/(1 − α) · Σ p_k z_k,  z_k ≥ cost_k − η,  z_k ≥ 0
+  const objCoeffs = new Map();
+  const addObj = (name, c) => objCoeffs.set(name, (objCoeffs.get(name) ?? 0) + c);
+  scenarioTerms.forEach(({ terms }, k) => {
+    const w = (1 - riskAversion) * scenarios[k].prob;
+    if (w > 0) for (const [name, c] of terms) addObj(name, w * c);
+  });
+  if (riskAversion > 0) {
+    addObj('eta', riskAversion);
+    for (let k = 0; k < S; k++) addObj(`z${sx(k)}`, riskAversion * scenarios[k].prob / (1 - cvarAlpha));
   }
 
-  // Soft penalty for low terminal SOC (subtract bonus for s_N — minimize means solver prefers high s_N)
-  objLines.push(`-${endSocBonusCoeff} s_${N}`);
+  const objLines = [];
+  for (const [name, c] of objCoeffs) {
+    if (c !== 0) objLines.push(`${c.toFixed(8)} ${name}`);
+  }
 
   // Wrap long objective over multiple lines (LP format allows leading whitespace)
   const objStr = objLines.join('\n    + ').replace(/\+ -/g, '- ');
 
-  // SOC continuity constraints: s_{t+1} - s_t - etaH*cg_t - etaH*cs_t + h*d_t [+ h*sell_t] = 0
   const constrLines = [];
-  for (let t = 0; t < N; t++) {
-    constrLines.push(
-      `  sc_${t}: - s_${t} + s_${t + 1}` +
-      ` - ${etaH.toFixed(8)} cg_${t}` +
-      ` - ${etaH.toFixed(8)} cs_${t}` +
-      ` + ${h.toFixed(8)} d_${t}` +
-      (effectiveSellEnabled ? ` + ${h.toFixed(8)} sell_${t}` : '') +
-      ` = 0`
-    );
-  }
-  // Joint discharge: battery output (house + grid export) cannot exceed max_discharge_w
-  if (effectiveSellEnabled) {
+  for (let k = 0; k < S; k++) {
+    const sc = scenarios[k];
+    const x  = sx(k);
+    // SOC continuity constraints: s_{t+1} - s_t - etaH*cg_t - etaH*cs_t + h*d_t [+ h*sell_t] = 0
     for (let t = 0; t < N; t++) {
-      constrLines.push(`  jd_${t}: d_${t} + sell_${t} <= ${bat.max_discharge_w.toFixed(4)}`);
+      constrLines.push(
+        `  sc_${t}${x}: - s_${t}${x} + s_${t + 1}${x}` +
+        ` - ${etaH.toFixed(8)} cg_${t}` +
+        ` - ${etaH.toFixed(8)} cs_${t}${x}` +
+        ` + ${h.toFixed(8)} d_${t}${x}` +
+        (effectiveSellEnabled ? ` + ${h.toFixed(8)} sell_${t}` : '') +
+        ` = 0`
+      );
     }
-  }
-  // Export cap: net grid injection (solar overflow + battery sell) must not exceed export limit.
-  // solar_surplus − cs_t + sell_t − clip_t ≤ max_export_w
-  // → -cs_t + sell_t - clip_t ≤ max_export_w - solar_surplus_t
-  // clip_t is a slack that absorbs unavoidable overflow (e.g. battery already full).
-  // The penalty in the objective ensures the LP minimises clipping wherever possible.
-  if (isFinite(exportCapW)) {
+    // Joint discharge: battery output (house + grid export) cannot exceed max_discharge_w
+    if (effectiveSellEnabled) {
+      for (let t = 0; t < N; t++) {
+        constrLines.push(`  jd_${t}${x}: d_${t}${x} + sell_${t} <= ${bat.max_discharge_w.toFixed(4)}`);
+      }
+    }
+    // Export cap: net grid injection (solar overflow + battery sell) must not exceed export limit.
+    // solar_surplus − cs_t + sell_t − clip_t ≤ max_export_w
+    // → -cs_t + sell_t - clip_t ≤ max_export_w - solar_surplus_t
+    // clip_t is a slack that absorbs unavoidable overflow (e.g. battery already full).
+    // The penalty in the objective ensures the LP minimises clipping wherever possible.
+    if (isFinite(exportCapW)) {
+      for (let t = 0; t < N; t++) {
+        const surplusW = sc.solar[t] - sc.consumption[t];
+        if (surplusW > 0) {
+          const rhs = (exportCapW - surplusW).toFixed(4);
+          const sellTerm = effectiveSellEnabled ? ` + sell_${t}` : '';
+          const flexTerm = flexAt[t].length > 0 ? ` - fs_${t}${x}` : '';
+          constrLines.push(`  ec_${t}${x}: - cs_${t}${x}${flexTerm}${sellTerm} - clip_${t}${x} <= ${rhs}`);
+        }
+      }
+    }
+    // Capacity tariff: import per billable slot, and the day's peak over each window's mean.
+    // Slots of the current window already past are not in the horizon and count as zero.
+    for (const pd of peakDays.values()) {
+      for (const idx of pd.windows.values()) {
+        for (const t of idx) {
+          const netW = sc.consumption[t] - sc.solar[t];
+          const surplusW = -netW;
+          constrLines.push(
+            `  gi_${t}${x}: imp_${t}${x} - cg_${t} - cs_${t}${x}` +
+            evAt[t].map(sess => ` - ev_${sess.id}_${t}`).join('') +
+            (isFinite(exportCapW) && surplusW > 0 ? ` - clip_${t}${x}` : '') +
+            flexTerms(t, '-') + (flexAt[t].length > 0 && surplusW > 0 ? ` + fs_${t}${x}` : '') +
+            ` + d_${t}${x}` + hpdTerm(t) +
+            (effectiveSellEnabled ? ` + sell_${t}` : '') +
+            ` >= ${netW.toFixed(4)}`
+          );
+        }
+        const share = (1 / slotsPerWindow).toFixed(8);
+        constrLines.push(
+          `  pw_${idx[0]}${x}: pk_${pd.index}${x} ` + idx.map(t => `- ${share} imp_${t}${x}`).join(' ') + ' >= 0'
+        );
+      }
+    }
+    // Flex load: solar surplus it absorbs is shared with battery solar charging, and the
+    // battery may discharge into the part bought from the grid; easing off the heat pump
+    // and discharging both cover the grid deficit
     for (let t = 0; t < N; t++) {
-      const surplusW = slots[t].solar_watts - slots[t].consumption_watts;
+      if (flexAt[t].length === 0) continue;
+      const surplusW = sc.solar[t] - sc.consumption[t];
       if (surplusW > 0) {
-        const rhs = (exportCapW - surplusW).toFixed(4);
-        const sellTerm = effectiveSellEnabled ? ` + sell_${t}` : '';
-        constrLines.push(`  ec_${t}: - cs_${t}${sellTerm} - clip_${t} <= ${rhs}`);
+        constrLines.push(`  fc_${t}${x}: cs_${t}${x} + fs_${t}${x} <= ${surplusW.toFixed(4)}`);
+        constrLines.push(`  fx_${t}${x}: fs_${t}${x}${flexTerms(t, '-')} <= 0`);
       }
+      constrLines.push(`  fd_${t}${x}: d_${t}${x}${hpdTerm(t)}${flexTerms(t, '-')}` + (surplusW > 0 ? ` + fs_${t}${x}` : '') +
+        ` <= ${Math.max(0, -surplusW).toFixed(4)}`);
+    }
+    // CVaR excess: z_k + η − Σ coeff · var ≥ baseCost_k
+    if (riskAversion > 0) {
+      const { terms, baseCost } = scenarioTerms[k];
+      const rhsTerms = terms
+        .map(([name, c]) => `${-c >= 0 ? '+' : '-'} ${Math.abs(c).toFixed(8)} ${name}`)
+        .join(' ');
+      constrLines.push(`  cv${x}: z${x} + eta ${rhsTerms} >= ${baseCost.toFixed(8)}`);
+    }
+  }
+
+  // EV sessions: energy by departure, no more than still missing, and the import cap
+  // shared with grid charging
+  const evWh = (evEta * h).toFixed(8);
+  for (const sess of evSessions) {
+    const sum = sess.idx.map(t => `${evWh} ev_${sess.id}_${t}`).join(' + ');
+    constrLines.push(`  evn_${sess.id}: ${sum} + short_${sess.id} >= ${sess.needWh.toFixed(4)}`);
+    constrLines.push(`  evx_${sess.id}: ${sum} <= ${sess.remaining_wh.toFixed(4)}`);
+  }
+  // Flex jobs: exactly one of start, defer or skip
+  for (const job of flexJobs) {
+    constrLines.push(`  fj_${job.id}: ` + [
+      ...job.starts.map(t0 => `fy_${job.id}_${t0}`),
+      ...(job.canDefer ? [`defer_${job.id}`] : []),
+      `skip_${job.id}`,
+    ].join(' + ') + ' = 1');
+  }
+  // Heat pump: the indoor offset follows the extra and eased-off heat
+  if (thermal) {
+    const gain = thermal.gain_c_per_w.toFixed(10);
+    for (let t = 0; t < N; t++) {
+      constrLines.push(`  tm_${t}: th_${t + 1} - ${thermal.decay.toFixed(8)} th_${t} - ${gain} hpu_${t} + ${gain} hpd_${t} = 0`);
+    }
+  }
+  // Hot water: stored heat follows the element and the drain
+  if (tank) {
+    const drainWh = (h * tank.drain_w).toFixed(4);
+    for (let t = 0; t < N; t++) {
+      constrLines.push(`  hw_${t}: hwe_${t + 1} - hwe_${t} - ${h.toFixed(8)} hwp_${t} = -${drainWh}`);
+      constrLines.push(`  hwm_${t + 1}: hwe_${t + 1} + hwlow_${t + 1} >= 0`);
+    }
+  }
+  if (psConfig?.default_kw) {
+    for (let t = 0; t < N; t++) {
+      if (evAt[t].length === 0 && flexAt[t].length === 0) continue;
+      constrLines.push(`  pc_${t}: cg_${t}` + evAt[t].map(sess => ` + ev_${sess.id}_${t}`).join('') +
+        flexTerms(t, '+') + ` <= ${importHeadroomW[t].toFixed(4)}`);
     }
   }
 
   // Variable bounds
   const boundLines = [];
 
-  // s_0 fixed to startSocWh
-  boundLines.push(`  ${startSocWh.toFixed(4)} <= s_0 <= ${startSocWh.toFixed(4)}`);
-  // s_1 .. s_N free within SOC limits
-  for (let t = 1; t <= N; t++) {
-    boundLines.push(`  ${minSocWh.toFixed(4)} <= s_${t} <= ${maxSocWh.toFixed(4)}`);
+  for (let k = 0; k < S; k++) {
+    // s_0 fixed to startSocWh; s_1 .. s_N free within SOC limits
+    boundLines.push(`  ${startSocWh.toFixed(4)} <= s_0${sx(k)} <= ${startSocWh.toFixed(4)}`);
+    for (let t = 1; t <= N; t++) {
+      boundLines.push(`  ${minSocWh.toFixed(4)} <= s_${t}${sx(k)} <= ${maxSocWh.toFixed(4)}`);
+    }
   }
   // Decision variable bounds
   const maxExportW = effectiveSellEnabled ? (grid.max_export_w ?? bat.max_discharge_w) : 0;
   for (let t = 0; t < N; t++) {
-    const maxDis = Math.min(bat.max_discharge_w,
-                            Math.max(0, slots[t].consumption_watts - slots[t].solar_watts));
-    const maxSol = Math.min(bat.max_charge_w,
-                            Math.max(0, slots[t].solar_watts - slots[t].consumption_watts));
-    const psLimitW = peakShavingLimitW(slots[t].slot_ts);
-    const maxCgW   = Math.max(0, Math.min(bat.max_charge_w, psLimitW - slots[t].consumption_watts));
+    const maxCgW   = Math.min(bat.max_charge_w, importHeadroomW[t]);
     const maxSellW = effectiveSellEnabled && slots[t].sell_price > 0
       ? Math.min(maxExportW, bat.max_discharge_w) : 0;
     boundLines.push(`  0 <= cg_${t} <= ${maxCgW.toFixed(4)}`);
-    boundLines.push(`  0 <= d_${t}  <= ${maxDis.toFixed(4)}`);
-    boundLines.push(`  0 <= cs_${t} <= ${maxSol.toFixed(4)}`);
     if (effectiveSellEnabled) {
       boundLines.push(`  0 <= sell_${t} <= ${maxSellW.toFixed(4)}`);
     }
-    // clip_t: slack for solar that exceeds the export cap — bounded by the surplus available
-    if (isFinite(exportCapW)) {
-      const surplusW = Math.max(0, slots[t].solar_watts - slots[t].consumption_watts);
-      if (surplusW > 0) {
-        boundLines.push(`  0 <= clip_${t} <= ${surplusW.toFixed(4)}`);
+    for (let k = 0; k < S; k++) {
+      const surplusW = scenarios[k].solar[t] - scenarios[k].consumption[t];
+      // Where a flex job may run, the fd_t constraint bounds discharge instead
+      const maxDis = flexAt[t].length > 0 ? bat.max_discharge_w : Math.min(bat.max_discharge_w, Math.max(0, -surplusW));
+      const maxSol = Math.min(bat.max_charge_w, Math.max(0, surplusW));
+      boundLines.push(`  0 <= d_${t}${sx(k)}  <= ${maxDis.toFixed(4)}`);
+      boundLines.push(`  0 <= cs_${t}${sx(k)} <= ${maxSol.toFixed(4)}`);
+      // clip_t: slack for solar that exceeds the export cap — bounded by the surplus available
+      if (isFinite(exportCapW) && surplusW > 0) {
+        boundLines.push(`  0 <= clip_${t}${sx(k)} <= ${surplusW.toFixed(4)}`);
       }
     }
   }
+  for (let k = 0; k < S; k++) {
+    for (const pd of peakDays.values()) {
+      boundLines.push(`  pk_${pd.index}${sx(k)} >= ${pd.floorW.toFixed(4)}`);
+    }
+  }
+  for (const sess of evSessions) {
+    for (const t of sess.idx) boundLines.push(`  0 <= ev_${sess.id}_${t} <= ${sess.max_w.toFixed(4)}`);
+  }
+  for (const job of flexJobs) {
+    if (job.canDefer) boundLines.push(`  0 <= defer_${job.id} <= 1`);
+    boundLines.push(`  0 <= skip_${job.id} <= 1`);
+  }
+  if (thermal) {
+    const start = thermal.start_offset_c.toFixed(4);
+    boundLines.push(`  ${start} <= th_0 <= ${start}`);
+    for (let t = 1; t <= N; t++) {
+      const lo = t < N ? thermal.min_offset_c : Math.min(0, thermal.start_offset_c);
+      boundLines.push(`  ${lo.toFixed(4)} <= th_${t} <= ${thermal.max_offset_c.toFixed(4)}`);
+    }
+    for (let t = 0; t < N; t++) {
+      boundLines.push(`  0 <= hpu_${t} <= ${(thermal.max_power_w - hpBaseW[t]).toFixed(4)}`);
+      boundLines.push(`  0 <= hpd_${t} <= ${hpBaseW[t].toFixed(4)}`);
+    }
+  }
+  if (tank) {
+    boundLines.push(`  ${tank.start_wh.toFixed(4)} <= hwe_0 <= ${tank.start_wh.toFixed(4)}`);
+    for (let t = 1; t <= N; t++) boundLines.push(`  -inf <= hwe_${t} <= ${tank.capacity_wh.toFixed(4)}`);
+    for (let t = 0; t < N; t++) boundLines.push(`  0 <= hwp_${t} <= ${tank.element_w.toFixed(4)}`);
+  }
+  const binaries = flexJobs.flatMap(job => job.starts.map(t0 => `fy_${job.id}_${t0}`));
+  if (riskAversion > 0) boundLines.push('  eta free');
 
   const lpStr =
     `\\ Battery optimizer — LP formulation
@@ -365,55 +842,67 @@ Subject To
 ${constrLines.join('\n')}
 Bounds
 ${boundLines.join('\n')}
-End`;
+${binaries.length > 0 ? `Binary\n  ${binaries.join(' ')}\n` : ''}End`;
 
-  // ── 5. Solve ─────────────────────────────────────────────────────────────────
+  // ── 6. Solve ─────────────────────────────────────────────────────────────────
 
   const highs = await getHighs();
   let result;
+  const solveStart = Date.now();
   try {
     result = highs.solve(lpStr);
   } catch (err) {
-    console.log(`[optimizer-lp] Solver error: ${err.message}`);
+    log(`[optimizer-lp] Solver error: ${err.message}` +
+      (binaries.length > 0 ? ` (MILP, ${binaries.length} binaries, after ${Date.now() - solveStart} ms)` : ''));
     return { schedule: [], summary: null };
   }
+  if (binaries.length > 0) {
+    log(`[optimizer-lp] MILP: ${binaries.length} binaries, ${result.Status} in ${Date.now() - solveStart} ms`);
+  }
 
   if (result.Status !== 'Optimal' && result.Status !== 'Feasible') {
-    console.log(`[optimizer-lp] Solver returned status: ${result.Status} — no schedule produced`);
+    log(`[optimizer-lp] Solver returned status: ${result.Status} — no schedule produced`);
     return { schedule: [], summary: null };
   }
 
-  console.log(`[optimizer-lp] Solved: ${result.Status}, objective = ${result.ObjectiveValue.toFixed(4)} ${currency}`);
+  log(`[optimizer-lp] Solved: ${result.Status}, objective = ${result.ObjectiveValue.toFixed(4)} ${currency}`);
+
+  const primal = name => result.Columns[name]?.Primal;
+  // Probability-weighted value of a recourse variable across scenarios
+  const expected = (name, fallback = 0) =>
+    scenarios.reduce((s, sc, k) => s + sc.prob * (primal(`${name}${sx(k)}`) ?? fallback), 0);
 
   // Log predicted solar clipping so the user can see when pre-emptive discharge is helping
   if (isFinite(exportCapW)) {
     let totalClipWh = 0;
     for (let t = 0; t < N; t++) {
-      const surplusW = slots[t].solar_watts - slots[t].consumption_watts;
-      if (surplusW > 0) {
-        totalClipWh += Math.max(0, result.Columns[`clip_${t}`]?.Primal ?? 0) * h / 1000;
-      }
+      totalClipWh += Math.max(0, expected(`clip_${t}`)) * h / 1000;
     }
     if (totalClipWh > 0.01) {
-      console.warn(`[optimizer-lp] Predicted solar clipping: ${totalClipWh.toFixed(2)} kWh (battery cannot fully absorb surplus)`);
+      warn(`[optimizer-lp] Predicted solar clipping: ${totalClipWh.toFixed(2)} kWh (battery cannot fully absorb surplus)`);
     } else {
-      console.log(`[optimizer-lp] Solar clipping: none predicted`);
+      log(`[optimizer-lp] Solar clipping: none predicted`);
     }
   }
 
-  // ── 6. Parse solution → slot actions ─────────────────────────────────────────
+  // ── 7. Parse solution → slot actions ─────────────────────────────────────────
 
   const NOISE_W = 10; // watts — ignore numerical noise / marginal round-trips below this threshold
 
   for (let t = 0; t < N; t++) {
-    const cgW   = Math.max(0, result.Columns[`cg_${t}`]?.Primal   ?? 0);
-    const dW    = Math.max(0, result.Columns[`d_${t}`]?.Primal    ?? 0);
-    const csW   = Math.max(0, result.Columns[`cs_${t}`]?.Primal   ?? 0);
+    const cgW   = Math.max(0, primal(`cg_${t}`) ?? 0);
+    const dW    = Math.max(0, expected(`d_${t}`));
+    const csW   = Math.max(0, expected(`cs_${t}`));
     const sellW = effectiveSellEnabled
-      ? Math.max(0, result.Columns[`sell_${t}`]?.Primal ?? 0) : 0;
-    const socT  = result.Columns[`s_${t}`]?.Primal     ?? startSocWh;
-    const socN  = result.Columns[`s_${t + 1}`]?.Primal ?? startSocWh;
+      ? Math.max(0, primal(`sell_${t}`) ?? 0) : 0;
+    const socT  = expected(`s_${t}`, startSocWh);
+    const socN  = expected(`s_${t + 1}`, startSocWh);
 
+    slots[t].hot_water_w = tank ? Math.round(Math.max(0, primal(`hwp_${t}`) ?? 0)) : null;
+    slots[t].hot_water_temp_c = tank
+      ? Math.round((tank.min_temp_c + (primal(`hwe_${t + 1}`) ?? 0) / tank.wh_per_k) * 10) / 10 : null;
+    slots[t].heat_offset_c = thermal ? Math.round((primal(`th_${t + 1}`) ?? 0) * 10) / 10 : null;
+    slots[t].ev_watts = Math.round(evAt[t].reduce((sum, sess) => sum + Math.max(0, primal(`ev_${sess.id}_${t}`) ?? 0), 0));
     slots[t].soc_start = Math.round((socT / capacityWh) * 100 * 10) / 10;
     slots[t].soc_end   = Math.round((socN / capacityWh) * 100 * 10) / 10;
     slots[t].price_kwh = slots[t].spot_price;
@@ -436,7 +925,7 @@ End`;
     }
   }
 
-  // ── 7. Savings summary ───────────────────────────────────────────────────────
+  // ── 8. Savings summary ───────────────────────────────────────────────────────
 
   let costWithout = 0;
   let costWith    = 0;
@@ -475,18 +964,228 @@ End`;
     estimated_savings:              Math.round((costWithout - costWith) * 100) / 100,
   };
 
-  // ── 8. Log ───────────────────────────────────────────────────────────────────
+  // Battery wear: energy out of the battery per the planned actions, in equivalent
+  // full cycles, also scaled to a 24 h day since the horizon can be longer
+  const dischargedKwh = slots
+    .filter(sl => sl.action === 'discharge' || sl.action === 'sell')
+    .reduce((sum, sl) => sum + sl.watts * h / 1000, 0);
+  const horizonDays = N * h / 24;
+  const cycles = dischargedKwh / bat.capacity_kwh;
+  summary.degradation = {
+    discharged_kwh:    Math.round(dischargedKwh * 100) / 100,
+    cycles:            Math.round(cycles * 1000) / 1000,
+    cycles_per_day:    Math.round((cycles / horizonDays) * 1000) / 1000,
+    cost_per_kwh:      Math.round(wearPerKwh * 10000) / 10000,
+    wear_cost:         Math.round(dischargedKwh * wearPerKwh * 100) / 100,
+    wear_cost_per_day: Math.round((dischargedKwh * wearPerKwh / horizonDays) * 100) / 100,
+  };
+
+  // Capacity tariff: the planned peak window and what it adds to the month's fee
+  if (tariff) {
+    let peakKw = 0;
+    let peakWindow = null;
+    let feeIncrease = 0;
+    for (const pd of peakDays.values()) {
+      for (const [windowTs, idx] of pd.windows) {
+        const kw = idx.reduce((sum, t) => sum + expected(`imp_${t}`), 0) / slotsPerWindow / 1000;
+        if (kw > peakKw) { peakKw = kw; peakWindow = windowTs; }
+      }
+      feeIncrease += Math.max(0, expected(`pk_${pd.index}`) - pd.floorW) * peakCoeff;
+    }
+    summary.capacity_tariff = {
+      month_to_date_kw: mtdPeaks.billed_kw,
+      threshold_kw:     mtdPeaks.threshold_kw,
+      planned_peak_kw:  Math.round(peakKw * 1000) / 1000,
+      planned_peak_window: peakWindow,
+      fee_increase:     Math.round(feeIncrease * 100) / 100,
+    };
+  }
+
+  // Flexible load planned in slot t (W) — the solar it absorbs, fs_t, is shared pro rata
+  const flexW = t => flexAt[t].reduce((sum, f) => sum + f.w * Math.round(primal(f.v) ?? 0), 0);
+  const solarShare = t => (flexW(t) > 0 ? Math.min(1, Math.max(0, expected(`fs_${t}`)) / flexW(t)) : 0);
+
+  // Flex jobs: the chosen start (or defer/skip), the solar it absorbs and the rest at buy
+  // price. Solar in a slot is shared pro rata when several jobs run at once.
+  if (flexJobs.length > 0) {
+    summary.flex_loads = flexJobs.map(job => {
+      const t0 = job.starts.find(t => (primal(`fy_${job.id}_${t}`) ?? 0) > 0.5);
+      let cost = 0;
+      let solarKwh = 0;
+      if (t0 != null) {
+        for (let t = t0; t < t0 + job.slots; t++) {
+          solarKwh += solarShare(t) * job.power_w * h / 1000;
+          cost += (1 - solarShare(t)) * slots[t].buy_price * job.power_w * h / 1000;
+        }
+      }
+      return {
+        id:     job.id,
+        name:   job.name,
+        status: t0 != null ? 'planned' : (job.canDefer && (primal(`defer_${job.id}`) ?? 0) > 0.5 ? 'deferred' : 'skipped'),
+        start:  t0 != null ? slots[t0].slot_ts : null,
+        end:    t0 != null ? slotEndTs(t0 + job.slots) : null,
+        solar_kwh: Math.round(solarKwh * 100) / 100,
+        cost:   Math.round(cost * 100) / 100,
+      };
+    });
+  }
+
+  // Heat pump: energy moved, what it costs net of the eased-off slots, and the offsets
+  // the controller will be asked for
+  if (thermal) {
+    let preheatKwh = 0;
+    let easedKwh = 0;
+    let solarKwh = 0;
+    let netCost = 0;
+    for (let t = 0; t < N; t++) {
+      const upKwh = Math.max(0, primal(`hpu_${t}`) ?? 0) * h / 1000;
+      const downKwh = Math.max(0, primal(`hpd_${t}`) ?? 0) * h / 1000;
+      preheatKwh += upKwh;
+      easedKwh += downKwh;
+      solarKwh += solarShare(t) * upKwh;
+      netCost += ((1 - solarShare(t)) * upKwh - downKwh) * slots[t].buy_price;
+    }
+    const offsets = slots.map(s => s.heat_offset_c);
+    summary.heat_pump = {
+      tau_h:         thermal.tau_h,
+      preheat_kwh:   Math.round(preheatKwh * 100) / 100,
+      eased_kwh:     Math.round(easedKwh * 100) / 100,
+      solar_kwh:     Math.round(solarKwh * 100) / 100,
+      net_cost:      Math.round(netCost * 100) / 100,
+      min_offset_c:  Math.min(...offsets),
+      max_offset_c:  Math.max(...offsets),
+    };
+  }
+
+  // Hot water: element energy, the part of it from solar, what the rest costs, and the
+  // tank temperatures the plan goes through
+  if (tank) {
+    let elementKwh = 0;
+    let solarKwh = 0;
+    let cost = 0;
+    let belowMinWh = 0;
+    for (let t = 0; t < N; t++) {
+      const kwh = slots[t].hot_water_w * h / 1000;
+      elementKwh += kwh;
+      solarKwh += solarShare(t) * kwh;
+      cost += (1 - solarShare(t)) * kwh * slots[t].buy_price;
+      belowMinWh = Math.max(belowMinWh, primal(`hwlow_${t + 1}`) ?? 0);
+    }
+    const temps = slots.map(s => s.hot_water_temp_c);
+    summary.hot_water = {
+      element_kwh:   Math.round(elementKwh * 100) / 100,
+      solar_kwh:     Math.round(solarKwh * 100) / 100,
+      cost:          Math.round(cost * 100) / 100,
+      start_temp_c:  Math.round((tank.min_temp_c + tank.start_wh / tank.wh_per_k) * 10) / 10,
+      end_temp_c:    temps[N - 1],
+      min_temp_c:    Math.min(...temps),
+      max_temp_c:    Math.max(...temps),
+      below_min_kwh: Math.round(belowMinWh / 10) / 100,
+    };
+  }
+
+  // EV sessions: energy planned against what is needed, and what it costs
+  if (evSessions.length > 0) {
+    summary.ev = evSessions.map(sess => {
+      let wh = 0;
+      let cost = 0;
+      for (const t of sess.idx) {
+        const w = Math.max(0, primal(`ev_${sess.id}_${t}`) ?? 0);
+        wh += w * h;
+        cost += w * h / 1000 * slots[t].buy_price;
+      }
+      return {
+        session_id:    sess.id,
+        departure:     sess.departure_ts,
+        needed_kwh:    Math.round(sess.needWh / 10) / 100,
+        planned_kwh:   Math.round(wh * evEta / 10) / 100,
+        shortfall_kwh: Math.round(Math.max(0, primal(`short_${sess.id}`) ?? 0) / 10) / 100,
+        grid_kwh:      Math.round(wh / 10) / 100,
+        cost:          Math.round(cost * 100) / 100,
+        avg_price:     wh > 0 ? Math.round(cost / (wh / 1000) * 10000) / 10000 : null,
+      };
+    });
+  }
+
+  // Grid cost of the plan in each scenario: the shared cg/sell decisions plus that
+  // scenario's recourse discharge
+  if (multi) {
+    const costs = scenarios.map((sc, k) => {
+      let cost = scenarioTerms[k].baseCost;
+      for (let t = 0; t < N; t++) {
+        cost += slots[t].buy_price * h / 1000 * ((primal(`cg_${t}`) ?? 0) - (primal(`d_${t}${sx(k)}`) ?? 0));
+        if (effectiveSellEnabled) cost -= slots[t].sell_price * h / 1000 * (primal(`sell_${t}`) ?? 0);
+      }
+      return cost;
+    });
+    const round2 = v => Math.round(v * 100) / 100;
+    summary.scenarios = {
+      count:          S,
+      solar:          scenarioSet.solarCount,
+      load:           scenarioSet.loadCount,
+      risk_aversion:  riskAversion,
+      cvar_alpha:     cvarAlpha,
+      expected_cost:  round2(costs.reduce((s, c, k) => s + scenarios[k].prob * c, 0)),
+      cvar_cost:      round2(conditionalValueAtRisk(costs, scenarios.map(sc => sc.prob), cvarAlpha)),
+      best_cost:      round2(Math.min(...costs)),
+      worst_cost:     round2(Math.max(...costs)),
+    };
+  }
+
+  // ── 9. Log ───────────────────────────────────────────────────────────────────
 
   const actionCounts = {};
   for (const s of slots) actionCounts[s.action] = (actionCounts[s.action] || 0) + 1;
-  console.log(`[optimizer-lp] Schedule: ${slots.length} slots — ${JSON.stringify(actionCounts)}`);
-  console.log(`[optimizer-lp] Savings: ${summary.estimated_savings} ${currency}` +
+  log(`[optimizer-lp] Schedule: ${slots.length} slots — ${JSON.stringify(actionCounts)}`);
+  log(`[optimizer-lp] Savings: ${summary.estimated_savings} ${currency}` +
     ` (${summary.estimated_cost_without_battery} → ${summary.estimated_cost_with_battery})`);
-  logWindows('Charge grid', slots.filter(s => s.action === 'charge_grid'), s => s.buy_price);
-  logWindows('Discharge  ', slots.filter(s => s.action === 'discharge'),   s => s.buy_price);
-  logWindows('Sell       ', slots.filter(s => s.action === 'sell'),        s => s.sell_price);
+  log(`[optimizer-lp] Battery use: ${summary.degradation.discharged_kwh} kWh out, ` +
+    `${summary.degradation.cycles_per_day} cycles/day` +
+    (wearPerKwh > 0 ? `, wear ${summary.degradation.wear_cost_per_day} ${currency}/day` : ''));
+  if (summary.capacity_tariff) {
+    const ct = summary.capacity_tariff;
+    log(`[optimizer-lp] Capacity peak: ${ct.planned_peak_kw} kW planned` +
+      (ct.planned_peak_window ? ` (${ct.planned_peak_window})` : '') +
+      ` vs ${ct.threshold_kw} kW already billed — fee +${ct.fee_increase} ${currency}`);
+  }
+  for (const fl of summary.flex_loads ?? []) {
+    (fl.status === 'skipped' ? warn : log)(`[optimizer-lp] Flex load #${fl.id} ${fl.name}: ` + (fl.status === 'planned'
+      ? `${fl.start}–${fl.end.slice(11)}, ${fl.cost} ${currency}`
+      : fl.status === 'deferred' ? 'deferred past the horizon' : 'cannot run before its deadline within the import cap'));
+  }
+  if (summary.hot_water) {
+    const hw = summary.hot_water;
+    (hw.below_min_kwh > 0 ? warn : log)(`[optimizer-lp] Hot water: ${hw.element_kwh} kWh element ` +
+      `(${hw.solar_kwh} from solar), ${hw.cost} ${currency}, tank ${hw.min_temp_c}…${hw.max_temp_c} °C` +
+      (hw.below_min_kwh > 0 ? ` — ${hw.below_min_kwh} kWh short of the minimum temperature` : ''));
+  }
+  if (summary.heat_pump) {
+    const hp = summary.heat_pump;
+    log(`[optimizer-lp] Heat pump: ${hp.preheat_kwh} kWh pre-heat (${hp.solar_kwh} from solar), ` +
+      `${hp.eased_kwh} kWh eased off, offset ${hp.min_offset_c}…${hp.max_offset_c} °C, ` +
+      `net ${hp.net_cost} ${currency}`);
+  }
+  for (const ev of summary.ev ?? []) {
+    (ev.shortfall_kwh > 0 ? warn : log)(`[optimizer-lp] EV session #${ev.session_id}: ${ev.planned_kwh} kWh planned` +
+      ` by ${ev.departure}, ${ev.cost} ${currency}` + (ev.avg_price != null ? ` (avg ${ev.avg_price} ${currency}/kWh)` : '') +
+      (ev.shortfall_kwh > 0 ? ` — ${ev.shortfall_kwh} kWh short of target` : ''));
+  }
+  if (summary.scenarios) {
+    const sc = summary.scenarios;
+    log(`[optimizer-lp] Scenario cost: expected ${sc.expected_cost}, CVaR ${sc.cvar_cost}` +
+      ` (range ${sc.best_cost} … ${sc.worst_cost}) ${currency}`);
+  }
+  if (!options.quiet) {
+    logWindows('Charge grid', slots.filter(s => s.action === 'charge_grid'), s => s.buy_price);
+    logWindows('Discharge  ', slots.filter(s => s.action === 'discharge'),   s => s.buy_price);
+    logWindows('Sell       ', slots.filter(s => s.action === 'sell'),        s => s.sell_price);
+    if (tank) {
+      logWindows('Hot water  ', slots.filter(s => s.hot_water_w > NOISE_W).map(s => ({ ...s, watts: s.hot_water_w })), s => s.buy_price);
+    }
+    logWindows('EV charge  ', slots.filter(s => s.ev_watts > 0).map(s => ({ ...s, watts: s.ev_watts })), s => s.buy_price);
+  }
 
-  // ── 9. Write to DB (skip on dry_run) ─────────────────────────────────────────
+  // ── 10. Write to DB (skip on dry_run) ────────────────────────────────────────
 
   const dbRows = slots.map(s => ({
     slot_ts:           s.slot_ts,
@@ -497,11 +1196,21 @@ End`;
     price_kwh:         s.price_kwh,
     solar_watts:       s.solar_watts,
     consumption_watts: s.consumption_watts,
+    price_estimated:   s.price_estimated,
+    heat_offset_c:     s.heat_offset_c,
+    hot_water_w:       s.hot_water_w,
+    hot_water_temp_c:  s.hot_water_temp_c,
   }));
 
   if (!options.dryRun) {
     deleteScheduleForRange(fromTs, toTs);
     upsertScheduleBatch(dbRows);
+    for (const fl of summary.flex_loads ?? []) saveFlexJobPlan(fl.id, fl.start, fl.end);
+    for (const sess of evSessions) {
+      saveEvPlan(sess.id, fromTs, sess.idx
+        .map(t => ({ slot_ts: slots[t].slot_ts, watts: Math.round(Math.max(0, primal(`ev_${sess.id}_${t}`) ?? 0)) }))
+        .filter(r => r.watts > NOISE_W));
+    }
   }
 
   return { schedule: dbRows, summary };
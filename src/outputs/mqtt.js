@@ -0,0 +1,21 @@
+/**
+ * MQTT output — publishes a command as JSON on <mqtt.topic_prefix>/<output.topic>.
+ *
+ * Uses the shared client from src/mqtt.js, so the broker settings are the mqtt
+ * section's and mqtt.enabled must be true. Retained (unless mqtt.retain = false),
+ * so a device that reconnects picks up the current command at once.
+ *
+ * Config (the output section of the feature, e.g. hot_water.output):
+ *   type: 'mqtt'
+ *   topic: 'hot_water/command'
+ */
+
+import { publishJson } from '../mqtt.js';
+
+/**
+ * @param {object} command  JSON payload, e.g. { on, slot, until, temp_c }
+ * @param {object} outputCfg
+ */
+export async function sendCommand(command, outputCfg) {
+  await publishJson(outputCfg.topic, command);
+}
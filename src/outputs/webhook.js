@@ -0,0 +1,28 @@
+/**
+ * Webhook output — POSTs a command as JSON to output.url.
+ *
+ * Suits relays with an HTTP API, a Shelly script or a Home Assistant webhook
+ * automation. The receiver only has to apply the latest body: commands are resent
+ * when they change and at every slot start, and a failed request is retried a minute later.
+ *
+ * Config (the output section of the feature, e.g. hot_water.output):
+ *   type: 'webhook'
+ *   url: 'http://192.168.1.60/hot-water'
+ *   timeout_ms: 5000  — optional
+ */
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * @param {object} command  JSON body, e.g. { on, slot, until, temp_c }
+ * @param {object} outputCfg
+ */
+export async function sendCommand(command, outputCfg) {
+  const res = await fetch(outputCfg.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(command),
+    signal: AbortSignal.timeout(outputCfg.timeout_ms ?? DEFAULT_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`Webhook ${outputCfg.url} returned ${res.status} ${res.statusText}`);
+}
@@ -1,47 +1,90 @@
 /**
- * In-memory manual override state.
+ * Manual override queue, persisted in SQLite (battery_overrides).
  *
  * When an override is active, executePipeline applies the override action
  * to the inverter on every cycle instead of the computed schedule.
- * The override expires automatically after the requested duration.
+ * Overrides can start now or at a future time ("charge 02:00–04:00 tomorrow"),
+ * and several can be queued. Each expires automatically at its end time.
  *
- * This module is intentionally stateless across process restarts — a reboot
- * always returns to schedule-based control.
+ * Stored in the database so queued and running overrides survive process
+ * restarts and crashes (a PM2 restart, a deploy, a power cut).
+ *
+ * If windows overlap, the most recently created override wins.
  */
 
-let _override = null; // { action: string, expiresAt: number }
+import { insertOverride, getPendingOverrides, cancelOverrideById } from './db.js';
+
+function toView(row, now = Date.now()) {
+  const startsMs  = Date.parse(row.starts_at);
+  const expiresMs = Date.parse(row.expires_at);
+  const active    = startsMs <= now;
+  return {
+    id: row.id,
+    action: row.action,
+    starts_at: row.starts_at,
+    expires_at: row.expires_at,
+    active,
+    ...(active
+      ? { remaining_minutes: Math.ceil((expiresMs - now) / 60000) }
+      : { starts_in_minutes: Math.ceil((startsMs - now) / 60000) }),
+  };
+}
 
 /**
- * Activate an override.
+ * Queue an override for [start, end).
  * @param {'charge'|'discharge'|'idle'} action
- * @param {number} durationMinutes — 1 to 1440
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {object} the stored override (same shape as listOverrides entries)
+ */
+export function addOverride(action, start, end) {
+  return toView(insertOverride(action, start.toISOString(), end.toISOString()));
+}
+
+/**
+ * Activate an override starting now.
+ * @param {'charge'|'discharge'|'idle'} action
+ * @param {number} durationMinutes
  */
 export function setOverride(action, durationMinutes) {
-  _override = {
-    action,
-    expiresAt: Date.now() + durationMinutes * 60 * 1000,
-  };
+  const now = new Date();
+  return addOverride(action, now, new Date(now.getTime() + durationMinutes * 60 * 1000));
 }
 
-/** Cancel the active override immediately. */
+/**
+ * Cancel one override by id.
+ * @returns {boolean} false if no pending override has that id
+ */
+export function cancelOverride(id) {
+  return cancelOverrideById(id);
+}
+
+/** Cancel the override that is active right now (queued ones are kept). */
 export function clearOverride() {
-  _override = null;
+  const active = getOverride();
+  if (active) cancelOverrideById(active.id);
+  return active;
+}
+
+/**
+ * All pending overrides — the running one(s) and everything queued — in start order.
+ * @returns {Array<{ id, action, starts_at, expires_at, active, remaining_minutes?, starts_in_minutes? }>}
+ */
+export function listOverrides() {
+  const now = Date.now();
+  return getPendingOverrides(new Date(now).toISOString()).map(r => toView(r, now));
 }
 
 /**
- * Return the current override state, or null if none is active.
- * Automatically clears expired overrides.
- * @returns {{ action: string, expires_at: string, remaining_minutes: number } | null}
+ * Return the override in effect now, or null if none is active.
+ * @returns {{ id: number, action: string, starts_at: string, expires_at: string, remaining_minutes: number } | null}
  */
 export function getOverride() {
-  if (!_override) return null;
-  if (Date.now() >= _override.expiresAt) {
-    _override = null;
-    return null;
-  }
-  return {
-    action: _override.action,
-    expires_at: new Date(_override.expiresAt).toISOString(),
-    remaining_minutes: Math.ceil((_override.expiresAt - Date.now()) / 60000),
-  };
+  const now = Date.now();
+  const running = getPendingOverrides(new Date(now).toISOString())
+    .filter(r => Date.parse(r.starts_at) <= now)
+    .sort((a, b) => b.id - a.id);
+  if (running.length === 0) return null;
+  const { active, ...view } = toView(running[0], now);
+  return view;
 }
@@ -0,0 +1,31 @@
+/**
+ * PV array configuration helpers.
+ *
+ * config.panel is a list of arrays (strings), each with its own peak power and
+ * orientation. A single object is still accepted for older configs and is
+ * treated as one array named 'main'.
+ *
+ * Centralised here so the model, optimizer and API agree on array names and
+ * the total installed peak power.
+ */
+
+import config from '../config.js';
+
+/**
+ * Return the configured PV arrays as a normalised list.
+ * @returns {Array<{ name: string, peak_kw: number, tilt: number, azimuth: number, efficiency?: number }>}
+ */
+export function getPanelArrays() {
+  const panel = config.panel;
+  if (!panel) return [];
+  const list = Array.isArray(panel) ? panel : [panel];
+  return list.map((p, i) => ({
+    ...p,
+    name: p.name ?? (list.length === 1 ? 'main' : `array${i + 1}`),
+  }));
+}
+
+/** Sum of peak_kw over all configured arrays. */
+export function totalPeakKw() {
+  return getPanelArrays().reduce((s, p) => s + p.peak_kw, 0);
+}
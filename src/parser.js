@@ -1,27 +1,23 @@
 import { upsertReading } from './db.js';
 
 /**
- * Parse Open-Meteo JSON response and upsert hourly irradiance into solar_readings.
- * Only this file knows the Open-Meteo JSON shape.
+ * Upsert hourly irradiance from a normalized forecast (fetcher.js fetchWeather)
+ * into solar_readings: GHI, cloud cover, and DNI/DHI when the source has them.
+ * Hours without GHI are skipped.
  */
-export function parseWeatherData(data) {
-  const hourly = data?.hourly;
-  if (!hourly || !hourly.time || !hourly.shortwave_radiation) {
-    throw new Error('[parser] Invalid Open-Meteo response: missing hourly data');
+export function parseWeatherData(weather) {
+  if (!Array.isArray(weather?.hours)) {
+    throw new Error('[parser] Invalid weather data: missing hourly data');
   }
 
   let count = 0;
-  for (let i = 0; i < hourly.time.length; i++) {
-    const hourTs = hourly.time[i]; // ISO string like "2025-06-15T07:00"
-    const irr = hourly.shortwave_radiation[i];
-    const cloud = hourly.cloud_cover?.[i] ?? null; // 0–100 %
+  for (const h of weather.hours) {
+    if (h.ghi == null) continue;
 
-    if (irr == null) continue;
-
-    upsertReading(hourTs, irr, cloud);
+    upsertReading(h.hour_ts, h.ghi, h.cloud_cover, h.dni, h.dhi);
     count++;
   }
 
-  console.log(`[parser] Upserted ${count} hourly irradiance readings`);
+  console.log(`[parser] Upserted ${count} hourly irradiance readings (${weather.source})`);
   return count;
 }
@@ -0,0 +1,115 @@
+/**
+ * Realized savings ledger.
+ *
+ * The savings in /battery/schedule and the LP summary are planned estimates.
+ * This module computes what was actually paid and earned per 15-min slot from
+ * the inverter's daily energy counters (energy_snapshots) and the spot price,
+ * and compares it with a no-battery counterfactual: the same actual PV and
+ * load, with any PV surplus exported and any deficit imported.
+ *
+ * Counters have 0.1 kWh resolution, so single slots are coarse; daily and
+ * longer rollups are exact.
+ */
+
+import config from '../config.js';
+import { getSnapshotsForRange, getPricesForRange, upsertSavingsBatch } from './db.js';
+import { slotPrices } from './tariff.js';
+
+const SLOT_MIN = 15;
+const SLOT_H   = SLOT_MIN / 60;
+
+/** Floor a "YYYY-MM-DDTHH:MM" timestamp to its 15-min slot. */
+function slotOf(ts) {
+  const min = parseInt(ts.slice(14, 16), 10);
+  return `${ts.slice(0, 14)}${String(Math.floor(min / SLOT_MIN) * SLOT_MIN).padStart(2, '0')}`;
+}
+
+/** "YYYY-MM-DDTHH:MM" + 15 min, calendar arithmetic only (no timezone shift). */
+function nextSlot(slotTs) {
+  const d = new Date(`${slotTs}:00Z`);
+  return new Date(d.getTime() + SLOT_MIN * 60_000).toISOString().slice(0, 16);
+}
+
+/** Delta of a daily counter; a drop means the midnight reset happened in between. */
+function counterDelta(start, end) {
+  return end >= start ? end - start : end;
+}
+
+function round4(v) {
+  return Math.round(v * 10000) / 10000;
+}
+
+/**
+ * Build ledger rows for one local day from snapshots and prices.
+ * Slots without a snapshot at both boundaries, or without a price, are skipped.
+ *
+ * @param {string} dateStr  "YYYY-MM-DD"
+ * @returns {Array<object>} rows ready for upsertSavingsBatch
+ */
+export function computeSavingsForDate(dateStr) {
+  const grid = config.grid;
+  const fromTs = `${dateStr}T00:00`;
+  const toTs   = nextSlot(`${dateStr}T23:45`);   // next day 00:00
+
+  // First snapshot with energy totals in each slot (execute-pipeline rows carry SOC only)
+  const bySlot = new Map();
+  for (const s of getSnapshotsForRange(fromTs, `${toTs.slice(0, 10)}T00:14`)) {
+    if (s.grid_import_today_kwh == null || s.grid_export_today_kwh == null) continue;
+    const slot = slotOf(s.snapshot_ts);
+    if (!bySlot.has(slot)) bySlot.set(slot, s);
+  }
+
+  const exportCapKwh = (grid.max_export_w ?? Infinity) * SLOT_H / 1000;
+  const rows = [];
+  for (const p of getPricesForRange(fromTs, toTs)) {
+    const start = bySlot.get(p.slot_ts);
+    const end   = bySlot.get(nextSlot(p.slot_ts));
+    if (!start || !end) continue;
+
+    const importKwh = counterDelta(start.grid_import_today_kwh, end.grid_import_today_kwh);
+    const exportKwh = counterDelta(start.grid_export_today_kwh, end.grid_export_today_kwh);
+    const pvKwh     = counterDelta(start.pv_today_kwh ?? 0, end.pv_today_kwh ?? 0);
+    const loadKwh   = counterDelta(start.load_today_kwh ?? 0, end.load_today_kwh ?? 0);
+
+    const { buy: buyPrice, sell: exportPrice } = slotPrices(p.slot_ts, p.spot_price);
+
+    const actualCost = importKwh * buyPrice - exportKwh * exportPrice;
+
+    // No battery: PV serves the load, the rest goes to/from the grid
+    const baseImport = Math.max(0, loadKwh - pvKwh);
+    const baseExport = Math.min(exportCapKwh, Math.max(0, pvKwh - loadKwh));
+    const baselineCost = baseImport * buyPrice - baseExport * exportPrice;
+
+    rows.push({
+      slot_ts:         p.slot_ts,
+      grid_import_kwh: round4(importKwh),
+      grid_export_kwh: round4(exportKwh),
+      pv_kwh:          round4(pvKwh),
+      load_kwh:        round4(loadKwh),
+      spot_price:      p.spot_price,
+      buy_price:       round4(buyPrice),
+      export_price:    round4(exportPrice),
+      actual_cost:     round4(actualCost),
+      baseline_cost:   round4(baselineCost),
+      savings:         round4(baselineCost - actualCost),
+    });
+  }
+  return rows;
+}
+
+/**
+ * Recompute and store the ledger for the given local days.
+ * Idempotent — rows are upserted, so re-running picks up late snapshots.
+ *
+ * @param {string[]} dates  "YYYY-MM-DD" list
+ * @returns {number} slots written
+ */
+export function updateSavingsLedger(dates) {
+  let count = 0;
+  for (const date of dates) {
+    const rows = computeSavingsForDate(date);
+    if (rows.length > 0) upsertSavingsBatch(rows);
+    count += rows.length;
+  }
+  return count;
+}
@@ -0,0 +1,128 @@
+import config from '../config.js';
+import { getConsumptionForRange } from './db.js';
+import { buildQuantileTable, ratioQuantiles, quantile } from './forecast-quantiles.js';
+import { parseTs } from './timeutils.js';
+import { loadProfile, profileEstimate } from './consumption-profile.js';
+
+/**
+ * Solar and load scenarios for the stochastic optimizer.
+ *
+ * Solar: each learned hour's actual / forecast ratio (see forecast-quantiles.js)
+ * gives a distribution per (month, cloud band). Scenario k scales every hour by
+ * that hour's ratio quantile at level (k + 0.5) / K, divided by its median, so
+ * the point forecast — already bias-corrected by the learner and the intra-day
+ * scalars — stays the centre and the scenarios add only the spread.
+ *
+ * Load: the ratio actual / estimate over the last optimizer.load_history_days,
+ * matching how the consumption estimate is made. With consumption.source
+ * 'profile' the estimate is the day-type × hour profile (consumption-profile.js),
+ * so the ratio is each reading against its cell's temperature-adjusted value —
+ * the profile's residuals. Otherwise the estimate is essentially yesterday's load
+ * and the ratio is day-over-day, actual(d, h) / actual(d − 1, h). Scenario k
+ * scales every hour by the ratio quantile at level (k + 0.5) / K, again relative
+ * to the median.
+ *
+ * Scenarios are the cross product, each with probability 1 / (Ks × Kl).
+ * A side with one scenario, or without enough history, stays at the forecast.
+ */
+
+const MIN_LOAD_SAMPLES = 48;
+const LOAD_RATIO_MIN   = 0.2;
+const LOAD_RATIO_MAX   = 5;
+
+/** Same time of day, `days` calendar days later (negative = earlier). */
+function shiftDays(ts, days) {
+  const d = new Date(`${ts.slice(0, 10)}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10) + ts.slice(10);
+}
+
+/** Quantile levels (k + 0.5) / K, midpoints of K equal-probability bins. */
+function levels(k) {
+  return Array.from({ length: k }, (_, i) => (i + 0.5) / k);
+}
+
+/** Multipliers relative to the median, or null when the distribution is degenerate. */
+function relativeMultipliers(sorted, qs) {
+  const median = quantile(sorted, 0.5);
+  if (!(median > 0.05)) return null;
+  return qs.map(q => quantile(sorted, q) / median);
+}
+
+/**
+ * Sorted actual / estimate consumption ratios before fromTs: against the profile
+ * when consumption.source is 'profile' (hours whose cell is too thin fall back to
+ * the day before, as the estimator does), else day-over-day.
+ */
+function loadRatios(fromTs, historyDays) {
+  const rows = getConsumptionForRange(shiftDays(fromTs, -historyDays - 1), fromTs);
+  const byHour = new Map(rows.map(r => [r.hour_ts, r.consumption_w]));
+  const profile = config.consumption?.source === 'profile' ? loadProfile() : new Map();
+  const ratios = [];
+  for (const r of rows) {
+    if (r.consumption_w == null) continue;
+    const est = profileEstimate(profile, r.hour_ts, r.outdoor_temp ?? null)
+      ?? byHour.get(shiftDays(r.hour_ts, -1));
+    if (est == null || est <= 0) continue;
+    ratios.push(Math.max(LOAD_RATIO_MIN, Math.min(LOAD_RATIO_MAX, r.consumption_w / est)));
+  }
+  return ratios.sort((a, b) => a - b);
+}
+
+/**
+ * Build the scenario set for an optimizer window.
+ *
+ * @param {string} fromTs
+ * @param {Array}  slots      optimizer slots: { slot_ts, solar_watts, plan_load_w }
+ * @param {Array}  solarRows  hourly rows with hour_ts and cloud_cover
+ * @param {number} peakWatts  solar scenarios are capped at the array peak
+ * @returns {{ scenarios: Array<{ prob: number, label: string, solar: number[], consumption: number[] }>,
+ *             solarCount: number, loadCount: number, loadSamples: number } | null}
+ *   null when neither side has enough history to vary
+ */
+export function buildScenarios(fromTs, slots, solarRows, peakWatts) {
+  const opt   = config.optimizer ?? {};
+  const solarK = opt.solar_scenarios ?? 3;
+  const loadK  = opt.load_scenarios ?? 3;
+
+  // Solar multipliers per hour: hour_ts → [m_0 … m_{K-1}]
+  const solarMult = new Map();
+  if (solarK > 1) {
+    const table = buildQuantileTable();
+    const qs = levels(solarK);
+    for (const r of solarRows) {
+      const q = ratioQuantiles(table, parseTs(r.hour_ts).month, r.cloud_cover);
+      const mult = q ? relativeMultipliers(q.sorted, qs) : null;
+      if (mult) solarMult.set(r.hour_ts, mult);
+    }
+  }
+  const solarCount = solarMult.size > 0 ? solarK : 1;
+
+  let loadMult = [1];
+  let loadSamples = 0;
+  if (loadK > 1) {
+    const ratios = loadRatios(fromTs, opt.load_history_days ?? 28);
+    loadSamples = ratios.length;
+    if (ratios.length >= MIN_LOAD_SAMPLES) loadMult = relativeMultipliers(ratios, levels(loadK)) ?? [1];
+  }
+  const loadCount = loadMult.length;
+
+  if (solarCount === 1 && loadCount === 1) return null;
+
+  const prob = 1 / (solarCount * loadCount);
+  const scenarios = [];
+  for (let i = 0; i < solarCount; i++) {
+    for (let j = 0; j < loadCount; j++) {
+      scenarios.push({
+        prob,
+        label: `solar q${Math.round(levels(solarCount)[i] * 100)} / load q${Math.round(levels(loadCount)[j] * 100)}`,
+        solar: slots.map(s => {
+          const m = solarCount > 1 ? (solarMult.get(`${s.slot_ts.slice(0, 13)}:00`)?.[i] ?? 1) : 1;
+          return Math.min(peakWatts, s.solar_watts * m);
+        }),
+        consumption: slots.map(s => s.plan_load_w * loadMult[j]),
+      });
+    }
+  }
+  return { scenarios, solarCount, loadCount, loadSamples };
+}
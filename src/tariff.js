@@ -0,0 +1,91 @@
+import config from '../config.js';
+import { dayType } from './timeutils.js';
+
+/**
+ * Grid tariff engine: spot price → buy and sell price per slot.
+ *
+ * Without grid.tariff (or with enabled: false) the flat fields apply, as before:
+ *   buy  = spot + transfer_import_kwh + energy_tax_kwh
+ *   sell = spot × sell_price_factor − transfer_export_kwh
+ *
+ * With grid.tariff enabled:
+ *   buy  = (spot + import fee + energy_tax_kwh) × (1 + vat)
+ *   sell = spot × sell_price_factor − export fee + export_compensation_kwh
+ *
+ * The import and export fees come from rule lists; the first rule whose months,
+ * days and time window all match the slot wins, and a slot no rule matches pays
+ * 0. A rule without conditions at the end of the list is the default rate.
+ *
+ *   { fee_kwh: 0.75, months: [11, 12, 1, 2, 3], days: 'weekdays', from: '06:00', to: '22:00' }
+ *
+ * days: 'weekdays' (Mon–Fri, not holidays), 'weekends' (Sat, Sun and holidays)
+ * or 'all' (default). Holidays are the Swedish public holidays and eves from
+ * timeutils.js plus any dates listed in grid.tariff.holidays.
+ */
+
+/** Active tariff rule set, or null when the flat fields apply. */
+function activeTariff() {
+  const t = config.grid.tariff;
+  return t?.enabled ? t : null;
+}
+
+/** Whether a slot's date is a Saturday, Sunday, public holiday or configured extra holiday. */
+function isWeekendOrHoliday(slotTs, tariff) {
+  return dayType(slotTs) === 'weekend' || (tariff.holidays ?? []).includes(slotTs.slice(0, 10));
+}
+
+/** Whether a rule applies to a slot ("YYYY-MM-DDTHH:MM", local). */
+function ruleMatches(rule, slotTs, tariff) {
+  if (rule.months?.length && !rule.months.includes(parseInt(slotTs.slice(5, 7), 10))) return false;
+  const days = rule.days ?? 'all';
+  if (days !== 'all' && (days === 'weekends') !== isWeekendOrHoliday(slotTs, tariff)) return false;
+  const hhmm = slotTs.slice(11, 16);
+  return hhmm >= (rule.from ?? '00:00') && hhmm < (rule.to ?? '24:00');
+}
+
+/** First matching rule of a list, or null. */
+function matchRule(rules, slotTs, tariff) {
+  return (rules ?? []).find(r => ruleMatches(r, slotTs, tariff)) ?? null;
+}
+
+/**
+ * Buy and sell price for one slot, with the parts they are made of.
+ *
+ * @param {string} slotTs     local "YYYY-MM-DDTHH:MM"
+ * @param {number} spotPrice  per kWh, excl. VAT
+ * @returns {{ buy: number, sell: number, import_fee: number, export_fee: number,
+ *             energy_tax: number, vat: number, import_rule: string|null }}
+ *   import_rule = name of the matched import rule (null for flat fields / no match)
+ */
+export function slotPrices(slotTs, spotPrice) {
+  const grid = config.grid;
+  const tariff = activeTariff();
+  if (!tariff) {
+    return {
+      buy:  spotPrice + grid.transfer_import_kwh + grid.energy_tax_kwh,
+      sell: spotPrice * grid.sell_price_factor - grid.transfer_export_kwh,
+      import_fee: grid.transfer_import_kwh,
+      export_fee: grid.transfer_export_kwh,
+      energy_tax: grid.energy_tax_kwh,
+      vat: 0,
+      import_rule: null,
+    };
+  }
+
+  const importRule = matchRule(tariff.import_fees, slotTs, tariff);
+  const exportRule = matchRule(tariff.export_fees, slotTs, tariff);
+  const importFee  = importRule?.fee_kwh ?? 0;
+  const exportFee  = exportRule?.fee_kwh ?? 0;
+  const energyTax  = tariff.energy_tax_kwh ?? 0;
+  const vat        = tariff.vat ?? 0;
+  return {
+    buy:  (spotPrice + importFee + energyTax) * (1 + vat),
+    sell: spotPrice * grid.sell_price_factor - exportFee + (tariff.export_compensation_kwh ?? 0),
+    import_fee: importFee,
+    export_fee: exportFee,
+    energy_tax: energyTax,
+    vat,
+    import_rule: importRule?.name ?? null,
+  };
+}
+
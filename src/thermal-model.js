@@ -0,0 +1,200 @@
+/**
+ * Thermal model of the house for heat-pump load shifting (heat_pump.enabled).
+ *
+ * First-order RC model: one thermal capacity C (Wh/K) behind one heat-loss
+ * conductance UA = 1/R (W/K), heated by a heat pump of efficiency COP:
+ *   C · dT_in/dt = COP · P_hp − UA · (T_in − T_out)
+ *
+ * Only consumption and outdoor temperature are measured — there is no indoor sensor —
+ * so the model is fitted from how heat-pump load follows the weather. The building's
+ * mass buffers outdoor swings: with the thermostat holding the setpoint, demand tracks
+ * outdoor temperature low-pass filtered with the time constant τ = R·C. For each τ in
+ * TAU_CANDIDATES_H, the hourly outdoor temperature is smoothed with an exponential
+ * moving average (reset at gaps in the readings) and the heating-degree model of
+ * consumption-learner.js is fitted against it:
+ *   consumption_w = base_load_w + slope × max(0, base_temp − T_eff(τ))
+ * The τ with the smallest residual error wins. Then UA = slope × COP and C = τ × UA.
+ *
+ * For the optimizer the house is a storage in °C: θ = T_in − setpoint. Extra
+ * heat-pump power ΔP (W, positive = pre-heating, negative = easing off) moves it per
+ * 15-min slot as
+ *   θ_{t+1} = e^(−h/τ) · θ_t + h · COP / C · ΔP_t    where  COP / C = 1 / (τ · slope)
+ * so the COP cancels out of the dynamics and only scales the reported UA and C.
+ *
+ * Same readings as the consumption model: EV-tagged hours and readings above
+ * consumption.max_house_w are left out of the fit (their temperatures still feed the
+ * moving average). Refreshed hourly via learnPipeline in scheduler.js.
+ */
+
+import config from '../config.js';
+import { getConsumptionModelHistory, upsertThermalModel, getThermalModel, getScheduleForRange } from './db.js';
+import { fitHeatingDegree } from './consumption-learner.js';
+import { getWeather } from './fetcher.js';
+import { localSlotTs, fromLocalTs } from './timeutils.js';
+import log from './logger.js';
+
+const MIN_SAMPLES      = 72;   // clean hourly readings — three days
+const TAU_CANDIDATES_H = [1, 2, 3, 4, 6, 8, 12, 18, 24, 36, 48, 72];
+const MAX_GAP_H        = 3;    // a longer gap between readings restarts the moving average
+const SLOT_H           = 0.25;
+
+/** Hours between two local "YYYY-MM-DDTHH:MM" timestamps (wall clock, DST ignored). */
+function hoursBetween(a, b) {
+  return (Date.parse(`${b}:00Z`) - Date.parse(`${a}:00Z`)) / 3_600_000;
+}
+
+/** Outdoor temperature of each reading, smoothed with time constant tauH. */
+function laggedTemps(rows, tauH) {
+  const out = [];
+  let ema = null;
+  for (let i = 0; i < rows.length; i++) {
+    const gapH = i > 0 ? hoursBetween(rows[i - 1].hour_ts, rows[i].hour_ts) : Infinity;
+    ema = gapH > MAX_GAP_H ? rows[i].outdoor_temp
+      : ema + (1 - Math.exp(-gapH / tauH)) * (rows[i].outdoor_temp - ema);
+    out.push(ema);
+  }
+  return out;
+}
+
+/**
+ * Fit the RC model to all consumption + temperature readings and store it in thermal_model.
+ * Called hourly via learnPipeline in scheduler.js when heat_pump.enabled.
+ */
+export function learnThermalModel() {
+  const cop = config.heat_pump?.cop ?? 3;
+  const maxHouseW = config.consumption?.max_house_w || 1e9;
+  const rows = getConsumptionModelHistory();
+  const isClean = r => r.source !== 'inverter_delta_ev' && r.consumption_w <= maxHouseW;
+
+  const cleanCount = rows.filter(isClean).length;
+  if (cleanCount < MIN_SAMPLES) {
+    log.info('thermal-model', `Not enough data yet — ${cleanCount}/${MIN_SAMPLES} clean samples`);
+    return;
+  }
+
+  let best = null;
+  for (const tauH of TAU_CANDIDATES_H) {
+    const teff = laggedTemps(rows, tauH);
+    const samples = rows
+      .map((r, i) => ({ outdoor_temp: teff[i], consumption_w: r.consumption_w, clean: isClean(r) }))
+      .filter(r => r.clean);
+    const fit = fitHeatingDegree(samples);
+    if (fit && fit.slope > 0 && (!best || fit.rmse < best.fit.rmse)) best = { tauH, fit };
+  }
+  if (!best) {
+    log.warn('thermal-model', 'Fit failed — consumption does not rise as it gets colder');
+    return;
+  }
+
+  const { tauH, fit } = best;
+  const ua = fit.slope * cop;
+  const model = {
+    tau_h:                tauH,
+    ua_w_per_k:           ua,
+    capacitance_wh_per_k: tauH * ua,
+    base_temp:            fit.base_temp,
+    slope_w_per_c:        fit.slope,
+    base_load_w:          Math.max(0, fit.intercept),
+    cop,
+    rmse:                 fit.rmse,
+    sample_count:         fit.sample_count,
+    r_squared:            fit.r_squared,
+  };
+  upsertThermalModel(model);
+
+  log.info('thermal-model',
+    `House: τ=${tauH} h  UA=${ua.toFixed(0)} W/K  C=${(model.capacitance_wh_per_k / 1000).toFixed(1)} kWh/K` +
+    `  base=${fit.base_temp.toFixed(1)}°C  slope=${fit.slope.toFixed(0)} W/°C  base load=${model.base_load_w.toFixed(0)} W` +
+    `  R²=${fit.r_squared.toFixed(2)}  n=${fit.sample_count}`
+  );
+  if (tauH === TAU_CANDIDATES_H[0] || tauH === TAU_CANDIDATES_H[TAU_CANDIDATES_H.length - 1]) {
+    log.warn('thermal-model', `τ at the edge of the search range (${tauH} h) — the thermal capacity is poorly determined`);
+  }
+}
+
+/**
+ * A stored model rounded for display.
+ * @param {object} m  thermal_model row
+ */
+export function describeThermalModel(m) {
+  return {
+    tau_h:                 m.tau_h,
+    ua_w_per_k:            Math.round(m.ua_w_per_k),
+    capacitance_kwh_per_k: Math.round(m.capacitance_wh_per_k / 100) / 10,
+    base_temp_c:           m.base_temp,
+    slope_w_per_c:         Math.round(m.slope_w_per_c),
+    base_load_w:           Math.round(m.base_load_w),
+    cop:                   m.cop,
+    rmse_w:                Math.round(m.rmse),
+    r_squared:             Math.round(m.r_squared * 100) / 100,
+    sample_count:          m.sample_count,
+    last_updated:          m.last_updated,
+  };
+}
+
+/**
+ * Thermal storage parameters for the optimizer window starting at fromTs, or null when
+ * heat_pump is disabled or no model has been fitted yet.
+ * @param {string} fromTs  local "YYYY-MM-DDTHH:MM", first slot of the window
+ * @returns {Promise<{ tau_h, decay, gain_c_per_w, base_load_w, base_temp, slope_w_per_c,
+ *             outdoor_temps, max_power_w, min_offset_c, max_offset_c, start_offset_c }|null>}
+ *   decay / gain_c_per_w: θ_{t+1} = decay · θ_t + gain_c_per_w · ΔP_t;
+ *   outdoor_temps: Map "YYYY-MM-DDTHH:00" → forecast °C, for the heat pump's baseline
+ *   slope × max(0, base_temp − T_out); empty when no forecast is available;
+ *   start_offset_c: the offset the previous plan reached by fromTs
+ */
+export async function heatPumpForPlanning(fromTs) {
+  const hp = config.heat_pump;
+  if (!hp?.enabled) return null;
+  const model = getThermalModel();
+  if (!model) return null;
+
+  const tz = config.location.timezone;
+  const prevTs = localSlotTs(new Date(fromLocalTs(fromTs, tz).getTime() - SLOT_H * 3_600_000), tz);
+  const minC = hp.comfort_min_c - hp.setpoint_c;
+  const maxC = hp.comfort_max_c - hp.setpoint_c;
+  const prev = getScheduleForRange(prevTs, fromTs)[0]?.heat_offset_c ?? 0;
+
+  const outdoorTemps = new Map();
+  try {
+    for (const h of (await getWeather()).hours) {
+      if (h.temperature != null) outdoorTemps.set(h.hour_ts, h.temperature);
+    }
+  } catch (err) {
+    log.warn('thermal-model', `No temperature forecast (${err.message}) — heat-pump baseline from the load estimate`);
+  }
+
+  return {
+    tau_h:          model.tau_h,
+    decay:          Math.exp(-SLOT_H / model.tau_h),
+    gain_c_per_w:   SLOT_H / (model.tau_h * model.slope_w_per_c),
+    base_load_w:    model.base_load_w,
+    base_temp:      model.base_temp,
+    slope_w_per_c:  model.slope_w_per_c,
+    outdoor_temps:  outdoorTemps,
+    max_power_w:    hp.max_power_w,
+    min_offset_c:   minC,
+    max_offset_c:   maxC,
+    start_offset_c: Math.min(maxC, Math.max(minC, prev)),
+  };
+}
+
+/**
+ * The plan for an external controller: setpoint offset for the current slot and every
+ * planned slot ahead.
+ * @returns {{ slot, offset_c, setpoint_c, plan: Array<{slot, offset_c, setpoint_c}> }}
+ */
+export function currentHeatPumpPlan(now = new Date()) {
+  const nowTs = localSlotTs(now, config.location.timezone);
+  const setpoint = config.heat_pump?.setpoint_c ?? null;
+  const plan = getScheduleForRange(nowTs, '9999-12-31T00:00')
+    .filter(r => r.heat_offset_c != null)
+    .map(r => ({ slot: r.slot_ts, offset_c: r.heat_offset_c, setpoint_c: setpoint != null ? Math.round((setpoint + r.heat_offset_c) * 10) / 10 : null }));
+  const current = plan.find(p => p.slot === nowTs);
+  return {
+    slot:       nowTs,
+    offset_c:   current?.offset_c ?? 0,
+    setpoint_c: current?.setpoint_c ?? setpoint,
+    plan,
+  };
+}
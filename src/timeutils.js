@@ -12,6 +12,41 @@ export function localTs(date, timezone) {
   return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}`;
 }
 
+/** localTs floored to the start of its 15-min slot. */
+export function localSlotTs(date, timezone) {
+  const ts = localTs(date, timezone);
+  return ts.slice(0, 14) + String(Math.floor(parseInt(ts.slice(14, 16), 10) / 15) * 15).padStart(2, '0');
+}
+
+/**
+ * Inverse of localTs: interpret "YYYY-MM-DDTHH:MM" as wall-clock time in the
+ * given timezone and return the matching Date. Ambiguous times in the autumn
+ * DST overlap resolve to one of the two instants.
+ */
+export function fromLocalTs(ts, timezone) {
+  const asUtc = Date.parse(`${ts.slice(0, 16)}:00Z`);
+  // Offset of the zone at (approximately) that instant, applied twice so the
+  // result is right even when the guess lands on the other side of a DST switch.
+  let guess = asUtc;
+  for (let i = 0; i < 2; i++) {
+    const shown = Date.parse(`${localTs(new Date(guess), timezone)}:00Z`);
+    guess += asUtc - shown;
+  }
+  return new Date(guess);
+}
+
+/**
+ * Parse an API time: ISO 8601 with zone ("2025-03-01T02:00:00Z", "+01:00"), or
+ * local wall-clock time in the given timezone ("2025-03-01T02:00").
+ * @returns {Date|null}
+ */
+export function parseApiTime(value, timezone) {
+  if (typeof value !== 'string') return null;
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(value)) return fromLocalTs(value, timezone);
+  const ms = Date.parse(value);
+  return isNaN(ms) ? null : new Date(ms);
+}
+
 /**
  * Parse a DB timestamp string ("YYYY-MM-DDTHH:MM") into its components.
  * No Date object — avoids all timezone conversion issues.
@@ -61,3 +96,87 @@ export function calendarDayDistance(m1, d1, m2, d2) {
   const diff = Math.abs(a - b);
   return Math.min(diff, 365 - diff);
 }
+
+/** "YYYY-MM-DD" of a UTC calendar date + n days. */
+function shiftDate(year, month, day, n) {
+  return new Date(Date.UTC(year, month - 1, day + n)).toISOString().slice(0, 10);
+}
+
+/** Easter Sunday (Gregorian, anonymous algorithm) as { month, day }. */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return { month, day };
+}
+
+/** First date in [month/fromDay, +6 days] falling on weekday `dow` (0 = Sunday). */
+function weekdayInRange(year, month, fromDay, dow) {
+  const start = new Date(Date.UTC(year, month - 1, fromDay));
+  return shiftDate(year, month, fromDay, (dow - start.getUTCDay() + 7) % 7);
+}
+
+const _holidayCache = new Map();
+
+/**
+ * Swedish public holidays (allmänna helgdagar) of a year, plus the eves that are
+ * de facto days off (midsommarafton, julafton, nyårsafton) with `eve: true`.
+ * Computed offline: fixed dates, Easter-derived dates, and the Saturdays of
+ * midsommardagen and alla helgons dag.
+ *
+ * @returns {Array<{ date: string, name: string, eve: boolean }>} in date order
+ */
+export function swedishHolidays(year) {
+  if (_holidayCache.has(year)) return _holidayCache.get(year);
+  const easter = easterSunday(year);
+  const fromEaster = n => shiftDate(year, easter.month, easter.day, n);
+  const fixed = (month, day) => shiftDate(year, month, day, 0);
+  const midsummerDay = weekdayInRange(year, 6, 20, 6);   // Saturday 20–26 June
+  const holidays = [
+    { date: fixed(1, 1),           name: 'Nyårsdagen' },
+    { date: fixed(1, 6),           name: 'Trettondedag jul' },
+    { date: fromEaster(-2),        name: 'Långfredagen' },
+    { date: fromEaster(0),         name: 'Påskdagen' },
+    { date: fromEaster(1),         name: 'Annandag påsk' },
+    { date: fixed(5, 1),           name: 'Första maj' },
+    { date: fromEaster(39),        name: 'Kristi himmelsfärdsdag' },
+    { date: fromEaster(49),        name: 'Pingstdagen' },
+    { date: fixed(6, 6),           name: 'Sveriges nationaldag' },
+    { date: shiftDate(year, 6, parseInt(midsummerDay.slice(8, 10), 10), -1), name: 'Midsommarafton', eve: true },
+    { date: midsummerDay,          name: 'Midsommardagen' },
+    { date: weekdayInRange(year, 10, 31, 6), name: 'Alla helgons dag' },   // Saturday 31 Oct – 6 Nov
+    { date: fixed(12, 24),         name: 'Julafton', eve: true },
+    { date: fixed(12, 25),         name: 'Juldagen' },
+    { date: fixed(12, 26),         name: 'Annandag jul' },
+    { date: fixed(12, 31),         name: 'Nyårsafton', eve: true },
+  ].map(h => ({ ...h, eve: h.eve === true }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  _holidayCache.set(year, holidays);
+  return holidays;
+}
+
+/** Holiday on a "YYYY-MM-DD" (or longer timestamp) date, or null. Eves count. */
+export function holidayOn(ts) {
+  const date = ts.slice(0, 10);
+  return swedishHolidays(parseInt(date.slice(0, 4), 10)).find(h => h.date === date) ?? null;
+}
+
+/**
+ * Day type of a date for tariffs and consumption: 'weekend' for Saturdays,
+ * Sundays and holidays (including the eves), otherwise 'weekday'.
+ */
+export function dayType(ts) {
+  const dow = new Date(`${ts.slice(0, 10)}T12:00:00Z`).getUTCDay();
+  return dow === 0 || dow === 6 || holidayOn(ts) ? 'weekend' : 'weekday';
+}
@@ -0,0 +1,46 @@
+import log from '../logger.js';
+import { withRetry } from '../fetcher.js';
+
+/**
+ * Fetch the hourly forecast from Open-Meteo (free, no API key).
+ *
+ * Radiation values are means over the hour before the timestamp; GHI
+ * (shortwave_radiation) is cloud-aware. One past day is included so callers can
+ * look up today's earlier hours and yesterday's temperatures.
+ *
+ * Returns { hours, raw } with hours in the normalized shape
+ * { hour_ts, ghi, dni, dhi, cloud_cover, temperature }, or null if no data.
+ */
+export async function fetchWeather({ lat, lon, timezone }) {
+  const url = `https://api.open-meteo.com/v1/forecast`
+    + `?latitude=${lat}&longitude=${lon}`
+    + `&hourly=shortwave_radiation,direct_normal_irradiance,diffuse_radiation,cloud_cover,temperature_2m`
+    + `&past_days=1&forecast_days=2`
+    + `&timezone=${encodeURIComponent(timezone)}`;
+
+  return withRetry(async () => {
+    log.info('weather', `GET ${url}`);
+    const t0 = Date.now();
+    const res = await fetch(url);
+    log.info('weather', `${res.status} in ${Date.now() - t0}ms`);
+    if (!res.ok) {
+      throw new Error(`Open-Meteo request failed: ${res.status} ${res.statusText}`);
+    }
+
+    const data = await res.json();
+    const hourly = data?.hourly;
+    if (!hourly?.time || !hourly.shortwave_radiation) return null;
+
+    // time is already local "YYYY-MM-DDTHH:MM" (timezone parameter)
+    const hours = hourly.time.map((hourTs, i) => ({
+      hour_ts:     hourTs,
+      ghi:         hourly.shortwave_radiation[i] ?? null,
+      dni:         hourly.direct_normal_irradiance?.[i] ?? null,
+      dhi:         hourly.diffuse_radiation?.[i] ?? null,
+      cloud_cover: hourly.cloud_cover?.[i] ?? null,
+      temperature: hourly.temperature_2m?.[i] ?? null,
+    }));
+
+    return { hours, raw: data };
+  }, { attempts: 3, delayMs: 5000 });
+}
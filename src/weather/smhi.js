@@ -0,0 +1,89 @@
+import log from '../logger.js';
+import { withRetry } from '../fetcher.js';
+import { localTs } from '../timeutils.js';
+
+/**
+ * Fetch the point forecast from SMHI (Swedish Meteorological and Hydrological
+ * Institute, free, no API key). Covers the Nordic countries only.
+ *
+ * The forecast has temperature and total cloud cover (octas) but no radiation, so GHI
+ * is estimated: Haurwitz clear-sky irradiance at the middle of the hour before the
+ * timestamp (the Open-Meteo convention), attenuated with the Kasten–Czeplak cloud
+ * formula. DNI and DHI are left null. Hourly for the first two days, then every few
+ * hours — only the hourly part within two days is used.
+ *
+ * Returns { hours, raw } with hours in the normalized shape
+ * { hour_ts, ghi, dni, dhi, cloud_cover, temperature }, or null if no data
+ * (e.g. a location outside the SMHI grid).
+ */
+export async function fetchWeather({ lat, lon, timezone }) {
+  const url = `https://opendata-download-metfcst.smhi.se/api/category/snow1g/version/1`
+    + `/geotype/point/lon/${lon.toFixed(4)}/lat/${lat.toFixed(4)}/data.json`;
+
+  return withRetry(async () => {
+    log.info('weather', `GET ${url}`);
+    const t0 = Date.now();
+    const res = await fetch(url);
+    log.info('weather', `${res.status} in ${Date.now() - t0}ms`);
+
+    if (res.status === 404) {
+      return null; // point outside the forecast area
+    }
+    if (!res.ok) {
+      throw new Error(`SMHI request failed: ${res.status} ${res.statusText}`);
+    }
+
+    const data = await res.json();
+    if (!Array.isArray(data?.timeSeries)) return null;
+
+    const untilMs = Date.now() + 48 * 3_600_000;
+    const hours = [];
+    for (const entry of data.timeSeries) {
+      const at = new Date(entry.time);
+      if (at.getTime() > untilMs || at.getUTCMinutes() !== 0) continue;
+      const octas = entry.data?.cloud_area_fraction;
+      const cloudPct = Number.isFinite(octas) ? Math.min(100, Math.max(0, octas / 8 * 100)) : null;
+      hours.push({
+        hour_ts:     localTs(at, timezone),
+        ghi:         estimateGhi(new Date(at.getTime() - 30 * 60_000), lat, lon, cloudPct),
+        dni:         null,
+        dhi:         null,
+        cloud_cover: cloudPct,
+        temperature: entry.data?.air_temperature ?? null,
+      });
+    }
+    if (hours.length === 0) return null;
+
+    return { hours, raw: data };
+  }, { attempts: 3, delayMs: 5000 });
+}
+
+/** Sine of the solar altitude at a UTC instant (NOAA low-precision formulas). */
+function sinSolarAltitude(date, lat, lon) {
+  const dayMs = 86_400_000;
+  const doy = Math.floor((date.getTime() - Date.UTC(date.getUTCFullYear(), 0, 0)) / dayMs);
+  const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60;
+  const g = 2 * Math.PI / 365 * (doy - 1 + (utcHours - 12) / 24);   // fractional year (rad)
+  const decl = 0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g)
+    - 0.006758 * Math.cos(2 * g) + 0.000907 * Math.sin(2 * g)
+    - 0.002697 * Math.cos(3 * g) + 0.00148 * Math.sin(3 * g);
+  const eotMin = 229.18 * (0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g)
+    - 0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g));
+  const solarMin = utcHours * 60 + eotMin + 4 * lon;
+  const hourAngle = (solarMin / 4 - 180) * Math.PI / 180;
+  const latRad = lat * Math.PI / 180;
+  return Math.sin(latRad) * Math.sin(decl) + Math.cos(latRad) * Math.cos(decl) * Math.cos(hourAngle);
+}
+
+/**
+ * GHI (W/m²) from clear-sky irradiance and cloud cover:
+ *   clear sky (Haurwitz):   1098 · sin α · exp(−0.057 / sin α)
+ *   cloud (Kasten–Czeplak): × (1 − 0.75 · (N/8)^3.4)
+ */
+function estimateGhi(date, lat, lon, cloudPct) {
+  const sinAlt = sinSolarAltitude(date, lat, lon);
+  if (sinAlt <= 0) return 0;
+  const clearSky = 1098 * sinAlt * Math.exp(-0.057 / sinAlt);
+  const cloudFactor = cloudPct == null ? 1 : 1 - 0.75 * (cloudPct / 100) ** 3.4;
+  return Math.round(clearSky * cloudFactor * 10) / 10;
+}